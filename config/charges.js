@@ -0,0 +1,17 @@
+// Rates used to turn a booking's fares into what the customer pays and what
+// the vendor receives. Each can be overridden with an environment variable.
+
+const readRate = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+module.exports = {
+  // VAT charged on the fare after discounts
+  vatRate: readRate('VAT_RATE', 0.15),
+  // Service fee the platform charges the customer, as a share of the discounted fare
+  platformFeeRate: readRate('PLATFORM_FEE_RATE', 0.03),
+  // What the payment gateway keeps from each charge, deducted from the vendor payout
+  gatewayFeeRate: readRate('GATEWAY_FEE_RATE', 0.029),
+  gatewayFeeFixed: readRate('GATEWAY_FEE_FIXED', 0)
+};
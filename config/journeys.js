@@ -0,0 +1,22 @@
+// Limits used by the journey planner when it chains routes into connections.
+// Each can be overridden with an environment variable.
+
+const readMinutes = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+module.exports = {
+  // Time needed to board the next leg after arriving, by its transport type
+  minConnectionMinutes: {
+    bus: readMinutes('MIN_CONNECTION_BUS', 30),
+    train: readMinutes('MIN_CONNECTION_TRAIN', 30),
+    launch: readMinutes('MIN_CONNECTION_LAUNCH', 45),
+    ferry: readMinutes('MIN_CONNECTION_FERRY', 30),
+    flight: readMinutes('MIN_CONNECTION_FLIGHT', 90)
+  },
+  // Extra time to get across town when the next leg leaves from another kind of terminal
+  terminalChangeMinutes: readMinutes('TERMINAL_CHANGE_MINUTES', 30),
+  // Longest wait between two legs before a connection is not offered
+  maxLayoverMinutes: readMinutes('MAX_LAYOVER_MINUTES', 12 * 60)
+};
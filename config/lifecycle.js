@@ -0,0 +1,32 @@
+// Timings used by the scheduled booking lifecycle jobs (see jobs/index.js).
+// Each can be overridden with an environment variable.
+
+const readHours = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// Comma separated list of hours, e.g. "24,2"
+const readHourList = (name, fallback) => {
+  if (!process.env[name]) {
+    return fallback;
+  }
+  const hours = process.env[name]
+    .split(',')
+    .map(value => parseFloat(value.trim()))
+    .filter(value => Number.isFinite(value) && value > 0);
+  return hours.length > 0 ? [...new Set(hours)].sort((a, b) => b - a) : fallback;
+};
+
+module.exports = {
+  // A departure is completed this long after it arrives
+  completeAfterArrivalHours: readHours('COMPLETE_AFTER_ARRIVAL_HOURS', 2),
+  // Trip length assumed for departures without an arrival time
+  assumedTripHours: readHours('ASSUMED_TRIP_HOURS', 12),
+  // Time an accepted booking without a seat hold has to be paid
+  unpaidAcceptedHours: readHours('UNPAID_ACCEPTED_HOURS', 24),
+  // Reminders go out this many hours before departure, largest first
+  departureReminderHours: readHourList('DEPARTURE_REMINDER_HOURS', [24, 2]),
+  // How long job run records are kept
+  jobRunRetentionDays: readHours('JOB_RUN_RETENTION_DAYS', 14)
+};
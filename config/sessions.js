@@ -0,0 +1,27 @@
+// Login sessions: short-lived access tokens plus a rotating refresh token per
+// device (see utils/sessions.js). Each can be overridden with an environment variable.
+
+const readDays = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const store = process.env.SESSION_STORE || (process.env.REDIS_URL ? 'redis' : 'memory');
+
+// Every access token needs its session, so sessions kept in one process do not
+// survive a restart and are not seen by other instances (or serverless functions)
+if (store === 'memory' && !process.env.SESSION_STORE && process.env.NODE_ENV === 'production') {
+  console.error('ERROR: REDIS_URL is not set, so login sessions are kept in memory. Users will be signed out on restarts and across instances. Set REDIS_URL, or SESSION_STORE=memory for a single instance.');
+}
+
+module.exports = {
+  // Lifetime of an access token, in jsonwebtoken's format ("15m", "1h", ...)
+  accessTokenExpire: process.env.ACCESS_TOKEN_EXPIRE || '15m',
+  // A session ends when its refresh token goes unused this long
+  refreshTokenDays: readDays('REFRESH_TOKEN_DAYS', 30),
+  // "memory" or "redis"; Redis is used by default once REDIS_URL is set
+  store,
+  redisUrl: process.env.REDIS_URL,
+  // Rotated refresh tokens remembered per session to recognise reuse
+  rotatedTokensKept: 20
+};
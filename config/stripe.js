@@ -0,0 +1,30 @@
+const Stripe = require('stripe');
+
+// Initialize Stripe
+let stripe;
+
+try {
+  if (!process.env.STRIPE_SECRET_KEY) {
+    console.error('ERROR: Stripe API key is not set. Please set STRIPE_SECRET_KEY in your .env file.');
+    throw new Error('Stripe API key is not configured.');
+  }
+
+  stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
+    apiVersion: '2023-10-16'
+  });
+
+  if (process.env.STRIPE_SECRET_KEY.startsWith('sk_test_')) {
+    console.warn('WARNING: Using test Stripe API key. This should not be used in production.');
+    if (process.env.NODE_ENV === 'production') {
+      console.error('ERROR: Production environment is using test Stripe API key!');
+      console.error('Please set STRIPE_SECRET_KEY to a live key in your .env.production file');
+    }
+  }
+  
+  console.log('Stripe initialized successfully');
+} catch (error) {
+  console.error('ERROR: Failed to initialize Stripe:', error.message);
+  throw new Error('Stripe initialization failed.');
+}
+
+module.exports = stripe;
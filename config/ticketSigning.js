@@ -0,0 +1,33 @@
+const crypto = require('crypto');
+
+// Ed25519 key pair used to sign e-ticket QR codes. Operators only need the
+// public key to check a ticket, so scanners can verify tickets offline.
+// TICKET_SIGNING_PRIVATE_KEY holds the private key as PEM (\n may be escaped).
+let privateKey;
+
+if (process.env.TICKET_SIGNING_PRIVATE_KEY) {
+  privateKey = crypto.createPrivateKey(process.env.TICKET_SIGNING_PRIVATE_KEY.replace(/\\n/g, '\n'));
+} else {
+  if (process.env.NODE_ENV === 'production') {
+    console.error('ERROR: TICKET_SIGNING_PRIVATE_KEY is not set. Tickets issued now will not verify after a restart.');
+  } else {
+    console.warn('WARNING: TICKET_SIGNING_PRIVATE_KEY is not set, using a temporary key for ticket signing.');
+  }
+  ({ privateKey } = crypto.generateKeyPairSync('ed25519'));
+}
+
+const publicKey = crypto.createPublicKey(privateKey);
+
+// Short fingerprint of the public key, printed on tickets so scanners pick the right key
+const keyId = crypto
+  .createHash('sha256')
+  .update(publicKey.export({ type: 'spki', format: 'der' }))
+  .digest('hex')
+  .slice(0, 8);
+
+module.exports = {
+  privateKey,
+  publicKey,
+  publicKeyPem: publicKey.export({ type: 'spki', format: 'pem' }),
+  keyId
+};
@@ -2,7 +2,12 @@ const asyncHandler = require('express-async-handler');
 const User = require('../models/User');
 const Route = require('../models/Route');
 const Booking = require('../models/Booking');
+const JobRun = require('../models/JobRun');
 const logger = require('../utils/logger');
+const { processRejection } = require('../utils/cancellations');
+const { revokeUserSessions } = require('../utils/sessions');
+const { disconnectUser } = require('../utils/socket');
+const { jobs } = require('../jobs');
 
 // @desc    Get admin profile
 // @route   GET /api/admin/profile
@@ -459,7 +464,11 @@ const suspendUser = asyncHandler(async (req, res) => {
     );
   }
 
-  logger.info(`User ${user._id} suspended by ${req.user.id}`);
+  // Sign the user out everywhere; the auth middleware already refuses their access tokens
+  const revokedSessions = await revokeUserSessions(user._id);
+  disconnectUser(user._id);
+
+  logger.info(`User ${user._id} suspended by ${req.user.id}, ${revokedSessions} session(s) revoked`);
 
   res.status(200).json({
     success: true,
@@ -556,24 +565,38 @@ const markVendorAsFraud = asyncHandler(async (req, res) => {
     }
   );
 
-  // Reject all pending bookings
-  await Booking.updateMany(
-    { 
-      vendor: user._id,
-      bookingStatus: 'pending'
-    },
-    {
-      bookingStatus: 'rejected',
-      vendorResponseNotes: 'Vendor marked as fraudulent - booking rejected'
+  // Reject all pending bookings, refunding the paid ones before their seats go back
+  const pendingBookings = await Booking.find({
+    vendor: user._id,
+    bookingStatus: 'pending'
+  });
+
+  let refundFailures = 0;
+  for (const booking of pendingBookings) {
+    try {
+      await processRejection({
+        booking,
+        notes: 'Vendor marked as fraudulent - booking rejected',
+        io: req.app.get('io')
+      });
+    } catch (error) {
+      // The booking stays pending so it can be rejected again once the refund goes through
+      refundFailures++;
+      logger.error(`Could not reject booking ${booking.bookingReference} of fraudulent vendor ${user._id}: ${error.message}`);
     }
-  );
+  }
+
+  const revokedSessions = await revokeUserSessions(user._id);
+  disconnectUser(user._id);
 
-  logger.info(`Vendor ${user._id} marked as fraud by ${req.user.id}`);
+  logger.info(`Vendor ${user._id} marked as fraud by ${req.user.id}, ${revokedSessions} session(s) revoked`);
 
   res.status(200).json({
     success: true,
     data: user,
-    message: 'Vendor marked as fraudulent successfully'
+    message: refundFailures > 0
+      ? `Vendor marked as fraudulent; ${refundFailures} booking(s) could not be refunded and are still pending`
+      : 'Vendor marked as fraudulent successfully'
   });
 });
 
@@ -753,6 +776,69 @@ const getDashboardStats = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Get scheduled jobs with their latest run
+// @route   GET /api/admin/jobs
+// @access  Private/Admin
+const getScheduledJobs = asyncHandler(async (req, res) => {
+  const data = await Promise.all(jobs.map(async (job) => {
+    const [lastRun, lastFailure] = await Promise.all([
+      JobRun.findOne({ job: job.name }).sort({ startedAt: -1 }).lean(),
+      JobRun.findOne({ job: job.name, status: 'failed' }).sort({ startedAt: -1 }).lean()
+    ]);
+
+    return {
+      name: job.name,
+      schedule: job.schedule,
+      enabled: process.env.DISABLE_CRON_JOBS !== 'true',
+      lastRun,
+      lastFailure
+    };
+  }));
+
+  res.status(200).json({
+    success: true,
+    data
+  });
+});
+
+// @desc    Get recorded job runs
+// @route   GET /api/admin/jobs/runs
+// @access  Private/Admin
+const getJobRuns = asyncHandler(async (req, res) => {
+  const { job, status, page = 1, limit = 50 } = req.query;
+
+  const filter = {};
+  if (job) {
+    filter.job = job;
+  }
+  if (status) {
+    filter.status = status;
+  }
+
+  const skip = (page - 1) * limit;
+
+  const runs = await JobRun.find(filter)
+    .sort({ startedAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit))
+    .lean();
+
+  const total = await JobRun.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      runs,
+      pagination: {
+        current: parseInt(page),
+        total: Math.ceil(total / limit),
+        count: total,
+        limit: parseInt(limit)
+      }
+    }
+  });
+});
+
 module.exports = {
   getAdminProfile,
   updateAdminProfile,
@@ -768,5 +854,7 @@ module.exports = {
   markVendorAsFraud,
   getAdvertisedTickets,
   toggleTicketAdvertisement,
-  getDashboardStats
+  getDashboardStats,
+  getScheduledJobs,
+  getJobRuns
 };
\ No newline at end of file
@@ -2,6 +2,18 @@ const crypto = require('crypto');
 const asyncHandler = require('express-async-handler');
 const User = require('../models/User');
 const logger = require('../utils/logger');
+const { getLanguage, sendTemplateEmail } = require('../utils/notifications');
+const {
+  startSession,
+  refreshSession,
+  listSessions,
+  revokeSession,
+  revokeUserSessions,
+  toSessionView
+} = require('../utils/sessions');
+const { ACCOUNT_BLOCK_CODES, getAccountBlock } = require('../utils/accountStatus');
+
+const REFRESH_COOKIE = 'refreshToken';
 
 // @desc    Register user
 // @route   POST /api/auth/register
@@ -26,7 +38,7 @@ const register = asyncHandler(async (req, res) => {
 
   logger.info(`User registered: ${email}`);
 
-  sendTokenResponse(user, 201, res);
+  await sendTokenResponse(user, 201, req, res);
 });
 
 // @desc    Login user
@@ -55,25 +67,89 @@ const login = asyncHandler(async (req, res) => {
     throw new Error('Invalid credentials');
   }
 
-  // Check if user is active
-  if (!user.isActive) {
-    res.status(401);
-    throw new Error('Account is deactivated');
+  // Check the account may sign in (not suspended, flagged for fraud or deactivated)
+  const block = getAccountBlock(user);
+  if (block) {
+    logger.warn(`Blocked login for ${email}: ${block.code}`);
+    return res.status(403).json({ success: false, ...block });
   }
 
   logger.info(`User logged in: ${email}`);
 
-  sendTokenResponse(user, 200, res);
+  await sendTokenResponse(user, 200, req, res);
+});
+
+// @desc    Get a new access token (and refresh token) with a refresh token
+// @route   POST /api/auth/refresh
+// @access  Public
+const refreshToken = asyncHandler(async (req, res) => {
+  const token = req.body.refreshToken || getCookie(req, REFRESH_COOKIE);
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      code: 'REFRESH_TOKEN_REQUIRED',
+      message: 'Refresh token is required'
+    });
+  }
+
+  const result = await refreshSession(token, req);
+  if (result.error) {
+    clearAuthCookies(res);
+    const status = ACCOUNT_BLOCK_CODES.includes(result.error.code) ? 403 : 401;
+    return res.status(status).json({ success: false, ...result.error });
+  }
+
+  respondWithSession(res, 200, result);
 });
 
-// @desc    Log user out / clear cookie
+// @desc    Log user out of this session / clear cookies
 // @route   POST /api/auth/logout
 // @access  Private
 const logout = asyncHandler(async (req, res) => {
-  res.cookie('token', 'none', {
-    expires: new Date(Date.now() + 10 * 1000),
-    httpOnly: true,
+  await revokeSession(req.user._id, req.sessionId);
+  clearAuthCookies(res);
+
+  res.status(200).json({
+    success: true,
+    data: {}
   });
+});
+
+// @desc    List the current user's active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await listSessions(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    data: sessions
+      .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+      .map(session => toSessionView(session, req.sessionId))
+  });
+});
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const deleteSession = asyncHandler(async (req, res) => {
+  const revoked = await revokeSession(req.user._id, req.params.id);
+
+  if (!revoked) {
+    return res.status(404).json({
+      success: false,
+      code: 'SESSION_NOT_FOUND',
+      message: 'Session not found'
+    });
+  }
+
+  logger.info(`Session ${req.params.id} revoked by user ${req.user._id}`);
+
+  if (req.params.id === req.sessionId) {
+    clearAuthCookies(res);
+  }
 
   res.status(200).json({
     success: true,
@@ -81,6 +157,25 @@ const logout = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Revoke all of the current user's sessions (?keepCurrent=true keeps this one)
+// @route   DELETE /api/auth/sessions
+// @access  Private
+const deleteAllSessions = asyncHandler(async (req, res) => {
+  const keepCurrent = req.query.keepCurrent === 'true';
+  const revoked = await revokeUserSessions(req.user._id, keepCurrent ? req.sessionId : undefined);
+
+  logger.info(`User ${req.user._id} revoked ${revoked} session(s)`);
+
+  if (!keepCurrent) {
+    clearAuthCookies(res);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { revoked }
+  });
+});
+
 // @desc    Get current logged in user
 // @route   GET /api/auth/me
 // @access  Private
@@ -129,7 +224,10 @@ const updatePassword = asyncHandler(async (req, res) => {
   user.password = req.body.newPassword;
   await user.save();
 
-  sendTokenResponse(user, 200, res);
+  // Sessions started with the old password end; this device gets a new one
+  await revokeUserSessions(user._id);
+
+  await sendTokenResponse(user, 200, req, res);
 });
 
 // @desc    Forgot password
@@ -162,14 +260,12 @@ const forgotPassword = asyncHandler(async (req, res) => {
     'host'
   )}/api/auth/resetpassword/${resetToken}`;
 
-  const message = `You are receiving this email because you (or someone else) has requested the reset of a password. Please make a PUT request to: \n\n ${resetUrl}`;
-
   try {
-    const sendEmail = require('../utils/sendEmail');
-    await sendEmail({
-      email: user.email,
-      subject: 'Password reset token',
-      message
+    await sendTemplateEmail({
+      to: user.email,
+      template: 'password_reset',
+      language: getLanguage(user),
+      data: { name: user.name, resetUrl, expiresInMinutes: 10 }
     });
 
     res.status(200).json({
@@ -177,7 +273,7 @@ const forgotPassword = asyncHandler(async (req, res) => {
       data: 'Email sent'
     });
   } catch (err) {
-    console.log(err);
+    logger.error(`Password reset email to ${user.email} failed: ${err.message}`);
     user.resetPasswordToken = undefined;
     user.resetPasswordExpire = undefined;
 
@@ -214,18 +310,20 @@ const resetPassword = asyncHandler(async (req, res) => {
   user.resetPasswordExpire = undefined;
   await user.save();
 
-  sendTokenResponse(user, 200, res);
-});
+  await revokeUserSessions(user._id);
+
+  // The new password is kept, but a blocked account is not signed in with it
+  const block = getAccountBlock(user);
+  if (block) {
+    return res.status(403).json({ success: false, ...block });
+  }
 
-// Get token from model, create cookie and send response
-const sendTokenResponse = (user, statusCode, res) => {
-  // Create token
-  const token = user.getSignedJwtToken();
+  await sendTokenResponse(user, 200, req, res);
+});
 
+const getCookieOptions = (expires) => {
   const options = {
-    expires: new Date(
-      Date.now() + process.env.JWT_COOKIE_EXPIRE * 24 * 60 * 60 * 1000,
-    ),
+    expires,
     httpOnly: true,
     sameSite: 'Lax', // Default to Lax for CSRF protection
     path: '/'
@@ -239,12 +337,37 @@ const sendTokenResponse = (user, statusCode, res) => {
     options.sameSite = 'Lax';
   }
 
+  return options;
+};
+
+// Read one cookie from the request; the app has no cookie parser
+const getCookie = (req, name) => {
+  const cookie = (req.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${name}=`));
+  return cookie ? decodeURIComponent(cookie.slice(name.length + 1)) : null;
+};
+
+const clearAuthCookies = (res) => {
+  const expires = new Date(Date.now() + 10 * 1000);
+  res.cookie('token', 'none', getCookieOptions(expires));
+  res.cookie(REFRESH_COOKIE, 'none', { ...getCookieOptions(expires), path: '/api/auth' });
+};
+
+// Set both tokens as cookies and send them with the user
+const respondWithSession = (res, statusCode, { user, session, accessToken, refreshToken: newRefreshToken }) => {
+  const sessionExpires = new Date(session.expiresAt);
+
   res
     .status(statusCode)
-    .cookie('token', token, options)
+    .cookie('token', accessToken, getCookieOptions(sessionExpires))
+    .cookie(REFRESH_COOKIE, newRefreshToken, { ...getCookieOptions(sessionExpires), path: '/api/auth' })
     .json({
       success: true,
-      token,
+      token: accessToken,
+      refreshToken: newRefreshToken,
+      sessionId: session.id,
       data: {
         id: user._id,
         name: user.name,
@@ -254,6 +377,12 @@ const sendTokenResponse = (user, statusCode, res) => {
     });
 };
 
+// Start a session for this device, create cookies and send response
+const sendTokenResponse = async (user, statusCode, req, res) => {
+  const tokens = await startSession(user, req);
+  respondWithSession(res, statusCode, { user, ...tokens });
+};
+
 module.exports = {
   register,
   login,
@@ -262,5 +391,9 @@ module.exports = {
   resetPassword,
   updateDetails,
   updatePassword,
-  logout
+  refreshToken,
+  logout,
+  getSessions,
+  deleteSession,
+  deleteAllSessions
 };
\ No newline at end of file
@@ -0,0 +1,225 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Departure = require('../models/Departure');
+const logger = require('../utils/logger');
+const { TICKET_CODE_PREFIX, verifyTicket } = require('../utils/tickets');
+const { getBookingDeparture, getDepartureBookings } = require('../utils/departures');
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+// Vendors only see their own departures; admins see all of them
+const canManage = (user, vendorId) => user.role === 'admin' || idOf(vendorId) === user.id;
+
+// @desc    Check a passenger in by scanned QR code or ticket number
+// @route   POST /api/vendor/check-in
+// @access  Private (Vendor)
+const checkInTicket = asyncHandler(async (req, res) => {
+  const { code, departureId } = req.body;
+
+  if (!code || typeof code !== 'string') {
+    res.status(400);
+    throw new Error('Please provide a ticket code or ticket number');
+  }
+
+  // Tickets are only checked in at the departure being boarded
+  if (!departureId || !mongoose.Types.ObjectId.isValid(departureId)) {
+    return res.status(400).json({
+      success: false,
+      code: 'DEPARTURE_REQUIRED',
+      message: 'Please provide the departure being boarded'
+    });
+  }
+
+  // A QR code carries a signed ticket; anything else is read as a typed ticket number
+  let scanned = null;
+  let ticketNumber = code.trim().toUpperCase();
+  if (code.trim().startsWith(`${TICKET_CODE_PREFIX}.`)) {
+    const result = verifyTicket(code);
+    if (!result.valid) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_TICKET',
+        message: result.error
+      });
+    }
+    scanned = result.payload;
+    ticketNumber = scanned.tn;
+  }
+
+  const booking = await Booking.findOne({ 'passengers.ticketNumber': ticketNumber });
+  if (!booking) {
+    return res.status(404).json({
+      success: false,
+      code: 'TICKET_NOT_FOUND',
+      message: 'No ticket found with this number'
+    });
+  }
+
+  if (!canManage(req.user, booking.vendor)) {
+    res.status(403);
+    throw new Error('This ticket is not for one of your departures');
+  }
+
+  const passenger = booking.passengers.find(p => p.ticketNumber === ticketNumber);
+
+  // A QR code issued before the booking was moved or its seat changed no longer counts
+  if (scanned && (
+    scanned.bk !== booking._id.toString() ||
+    (scanned.dp && booking.departure && scanned.dp !== idOf(booking.departure)) ||
+    (scanned.st || null) !== (passenger.seatNumber || null)
+  )) {
+    return res.status(409).json({
+      success: false,
+      code: 'TICKET_SUPERSEDED',
+      message: 'This ticket has been replaced; ask the passenger for their latest e-ticket'
+    });
+  }
+
+  // Older bookings are only linked to their departure by route and date
+  const departure = await getBookingDeparture(booking);
+  if (idOf(departure) !== departureId) {
+    return res.status(409).json({
+      success: false,
+      code: 'WRONG_DEPARTURE',
+      message: 'This ticket is for a different departure',
+      data: { departure: booking.departure, departureDate: booking.departureDate }
+    });
+  }
+
+  if (['cancelled', 'rejected'].includes(booking.bookingStatus)) {
+    return res.status(409).json({
+      success: false,
+      code: 'BOOKING_CANCELLED',
+      message: `This booking has been ${booking.bookingStatus}`
+    });
+  }
+
+  if (booking.paymentStatus !== 'paid') {
+    return res.status(402).json({
+      success: false,
+      code: 'TICKET_NOT_PAID',
+      message: 'This booking has not been paid'
+    });
+  }
+
+  // Mark the passenger boarded only if nobody has scanned the ticket yet
+  const now = new Date();
+  const boarded = await Booking.findOneAndUpdate(
+    {
+      _id: booking._id,
+      passengers: { $elemMatch: { ticketNumber, boardedAt: { $exists: false } } }
+    },
+    { $set: { 'passengers.$.boardedAt': now, 'passengers.$.boardedBy': req.user.id } },
+    { new: true }
+  );
+
+  if (!boarded) {
+    const current = await Booking.findById(booking._id).select('passengers');
+    const previous = current?.passengers.find(p => p.ticketNumber === ticketNumber);
+    return res.status(409).json({
+      success: false,
+      code: 'ALREADY_BOARDED',
+      message: 'This ticket has already been used',
+      data: { boardedAt: previous?.boardedAt }
+    });
+  }
+
+  logger.info(`Ticket ${ticketNumber} of booking ${booking.bookingReference} checked in by ${req.user.id}`);
+
+  const checkedIn = boarded.passengers.find(p => p.ticketNumber === ticketNumber);
+  res.status(200).json({
+    success: true,
+    data: {
+      bookingId: boarded._id,
+      bookingReference: boarded.bookingReference,
+      departure: boarded.departure,
+      departureDate: boarded.departureDate,
+      passenger: {
+        name: checkedIn.name,
+        passengerType: checkedIn.passengerType,
+        seatNumber: checkedIn.seatNumber,
+        ticketNumber: checkedIn.ticketNumber,
+        boardedAt: checkedIn.boardedAt
+      }
+    },
+    message: 'Passenger checked in'
+  });
+});
+
+// @desc    Get who has boarded a departure and who has not shown up
+// @route   GET /api/vendor/departures/:id/boarding
+// @access  Private (Vendor)
+const getBoardingReport = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404);
+    throw new Error('Departure not found');
+  }
+
+  const departure = await Departure.findById(req.params.id).select('-seatAssignments');
+  if (!departure) {
+    res.status(404);
+    throw new Error('Departure not found');
+  }
+
+  if (!canManage(req.user, departure.vendor)) {
+    res.status(403);
+    throw new Error('Not authorized to view this departure');
+  }
+
+  const bookings = await getDepartureBookings(departure)
+    .populate('user', 'name email phone')
+    .sort({ createdAt: 1 });
+
+  // Passengers not checked in count as no-shows once the departure has left
+  const departed = departure.departureAt <= new Date();
+  const passengers = [];
+  bookings.forEach(booking => {
+    booking.passengers.forEach(passenger => {
+      let status = 'not_boarded';
+      if (passenger.boardedAt) {
+        status = 'boarded';
+      } else if (departed) {
+        status = 'no_show';
+      }
+
+      passengers.push({
+        bookingId: booking._id,
+        bookingReference: booking.bookingReference,
+        customer: booking.user,
+        name: passenger.name,
+        passengerType: passenger.passengerType,
+        seatNumber: passenger.seatNumber,
+        ticketNumber: passenger.ticketNumber,
+        status,
+        boardedAt: passenger.boardedAt
+      });
+    });
+  });
+
+  const summary = {
+    total: passengers.length,
+    boarded: passengers.filter(p => p.status === 'boarded').length,
+    noShow: passengers.filter(p => p.status === 'no_show').length,
+    notBoarded: passengers.filter(p => p.status === 'not_boarded').length
+  };
+
+  res.status(200).json({
+    success: true,
+    data: {
+      departure: {
+        _id: departure._id,
+        route: departure.route,
+        departureAt: departure.departureAt,
+        status: departure.status
+      },
+      summary,
+      passengers
+    }
+  });
+});
+
+module.exports = {
+  checkInTicket,
+  getBoardingReport
+};
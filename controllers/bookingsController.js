@@ -1,63 +1,126 @@
 const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
 const Booking = require('../models/Booking');
+const Departure = require('../models/Departure');
 const Route = require('../models/Route');
+const Trip = require('../models/Trip');
 const User = require('../models/User');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const {
+  getBookingDeparture,
+  getBookingRestriction,
+  getDepartureForDate,
+  holdSeats,
+  releaseSeats
+} = require('../utils/departures');
+const { getFreeSeats, listSeatNumbers } = require('../utils/seats');
+const { emitHoldStatus, getHoldExpiry, getHoldStatus } = require('../utils/seatHolds');
+const { normalizePassengers, priceManifest } = require('../utils/passengers');
+const { calculateFare, calculateCharges } = require('../utils/pricing');
+const { checkCoupon, redeemCoupon, releaseCoupon } = require('../utils/coupons');
+const stripe = require('../config/stripe');
+const ticketSigning = require('../config/ticketSigning');
+const { renderTicketPdf } = require('../utils/tickets');
+const { getArrivalAt } = require('../utils/journeys');
+const { notifyBookingEvent } = require('../utils/notifications');
+const {
+  checkBookingChange,
+  completeBookingChange,
+  quoteBookingChange,
+  requestBookingChange
+} = require('../utils/bookingChanges');
+const {
+  ACTIVE_STATUSES: ACTIVE_WAITLIST_STATUSES,
+  cancelWaitlistEntry,
+  claimWaitlistOffer,
+  getWaitlistPosition,
+  offerWaitlistSeats,
+  reserveOfferedSeats,
+  restoreWaitlistOffer
+} = require('../utils/waitlist');
+const {
+  CANCELLABLE_STATUSES,
+  getCompletedPayments,
+  getPaidAmount,
+  getRefundQuote,
+  processCancellation
+} = require('../utils/cancellations');
 
-// @desc    Create a new booking
-// @route   POST /api/bookings
-// @access  Private
-const createBooking = asyncHandler(async (req, res) => {
-  const { routeId, quantity } = req.body;
-  const userId = req.user.id;
+// Shape of a failed placeBooking: the HTTP status and the response body
+const bookingError = (status, body) => ({ error: { status, ...body } });
+
+/**
+ * Validate, price and place one booking: hold its seats on the departure,
+ * apply any coupon and save it. Used for single bookings, for each leg of a
+ * trip and for waitlist claims, which pass the seats they were offered.
+ * Returns { booking } or { error } with the status and response body.
+ */
+const placeBooking = async (input, user, { trip, legIndex, offeredSeats = 0 } = {}) => {
+  const { routeId, departureId, seats, couponCode } = input;
+  const userId = user.id;
 
   // Validate input
-  if (!routeId || !quantity || quantity < 1) {
-    return res.status(400).json({
-      success: false,
-      message: 'Route ID and valid quantity are required'
+  if (!routeId) {
+    return bookingError(400, {
+      message: 'Route ID is required'
     });
   }
 
   // Find the route
   const route = await Route.findById(routeId);
   if (!route) {
-    return res.status(404).json({
-      success: false,
+    return bookingError(404, {
       message: 'Route not found'
     });
   }
 
-  console.log('Route data:', {
-    routeId: route._id,
-    operator: route.operator,
-    operatorType: typeof route.operator,
-    schedule: route.schedule,
-    availableTickets: route.availableTickets,
-    price: route.price
-  });
-
-  // Check if route has available tickets
-  const availableTickets = route.availableTickets || route.availableQuantity || 10; // Default to 10 if not specified
-  if (availableTickets <= 0) {
-    return res.status(400).json({
-      success: false,
-      message: 'No tickets available for this route'
+  // Validate the passenger manifest against the route's transport type
+  const { passengers: manifest, errors: passengerErrors } = normalizePassengers(input.passengers, route);
+  if (passengerErrors.length > 0) {
+    return bookingError(400, {
+      message: 'Invalid passenger details',
+      errors: passengerErrors
     });
   }
 
-  // Check if requested quantity exceeds available tickets
-  if (quantity > availableTickets) {
-    return res.status(400).json({
-      success: false,
-      message: `Only ${availableTickets} tickets available`
+  // Every passenger except infants needs a seat
+  const seatedPassengers = manifest.filter(p => p.passengerType !== 'infant');
+  const quantity = seatedPassengers.length;
+
+  if (input.quantity && parseInt(input.quantity, 10) !== quantity) {
+    return bookingError(400, {
+      message: 'Quantity must match the number of passengers that need a seat'
     });
   }
 
+  // Seats can be picked per passenger or as a list in passenger order
+  const passengerSeats = seatedPassengers.map(p => p.seatNumber).filter(Boolean);
+  let selectedSeats = null;
+  if (passengerSeats.length > 0) {
+    selectedSeats = passengerSeats;
+  } else if (Array.isArray(seats)) {
+    selectedSeats = seats.map(seat => String(seat).trim().toUpperCase());
+  }
+
+  if (selectedSeats) {
+    if (selectedSeats.length !== quantity) {
+      return bookingError(400, {
+        message: 'Select one seat for every passenger except infants'
+      });
+    }
+
+    if (new Set(selectedSeats).size !== selectedSeats.length) {
+      return bookingError(400, {
+        message: 'Each seat can only be selected once'
+      });
+    }
+  }
+
   // Use the booking date from the request or default to today
   let departureTime;
   try {
-    if (req.body.bookingDate) {
-      departureTime = new Date(req.body.bookingDate);
+    if (input.bookingDate) {
+      departureTime = new Date(input.bookingDate);
     } else {
       // If no booking date provided, use today's date with the route's time
       const timeString = route.schedule[0]?.departureTime;
@@ -73,36 +136,67 @@ const createBooking = asyncHandler(async (req, res) => {
 
     // Check if the date is valid
     if (isNaN(departureTime.getTime())) {
-      console.error('Invalid departure time format:', req.body.bookingDate || route.schedule[0]?.departureTime);
-      return res.status(400).json({
-        success: false,
+      console.error('Invalid departure time format:', input.bookingDate || route.schedule[0]?.departureTime);
+      return bookingError(400, {
         message: 'Invalid departure time format'
       });
     }
   } catch (error) {
     console.error('Error parsing departure time:', error);
-    return res.status(400).json({
-      success: false,
+    return bookingError(400, {
       message: 'Invalid departure time format'
     });
   }
 
-  const now = new Date();
+  // Resolve the departure being booked - an explicit departure ID wins over the date
+  let departure;
+  if (departureId) {
+    departure = await Departure.findOne({ _id: departureId, route: route._id });
+  } else {
+    departure = await getDepartureForDate(route, departureTime);
+  }
 
-  console.log('Backend departure time check:', {
-    routeDepartureTime: route.schedule[0].departureTime,
-    parsedDepartureTime: departureTime.toISOString(),
-    now: now.toISOString(),
-    isPast: departureTime <= now
-  });
+  if (!departure || departure.status !== 'scheduled') {
+    return bookingError(400, {
+      message: 'This route does not run on the selected date'
+    });
+  }
+
+  departureTime = departure.departureAt;
+  const now = new Date();
 
   if (departureTime <= now) {
-    return res.status(400).json({
-      success: false,
+    return bookingError(400, {
       message: 'Cannot book tickets for past departure'
     });
   }
 
+  // Respect the route's blackout periods and advance-booking window
+  const restriction = getBookingRestriction(route, departureTime, now);
+  if (restriction) {
+    return bookingError(400, {
+      code: restriction.code,
+      message: restriction.message
+    });
+  }
+
+  // Check if the departure has available tickets (seats offered to this user count as free)
+  const availableTickets = departure.availableSeats + offeredSeats;
+  if (availableTickets <= 0) {
+    return bookingError(400, {
+      code: 'SOLD_OUT',
+      message: 'No tickets available for this departure',
+      waitlistAvailable: true
+    });
+  }
+
+  // Check if requested quantity exceeds available tickets
+  if (quantity > availableTickets) {
+    return bookingError(400, {
+      message: `Only ${availableTickets} tickets available`
+    });
+  }
+
   // Handle vendor/operator - can be either ObjectId string or embedded object
   let vendor;
   try {
@@ -121,30 +215,104 @@ const createBooking = asyncHandler(async (req, res) => {
     }
 
     if (!vendor) {
-      return res.status(404).json({
-        success: false,
+      return bookingError(404, {
         message: 'Vendor not found'
       });
     }
   } catch (error) {
     console.error('Error finding vendor:', error);
-    return res.status(400).json({
-      success: false,
+    return bookingError(400, {
       message: 'Invalid vendor information'
     });
   }
 
-  // Calculate total amount - handle different price field names
-  const baseFare = route.price || route.pricing?.baseFare || route.fare || 500; // Default to 500 if not specified
-  const totalAmount = baseFare * quantity;
+  // Validate the selected seats against the route's seat layout
+  if (selectedSeats) {
+    const seatNumbers = listSeatNumbers(route, departure);
+    const invalidSeats = selectedSeats.filter(seat => !seatNumbers.includes(seat));
+    if (invalidSeats.length > 0) {
+      return bookingError(400, {
+        message: `Invalid seat numbers: ${invalidSeats.join(', ')}`
+      });
+    }
+  }
+
+  // Hold the seats atomically so no seat can be booked twice
+  const bookingId = new mongoose.Types.ObjectId();
+  let bookedSeats = selectedSeats;
+  let heldDeparture = null;
+
+  if (selectedSeats) {
+    heldDeparture = await holdSeats(departure._id, bookingId, selectedSeats, { offeredSeats });
+  } else {
+    // No seats picked - take the first free ones, retrying if another booking gets them first
+    let current = departure;
+    for (let attempt = 0; attempt < 3 && !heldDeparture; attempt++) {
+      bookedSeats = getFreeSeats(route, current).slice(0, quantity);
+      if (bookedSeats.length < quantity) {
+        break;
+      }
+      heldDeparture = await holdSeats(departure._id, bookingId, bookedSeats, { offeredSeats });
+      if (!heldDeparture) {
+        current = await Departure.findById(departure._id);
+      }
+    }
+  }
+
+  if (!heldDeparture) {
+    const latest = await Departure.findById(departure._id);
+    const takenSeats = new Set(latest.seatAssignments.map(a => a.seatNumber));
+    const unavailableSeats = (selectedSeats || []).filter(seat => takenSeats.has(seat));
+
+    return bookingError(409, {
+      message: unavailableSeats.length > 0
+        ? 'Some of the selected seats are no longer available'
+        : `Only ${latest.availableSeats} tickets available`,
+      unavailableSeats
+    });
+  }
+
+  // Give the seats back (and keep an offer's seats aside again) if the booking falls through
+  const undoHold = async () => {
+    await releaseSeats(departure._id, bookingId);
+    if (offeredSeats > 0) {
+      await reserveOfferedSeats(departure._id, offeredSeats);
+    }
+  };
+
+  // Assign the held seats to the passengers in order
+  seatedPassengers.forEach((passenger, index) => {
+    passenger.seatNumber = bookedSeats[index];
+  });
+
+  // Price the adult fare for this departure, then each passenger from it
+  const fare = calculateFare(route, departure);
+  const subtotal = priceManifest(manifest, route, fare.fare);
+
+  // Take the coupon, if any, off the fare subtotal before taxes and fees
+  let coupon = null;
+  let discount = 0;
+  if (couponCode) {
+    const check = await checkCoupon(couponCode, { userId, route, subtotal });
+    const redeemed = !check.error && await redeemCoupon(check.coupon, {
+      userId,
+      bookingId,
+      discount: check.discount
+    });
+
+    if (!redeemed) {
+      await undoHold();
+      return bookingError(400, {
+        code: check.error ? check.error.code : 'COUPON_USAGE_LIMIT',
+        message: check.error ? check.error.message : 'This coupon is no longer available'
+      });
+    }
 
-  // Create passengers array (basic implementation)
-  const passengers = Array(quantity).fill().map((_, index) => ({
-    name: `Passenger ${index + 1}`,
-    age: 25,
-    gender: 'male',
-    seatNumber: `A${index + 1}`
-  }));
+    coupon = check.coupon;
+    discount = check.discount;
+  }
+
+  const charges = calculateCharges(subtotal, discount);
 
   // Generate booking reference
   const date = new Date();
@@ -153,27 +321,80 @@ const createBooking = asyncHandler(async (req, res) => {
   const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
   const bookingReference = `TB${year}${month}${random}`;
 
-  // Create the booking
-  const booking = await Booking.create({
-    bookingReference: bookingReference,
-    user: userId,
-    route: routeId,
-    vendor: vendor._id,
-    bookingStatus: 'pending',
-    bookingQuantity: quantity,
-    passengers: passengers,
-    departureDate: departureTime,
-    totalAmount: totalAmount,
-    baseFare: baseFare,
-    contactInfo: {
-      email: req.user.email,
-      phone: req.user.phone || 'N/A'
+  // Create the booking, giving the seats back if it cannot be saved
+  let booking;
+  try {
+    booking = await Booking.create({
+      _id: bookingId,
+      bookingReference: bookingReference,
+      user: userId,
+      route: routeId,
+      departure: departure._id,
+      vendor: vendor._id,
+      bookingStatus: 'pending',
+      bookingQuantity: quantity,
+      passengers: manifest,
+      departureDate: departureTime,
+      totalAmount: charges.totalAmount,
+      subtotal: charges.subtotal,
+      discount: charges.discount,
+      taxes: charges.taxes,
+      fees: charges.fees,
+      coupon: coupon ? coupon._id : undefined,
+      couponCode: coupon ? coupon.code : undefined,
+      baseFare: fare.baseFare,
+      fareBreakdown: {
+        adultFare: fare.fare,
+        multiplier: fare.multiplier,
+        adjustments: fare.adjustments,
+        calculatedAt: new Date()
+      },
+      trip,
+      legIndex,
+      holdStartedAt: new Date(),
+      holdExpiresAt: getHoldExpiry(),
+      contactInfo: {
+        email: user.email,
+        phone: user.phone || 'N/A'
+      }
+    });
+  } catch (error) {
+    await undoHold();
+    if (coupon) {
+      await releaseCoupon({ _id: bookingId, coupon: coupon._id, couponCode: coupon.code, bookingReference });
     }
+    throw error;
+  }
+
+  return { booking, route, departure };
+};
+
+// Send a failed placeBooking to the client
+const sendBookingError = (res, error) => {
+  const { status, ...body } = error;
+  return res.status(status).json({
+    success: false,
+    ...body
   });
+};
+
+// @desc    Create a new booking
+// @route   POST /api/bookings
+// @access  Private
+const createBooking = asyncHandler(async (req, res) => {
+  const { booking, error } = await placeBooking(req.body, req.user);
+  if (error) {
+    return sendBookingError(res, error);
+  }
+
+  // Let the client start its payment countdown
+  emitHoldStatus(req.app.get('io'), booking);
+  notifyBookingEvent('booking_created', booking);
 
   res.status(201).json({
     success: true,
     data: booking,
+    hold: getHoldStatus(booking),
     message: 'Booking created successfully with pending status'
   });
 });
@@ -221,8 +442,754 @@ const getBookingById = asyncHandler(async (req, res) => {
   });
 });
 
+// Load a booking the current user may manage (its owner or an admin)
+const findOwnBooking = async (req, res) => {
+  const booking = await Booking.findById(req.params.id).populate('route');
+
+  if (!booking) {
+    res.status(404).json({
+      success: false,
+      message: 'Booking not found'
+    });
+    return null;
+  }
+
+  if (booking.user.toString() !== req.user.id && req.user.role !== 'admin') {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage this booking'
+    });
+    return null;
+  }
+
+  return booking;
+};
+
+// @desc    Download the e-ticket of a paid booking, one page per passenger
+// @route   GET /api/bookings/:id/ticket.pdf
+// @access  Private
+const getTicketPdf = asyncHandler(async (req, res) => {
+  const booking = await findOwnBooking(req, res);
+  if (!booking) return;
+
+  if (booking.paymentStatus !== 'paid' || ['cancelled', 'rejected'].includes(booking.bookingStatus)) {
+    return res.status(400).json({
+      success: false,
+      code: 'TICKET_NOT_AVAILABLE',
+      message: 'Tickets are issued once the booking has been paid'
+    });
+  }
+
+  const departure = await getBookingDeparture(booking);
+  const pdf = await renderTicketPdf({ booking, route: booking.route, departure });
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `inline; filename="ticket-${booking.bookingReference}.pdf"`,
+    'Content-Length': pdf.length
+  });
+  res.status(200).send(pdf);
+});
+
+// @desc    Get the public key that verifies ticket QR codes offline
+// @route   GET /api/bookings/ticket-key
+// @access  Public
+const getTicketVerificationKey = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      keyId: ticketSigning.keyId,
+      algorithm: 'Ed25519',
+      publicKey: ticketSigning.publicKeyPem,
+      // TB1.<payload>.<signature>: the signature covers "TB1.<payload>", both parts base64url
+      format: 'TB1.<base64url JSON payload>.<base64url signature>'
+    }
+  });
+});
+
+// @desc    Get the refund a cancellation would give right now
+// @route   GET /api/bookings/:id/cancellation-quote
+// @access  Private
+const getCancellationQuote = asyncHandler(async (req, res) => {
+  const booking = await findOwnBooking(req, res);
+  if (!booking) return;
+
+  const payments = booking.paymentStatus === 'paid' ? await getCompletedPayments(booking._id) : [];
+
+  res.status(200).json({
+    success: true,
+    data: getRefundQuote(booking, booking.route, getPaidAmount(booking, payments))
+  });
+});
+
+// Cancel a booking (with its route populated) and send the result
+const respondWithCancellation = async (req, res, booking) => {
+  const { reason } = req.body;
+
+  if (!CANCELLABLE_STATUSES.includes(booking.bookingStatus)) {
+    return res.status(400).json({
+      success: false,
+      code: 'BOOKING_NOT_CANCELLABLE',
+      message: `Booking is already ${booking.bookingStatus}`
+    });
+  }
+
+  if (booking.route?.cancellation?.allowed === false) {
+    return res.status(400).json({
+      success: false,
+      code: 'CANCELLATION_NOT_ALLOWED',
+      message: 'This route does not allow cancellations'
+    });
+  }
+
+  if (new Date(booking.departureDate) <= new Date()) {
+    return res.status(400).json({
+      success: false,
+      code: 'DEPARTURE_PASSED',
+      message: 'Cannot cancel a booking after departure'
+    });
+  }
+
+  const result = await processCancellation({
+    booking,
+    route: booking.route,
+    cancelledBy: req.user._id,
+    reason,
+    io: req.app.get('io')
+  });
+
+  if (!result) {
+    return res.status(409).json({
+      success: false,
+      code: 'BOOKING_NOT_CANCELLABLE',
+      message: 'Booking has already been cancelled or processed'
+    });
+  }
+
+  const io = req.app.get('io');
+  if (io) {
+    io.to(`booking-${booking._id}`).emit('booking-cancelled', {
+      bookingId: booking._id,
+      refundAmount: result.refundedAmount
+    });
+  }
+
+  let message = 'Booking cancelled';
+  if (result.refundPending > 0) {
+    message = `Booking cancelled. ${result.refundedAmount} will be refunded; the remaining ${result.refundPending} could not be refunded automatically and will be refunded by support`;
+  } else if (result.refund) {
+    message = `Booking cancelled. ${result.quote.refundAmount} will be refunded`;
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      booking: result.booking,
+      refund: {
+        ...result.quote,
+        refundedAmount: result.refundedAmount,
+        refundPending: result.refundPending,
+        refundId: result.refund ? result.refund.id : null
+      }
+    },
+    message
+  });
+};
+
+// @desc    Cancel a booking, refunding what the route's policy allows
+// @route   PUT /api/bookings/:id/cancel
+// @access  Private
+const cancelBooking = asyncHandler(async (req, res) => {
+  const booking = await findOwnBooking(req, res);
+  if (!booking) return;
+
+  await respondWithCancellation(req, res, booking);
+});
+
+// Resolve the route and departure a booking change asks for; the route defaults to the booking's own
+const findChangeTarget = async (booking, { routeId, departureId, bookingDate }) => {
+  const newRoute = routeId && routeId.toString() !== booking.route._id.toString()
+    ? await Route.findById(routeId)
+    : booking.route;
+  if (!newRoute) {
+    return {};
+  }
+
+  let newDeparture = null;
+  if (departureId) {
+    newDeparture = await Departure.findOne({ _id: departureId, route: newRoute._id });
+  } else if (bookingDate) {
+    newDeparture = await getDepartureForDate(newRoute, bookingDate);
+  }
+
+  return { newRoute, newDeparture };
+};
+
+// Summary of a change quote for the client
+const formatChangeQuote = (quote) => ({
+  currentTotal: quote.currentTotal,
+  newTotal: quote.newTotal,
+  fareDifference: quote.fareDifference,
+  changeFee: quote.changeFee,
+  amountDue: quote.amountDue,
+  fare: quote.fare,
+  charges: quote.charges
+});
+
+// @desc    Get what moving a booking to another departure would cost
+// @route   GET /api/bookings/:id/change-quote
+// @access  Private
+const getChangeQuote = asyncHandler(async (req, res) => {
+  const booking = await findOwnBooking(req, res);
+  if (!booking) return;
+
+  const { newRoute, newDeparture } = await findChangeTarget(booking, req.query);
+  if (!newRoute) {
+    return res.status(404).json({
+      success: false,
+      message: 'Route not found'
+    });
+  }
+
+  const changeError = checkBookingChange({ booking, currentRoute: booking.route, newRoute, newDeparture });
+  if (changeError) {
+    return res.status(400).json({
+      success: false,
+      ...changeError
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: formatChangeQuote(quoteBookingChange({ booking, currentRoute: booking.route, newRoute, newDeparture }))
+  });
+});
+
+// @desc    Move a booking to another departure or route
+// @route   POST /api/bookings/:id/change
+// @access  Private
+const changeBooking = asyncHandler(async (req, res) => {
+  const booking = await findOwnBooking(req, res);
+  if (!booking) return;
+
+  const { seats, reason, successUrl, cancelUrl } = req.body;
+
+  const { newRoute, newDeparture } = await findChangeTarget(booking, req.body);
+  if (!newRoute) {
+    return res.status(404).json({
+      success: false,
+      message: 'Route not found'
+    });
+  }
+
+  const changeError = checkBookingChange({ booking, currentRoute: booking.route, newRoute, newDeparture });
+  if (changeError) {
+    return res.status(400).json({
+      success: false,
+      ...changeError
+    });
+  }
+
+  const result = await requestBookingChange({
+    booking,
+    currentRoute: booking.route,
+    newRoute,
+    newDeparture,
+    seats: Array.isArray(seats) ? seats : null,
+    requestedBy: req.user.id,
+    reason,
+    successUrl,
+    cancelUrl,
+    customerEmail: req.user.email,
+    io: req.app.get('io')
+  });
+
+  if (result.error) {
+    return res.status(['SEATS_UNAVAILABLE', 'SOLD_OUT'].includes(result.error.code) ? 409 : 400).json({
+      success: false,
+      ...result.error
+    });
+  }
+
+  const { change, checkout } = result;
+
+  if (checkout) {
+    return res.status(200).json({
+      success: true,
+      data: {
+        change,
+        sessionId: checkout.session.id,
+        sessionUrl: checkout.session.url,
+        expiresAt: checkout.expiresAt
+      },
+      message: `Pay ${change.amountDue} to complete the change`
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      booking: result.booking,
+      change
+    },
+    message: change.refundAmount
+      ? `Booking changed. ${change.refundAmount} will be refunded`
+      : 'Booking changed successfully'
+  });
+});
+
+// @desc    Complete a booking change after its Stripe checkout
+// @route   POST /api/bookings/:id/change/confirm
+// @access  Private
+const confirmBookingChange = asyncHandler(async (req, res) => {
+  const booking = await findOwnBooking(req, res);
+  if (!booking) return;
+
+  const { sessionId } = req.body;
+  if (!sessionId) {
+    res.status(400);
+    throw new Error('Stripe session ID is required');
+  }
+
+  let session;
+  try {
+    session = await stripe.checkout.sessions.retrieve(sessionId);
+  } catch (error) {
+    res.status(400);
+    throw new Error('Failed to verify payment with Stripe');
+  }
+
+  if (session.metadata?.bookingId !== booking._id.toString() || !session.metadata?.changeId) {
+    res.status(400);
+    throw new Error('Session does not belong to a change of this booking');
+  }
+
+  if (session.payment_status !== 'paid') {
+    res.status(400);
+    throw new Error('Payment not completed in Stripe');
+  }
+
+  // Returns null if the webhook already applied the change
+  await completeBookingChange({
+    bookingId: booking._id,
+    changeId: session.metadata.changeId,
+    sessionId,
+    paymentIntentId: session.payment_intent,
+    io: req.app.get('io')
+  });
+
+  const updated = await Booking.findById(booking._id);
+  const change = updated.changes.id(session.metadata.changeId);
+
+  if (['failed', 'expired'].includes(change.status)) {
+    return res.status(409).json({
+      success: false,
+      code: 'CHANGE_LAPSED',
+      message: 'The change could not be completed and its payment has been refunded'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      booking: updated,
+      change
+    },
+    message: change.status === 'completed'
+      ? 'Booking changed successfully'
+      : 'The change payment is still being processed'
+  });
+});
+
+// Most legs a single trip can have
+const MAX_TRIP_LEGS = 4;
+
+// Undo the legs already placed when a later leg of a trip fails
+const discardLegs = async (bookings) => {
+  for (const booking of bookings) {
+    await releaseSeats(booking.departure, booking._id);
+    await releaseCoupon(booking);
+    await booking.deleteOne();
+  }
+};
+
+// Two legs where the second goes straight back make a round trip
+const getTripType = (routes) => {
+  const [outbound, inbound] = routes;
+  const isReturn = routes.length === 2 &&
+    outbound.from.city.toLowerCase() === inbound.to.city.toLowerCase() &&
+    outbound.to.city.toLowerCase() === inbound.from.city.toLowerCase();
+  return isReturn ? 'round_trip' : 'multi_leg';
+};
+
+// Load a trip the current user may manage (its owner or an admin)
+const findOwnTrip = async (req, res) => {
+  const trip = await Trip.findById(req.params.id);
+
+  if (!trip) {
+    res.status(404).json({
+      success: false,
+      message: 'Trip not found'
+    });
+    return null;
+  }
+
+  if (trip.user.toString() !== req.user.id && req.user.role !== 'admin') {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage this trip'
+    });
+    return null;
+  }
+
+  return trip;
+};
+
+// @desc    Book a trip of several legs (round trip or connections)
+// @route   POST /api/bookings/trips
+// @access  Private
+const createTrip = asyncHandler(async (req, res) => {
+  const { legs } = req.body;
+
+  if (!Array.isArray(legs) || legs.length < 2 || legs.length > MAX_TRIP_LEGS) {
+    return res.status(400).json({
+      success: false,
+      message: `A trip needs between 2 and ${MAX_TRIP_LEGS} legs`
+    });
+  }
+
+  // The same travellers go on every leg unless a leg lists its own;
+  // seats differ per leg, so shared passengers pick them through legs[].seats
+  const passengers = Array.isArray(req.body.passengers)
+    ? req.body.passengers.map(passenger => {
+      if (!passenger || typeof passenger !== 'object' || Array.isArray(passenger)) {
+        return passenger;
+      }
+      const { seatNumber, ...shared } = passenger;
+      return shared;
+    })
+    : undefined;
+
+  const tripId = new mongoose.Types.ObjectId();
+  const bookings = [];
+  const routes = [];
+
+  // Legs placed so far are given back if a later one fails, even with an exception
+  let previousArrival = null;
+  try {
+    for (const [legIndex, leg] of legs.entries()) {
+      const { booking, route, departure, error } = await placeBooking(
+        { ...leg, passengers: leg.passengers || passengers },
+        req.user,
+        { trip: tripId, legIndex }
+      );
+
+      if (error) {
+        await discardLegs(bookings);
+        return sendBookingError(res, { ...error, legIndex });
+      }
+
+      // Each leg must leave after the previous one arrives
+      if (previousArrival && departure.departureAt <= previousArrival) {
+        await discardLegs([...bookings, booking]);
+        return res.status(400).json({
+          success: false,
+          legIndex,
+          message: 'Each leg must depart after the previous one arrives'
+        });
+      }
+
+      bookings.push(booking);
+      routes.push(route);
+      previousArrival = getArrivalAt(departure) || departure.departureAt;
+    }
+  } catch (error) {
+    await discardLegs(bookings);
+    throw error;
+  }
+
+  const tripType = getTripType(routes);
+
+  let trip;
+  try {
+    if (tripType === 'round_trip') {
+      bookings[0].returnDate = bookings[1].departureDate;
+      await bookings[0].save();
+    }
+
+    trip = await Trip.create({
+      _id: tripId,
+      user: req.user.id,
+      tripType,
+      legs: bookings.map(booking => booking._id),
+      totalAmount: Math.round(bookings.reduce((sum, booking) => sum + booking.totalAmount, 0) * 100) / 100
+    });
+  } catch (error) {
+    await discardLegs(bookings);
+    throw error;
+  }
+
+  // Let the client start its payment countdown for every leg
+  const io = req.app.get('io');
+  bookings.forEach(booking => {
+    emitHoldStatus(io, booking);
+    notifyBookingEvent('booking_created', booking);
+  });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      trip,
+      legs: bookings
+    },
+    hold: getHoldStatus(bookings[0]),
+    message: 'Trip booked successfully with pending status'
+  });
+});
+
+// @desc    Get trip with its legs
+// @route   GET /api/bookings/trips/:id
+// @access  Private
+const getTrip = asyncHandler(async (req, res) => {
+  const trip = await findOwnTrip(req, res);
+  if (!trip) return;
+
+  await trip.populate({
+    path: 'legs',
+    populate: { path: 'route', select: 'title from to type operator schedule' }
+  });
+
+  res.status(200).json({
+    success: true,
+    data: trip
+  });
+});
+
+// @desc    Cancel one leg of a trip
+// @route   PUT /api/bookings/trips/:id/legs/:legIndex/cancel
+// @access  Private
+const cancelTripLeg = asyncHandler(async (req, res) => {
+  const trip = await findOwnTrip(req, res);
+  if (!trip) return;
+
+  const booking = await Booking.findOne({
+    trip: trip._id,
+    legIndex: parseInt(req.params.legIndex, 10)
+  }).populate('route');
+
+  if (!booking) {
+    return res.status(404).json({
+      success: false,
+      message: 'Trip leg not found'
+    });
+  }
+
+  await respondWithCancellation(req, res, booking);
+});
+
+// @desc    Join the waitlist of a sold-out departure
+// @route   POST /api/bookings/waitlist
+// @access  Private
+const joinWaitlist = asyncHandler(async (req, res) => {
+  const { routeId, departureId, bookingDate } = req.body;
+  const seats = parseInt(req.body.seats, 10) || 1;
+
+  if (!routeId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Route ID is required'
+    });
+  }
+
+  const route = await Route.findById(routeId);
+  if (!route) {
+    return res.status(404).json({
+      success: false,
+      message: 'Route not found'
+    });
+  }
+
+  let departure = null;
+  if (departureId) {
+    departure = await Departure.findOne({ _id: departureId, route: route._id });
+  } else if (bookingDate) {
+    departure = await getDepartureForDate(route, bookingDate);
+  }
+
+  if (!departure || departure.status !== 'scheduled' || departure.departureAt <= new Date()) {
+    return res.status(400).json({
+      success: false,
+      message: 'This departure cannot be waitlisted'
+    });
+  }
+
+  if (seats < 1 || seats > departure.capacity) {
+    return res.status(400).json({
+      success: false,
+      message: `Seats must be between 1 and ${departure.capacity}`
+    });
+  }
+
+  // Nobody needs to wait while the seats can simply be booked
+  if (departure.availableSeats >= seats) {
+    return res.status(400).json({
+      success: false,
+      code: 'SEATS_AVAILABLE',
+      message: `${departure.availableSeats} tickets are available, book them directly`
+    });
+  }
+
+  let entry;
+  try {
+    entry = await WaitlistEntry.create({
+      user: req.user.id,
+      route: route._id,
+      departure: departure._id,
+      seats
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        code: 'ALREADY_WAITLISTED',
+        message: 'You are already on the waitlist for this departure'
+      });
+    }
+    throw error;
+  }
+
+  res.status(201).json({
+    success: true,
+    data: {
+      ...entry.toJSON(),
+      position: await getWaitlistPosition(entry)
+    },
+    message: 'Added to the waitlist'
+  });
+});
+
+// @desc    Get the current user's waitlist entries
+// @route   GET /api/bookings/waitlist
+// @access  Private
+const getMyWaitlist = asyncHandler(async (req, res) => {
+  const filter = { user: req.user.id };
+  if (req.query.status !== 'all') {
+    filter.status = { $in: ACTIVE_WAITLIST_STATUSES };
+  }
+
+  const entries = await WaitlistEntry.find(filter)
+    .populate('route', 'from to type operator')
+    .populate('departure', 'departureAt departureTime arrivalTime status')
+    .sort({ createdAt: -1 });
+
+  const data = [];
+  for (const entry of entries) {
+    data.push({
+      ...entry.toJSON(),
+      position: await getWaitlistPosition(entry)
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data
+  });
+});
+
+// @desc    Leave a waitlist (declining any open offer)
+// @route   DELETE /api/bookings/waitlist/:id
+// @access  Private
+const leaveWaitlist = asyncHandler(async (req, res) => {
+  const entry = await WaitlistEntry.findOne({ _id: req.params.id, user: req.user.id });
+
+  if (!entry) {
+    return res.status(404).json({
+      success: false,
+      message: 'Waitlist entry not found'
+    });
+  }
+
+  if (!await cancelWaitlistEntry(entry, req.app.get('io'))) {
+    return res.status(400).json({
+      success: false,
+      message: 'This waitlist entry is no longer active'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Removed from the waitlist'
+  });
+});
+
+// @desc    Book the seats offered from a waitlist
+// @route   POST /api/bookings/waitlist/:id/claim
+// @access  Private
+const claimWaitlistSeats = asyncHandler(async (req, res) => {
+  const entry = await claimWaitlistOffer(req.params.id, req.user.id);
+
+  if (!entry) {
+    return res.status(400).json({
+      success: false,
+      code: 'OFFER_NOT_AVAILABLE',
+      message: 'This waitlist offer is not open or has expired'
+    });
+  }
+
+  let result;
+  try {
+    result = await placeBooking(
+      { ...req.body, routeId: entry.route, departureId: entry.departure },
+      req.user,
+      { offeredSeats: entry.seats }
+    );
+  } catch (error) {
+    await restoreWaitlistOffer(entry);
+    throw error;
+  }
+
+  if (result.error) {
+    await restoreWaitlistOffer(entry);
+    return sendBookingError(res, result.error);
+  }
+
+  const { booking } = result;
+  entry.booking = booking._id;
+  await entry.save();
+
+  // The whole offer was released by the hold, so seats not booked go to the next user
+  const io = req.app.get('io');
+  if (booking.bookingQuantity < entry.seats) {
+    await offerWaitlistSeats(entry.departure, io);
+  }
+
+  emitHoldStatus(io, booking);
+  notifyBookingEvent('booking_created', booking);
+
+  res.status(201).json({
+    success: true,
+    data: booking,
+    hold: getHoldStatus(booking),
+    message: 'Waitlist offer claimed, booking created with pending status'
+  });
+});
+
 module.exports = {
   createBooking,
   getUserBookings,
-  getBookingById
+  getBookingById,
+  getCancellationQuote,
+  cancelBooking,
+  createTrip,
+  getTrip,
+  cancelTripLeg,
+  joinWaitlist,
+  getMyWaitlist,
+  leaveWaitlist,
+  claimWaitlistSeats,
+  getChangeQuote,
+  changeBooking,
+  confirmBookingChange,
+  getTicketPdf,
+  getTicketVerificationKey
 };
\ No newline at end of file
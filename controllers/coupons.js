@@ -0,0 +1,236 @@
+const asyncHandler = require('express-async-handler');
+const Coupon = require('../models/Coupon');
+const logger = require('../utils/logger');
+
+// Fields an admin may set when creating or updating a coupon
+const COUPON_FIELDS = [
+  'code',
+  'description',
+  'discountType',
+  'value',
+  'maxDiscount',
+  'minFare',
+  'validFrom',
+  'validUntil',
+  'usageLimit',
+  'perUserLimit',
+  'restrictions',
+  'isActive'
+];
+
+const pickCouponFields = (body) => {
+  const fields = {};
+  COUPON_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+};
+
+// Checks the schema cannot express on its own
+const validateCoupon = (coupon) => {
+  if (coupon.discountType === 'percent' && coupon.value > 100) {
+    return 'A percent discount cannot be more than 100';
+  }
+  if (coupon.validFrom && coupon.validUntil && coupon.validUntil <= coupon.validFrom) {
+    return 'Coupon must end after it starts';
+  }
+  return null;
+};
+
+// @desc    Get all coupons
+// @route   GET /api/admin/coupons
+// @access  Private/Admin
+const getCoupons = asyncHandler(async (req, res) => {
+  const { status, search, page = 1, limit = 20 } = req.query;
+
+  const filter = {};
+  const now = new Date();
+
+  if (status === 'active') {
+    filter.isActive = true;
+    filter.$or = [{ validUntil: null }, { validUntil: { $gte: now } }];
+  } else if (status === 'expired') {
+    filter.validUntil = { $lt: now };
+  } else if (status === 'inactive') {
+    filter.isActive = false;
+  }
+
+  if (search) {
+    filter.code = { $regex: search, $options: 'i' };
+  }
+
+  const skip = (page - 1) * limit;
+
+  const coupons = await Coupon.find(filter)
+    .select('-redemptions')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await Coupon.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      coupons,
+      pagination: {
+        current: parseInt(page),
+        total: Math.ceil(total / limit),
+        count: total,
+        limit: parseInt(limit)
+      }
+    }
+  });
+});
+
+// @desc    Get single coupon with its redemptions
+// @route   GET /api/admin/coupons/:id
+// @access  Private/Admin
+const getCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id)
+    .populate('redemptions.user', 'name email')
+    .populate('redemptions.booking', 'bookingReference bookingStatus paymentStatus totalAmount');
+
+  if (!coupon) {
+    return res.status(404).json({
+      success: false,
+      error: 'Coupon not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: coupon
+  });
+});
+
+// @desc    Create coupon
+// @route   POST /api/admin/coupons
+// @access  Private/Admin
+const createCoupon = asyncHandler(async (req, res) => {
+  const fields = pickCouponFields(req.body);
+
+  if (!fields.code || !fields.discountType || fields.value === undefined) {
+    return res.status(400).json({
+      success: false,
+      error: 'Code, discount type and value are required'
+    });
+  }
+
+  const coupon = new Coupon({ ...fields, createdBy: req.user.id });
+
+  const validationError = validateCoupon(coupon);
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: validationError
+    });
+  }
+
+  if (await Coupon.exists({ code: coupon.code })) {
+    return res.status(400).json({
+      success: false,
+      error: 'A coupon with this code already exists'
+    });
+  }
+
+  await coupon.save();
+
+  logger.info(`Coupon ${coupon.code} created by ${req.user.id}`);
+
+  res.status(201).json({
+    success: true,
+    data: coupon,
+    message: 'Coupon created successfully'
+  });
+});
+
+// @desc    Update coupon
+// @route   PUT /api/admin/coupons/:id
+// @access  Private/Admin
+const updateCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id);
+
+  if (!coupon) {
+    return res.status(404).json({
+      success: false,
+      error: 'Coupon not found'
+    });
+  }
+
+  const fields = pickCouponFields(req.body);
+
+  // Bookings refer to the code, so it cannot change once the coupon has been used
+  if (fields.code && fields.code.toUpperCase() !== coupon.code && coupon.usedCount > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Cannot change the code of a coupon that has been used'
+    });
+  }
+
+  coupon.set(fields);
+
+  const validationError = validateCoupon(coupon);
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: validationError
+    });
+  }
+
+  await coupon.save();
+
+  logger.info(`Coupon ${coupon.code} updated by ${req.user.id}`);
+
+  res.status(200).json({
+    success: true,
+    data: coupon,
+    message: 'Coupon updated successfully'
+  });
+});
+
+// @desc    Delete coupon (used coupons are deactivated instead)
+// @route   DELETE /api/admin/coupons/:id
+// @access  Private/Admin
+const deleteCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id);
+
+  if (!coupon) {
+    return res.status(404).json({
+      success: false,
+      error: 'Coupon not found'
+    });
+  }
+
+  if (coupon.usedCount > 0) {
+    coupon.isActive = false;
+    await coupon.save();
+
+    logger.info(`Coupon ${coupon.code} deactivated by ${req.user.id}`);
+
+    return res.status(200).json({
+      success: true,
+      data: coupon,
+      message: 'Coupon has been used, so it was deactivated instead of deleted'
+    });
+  }
+
+  await coupon.deleteOne();
+
+  logger.info(`Coupon ${coupon.code} deleted by ${req.user.id}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Coupon deleted successfully'
+  });
+});
+
+module.exports = {
+  getCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+};
@@ -2,6 +2,8 @@ const asyncHandler = require('express-async-handler');
 const admin = require('../config/firebase');
 const User = require('../models/User');
 const logger = require('../utils/logger');
+const { startSession } = require('../utils/sessions');
+const { getAccountBlock } = require('../utils/accountStatus');
 
 // @desc    Login with Firebase ID token
 // @route   POST /api/auth/firebase/login
@@ -14,13 +16,14 @@ const firebaseLogin = asyncHandler(async (req, res) => {
     throw new Error('ID token is required');
   }
 
+  let user;
   try {
     // Verify the Firebase ID token
     const decodedToken = await admin.auth().verifyIdToken(idToken);
     const { uid, email, name, picture, email_verified } = decodedToken;
 
     // Check if user exists in our database
-    let user = await User.findOne({ 
+    user = await User.findOne({ 
       $or: [
         { firebaseUid: uid },
         { email: email }
@@ -45,27 +48,35 @@ const firebaseLogin = asyncHandler(async (req, res) => {
       }
       logger.info(`User logged in via Firebase: ${email}`);
     }
-
-    // Generate our own JWT token for API access
-    const token = user.getSignedJwtToken();
-
-    res.status(200).json({
-      success: true,
-      token,
-      data: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        photoURL: user.photoURL,
-        role: user.role,
-        emailVerified: user.emailVerified
-      }
-    });
   } catch (error) {
     logger.error(`Firebase login error: ${error.message}`);
     res.status(401);
     throw new Error('Invalid Firebase ID token');
   }
+
+  const block = getAccountBlock(user);
+  if (block) {
+    logger.warn(`Blocked Firebase login for ${user.email}: ${block.code}`);
+    return res.status(403).json({ success: false, ...block });
+  }
+
+  // Start our own session for API access
+  const { session, accessToken, refreshToken } = await startSession(user, req);
+
+  res.status(200).json({
+    success: true,
+    token: accessToken,
+    refreshToken,
+    sessionId: session.id,
+    data: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      photoURL: user.photoURL,
+      role: user.role,
+      emailVerified: user.emailVerified
+    }
+  });
 });
 
 // @desc    Register new user with Firebase
@@ -79,6 +90,7 @@ const firebaseRegister = asyncHandler(async (req, res) => {
     throw new Error('ID token is required');
   }
 
+  let user;
   try {
     // Verify the Firebase ID token
     const decodedToken = await admin.auth().verifyIdToken(idToken);
@@ -98,7 +110,7 @@ const firebaseRegister = asyncHandler(async (req, res) => {
     }
 
     // Create new user
-    const user = await User.create({
+    user = await User.create({
       name: name || email.split('@')[0],
       email: email,
       firebaseUid: uid,
@@ -107,28 +119,30 @@ const firebaseRegister = asyncHandler(async (req, res) => {
       role: role
     });
 
-    // Generate our own JWT token
-    const token = user.getSignedJwtToken();
-
     logger.info(`New user registered via Firebase: ${email} with role: ${role}`);
-
-    res.status(201).json({
-      success: true,
-      token,
-      data: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        photoURL: user.photoURL,
-        role: user.role,
-        emailVerified: user.emailVerified
-      }
-    });
   } catch (error) {
     logger.error(`Firebase registration error: ${error.message}`);
     res.status(401);
     throw new Error('Invalid Firebase ID token');
   }
+
+  // Start our own session for API access
+  const { session, accessToken, refreshToken } = await startSession(user, req);
+
+  res.status(201).json({
+    success: true,
+    token: accessToken,
+    refreshToken,
+    sessionId: session.id,
+    data: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      photoURL: user.photoURL,
+      role: user.role,
+      emailVerified: user.emailVerified
+    }
+  });
 });
 
 // @desc    Get current user info
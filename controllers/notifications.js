@@ -0,0 +1,101 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const { emitToUser } = require('../utils/socket');
+const { getUnreadCount } = require('../utils/inbox');
+
+// Keep the user's other tabs and devices in step with the unread badge
+const emitUnreadCount = async (userId) => {
+  emitToUser(userId, 'notifications-unread', { unreadCount: await getUnreadCount(userId) });
+};
+
+// @desc    Get the current user's notifications, newest first
+// @route   GET /api/notifications
+// @access  Private
+const getNotifications = asyncHandler(async (req, res) => {
+  const { unread, type, page = 1, limit = 20 } = req.query;
+
+  const filter = { user: req.user.id };
+  if (unread === 'true') {
+    filter.readAt = { $exists: false };
+  }
+  if (type) {
+    filter.type = type;
+  }
+
+  const pageSize = Math.min(parseInt(limit) || 20, 100);
+  const skip = (parseInt(page) - 1) * pageSize;
+
+  const [notifications, total, unreadCount] = await Promise.all([
+    Notification.find(filter).sort({ createdAt: -1 }).skip(skip).limit(pageSize).lean(),
+    Notification.countDocuments(filter),
+    getUnreadCount(req.user.id)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      notifications,
+      unreadCount,
+      pagination: {
+        current: parseInt(page),
+        total: Math.ceil(total / pageSize),
+        count: total,
+        limit: pageSize
+      }
+    }
+  });
+});
+
+// @desc    Mark a notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+const markNotificationRead = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404);
+    throw new Error('Notification not found');
+  }
+
+  const notification = await Notification.findOne({ _id: req.params.id, user: req.user.id });
+  if (!notification) {
+    res.status(404);
+    throw new Error('Notification not found');
+  }
+
+  if (!notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+    await emitUnreadCount(req.user.id);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: notification
+  });
+});
+
+// @desc    Mark all of the current user's notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+const markAllNotificationsRead = asyncHandler(async (req, res) => {
+  const result = await Notification.updateMany(
+    { user: req.user.id, readAt: { $exists: false } },
+    { readAt: new Date() }
+  );
+
+  if (result.modifiedCount > 0) {
+    await emitUnreadCount(req.user.id);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { updated: result.modifiedCount },
+    message: 'All notifications marked as read'
+  });
+});
+
+module.exports = {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+};
@@ -1,39 +1,102 @@
 const asyncHandler = require('express-async-handler');
-const Stripe = require('stripe');
 const Payment = require('../models/Payment');
 const Booking = require('../models/Booking');
 const Route = require('../models/Route');
+const Trip = require('../models/Trip');
+const stripe = require('../config/stripe');
 const logger = require('../utils/logger');
+const { getBookingDeparture, getBookingSeats } = require('../utils/departures');
+const { emitHoldStatus, getCheckoutHoldExpiry, getHoldStart } = require('../utils/seatHolds');
+const {
+  getCompletedPayments,
+  getPaidAmount,
+  getRefundableAmount,
+  getRefundQuote,
+  processCancellation
+} = require('../utils/cancellations');
+const { confirmBookingPayment, confirmSessionPayments } = require('../utils/bookingPayments');
+const { applyPaymentCharges, calculateCharges } = require('../utils/pricing');
+const { checkCoupon, redeemCoupon, releaseCoupon } = require('../utils/coupons');
+const { processWebhookEvent } = require('../utils/stripeWebhooks');
+
+// Point the booking's pending payment at a new checkout session, creating it if needed
+const recordPendingPayment = async (booking, sessionId) => {
+  // Check for existing pending payment for this booking
+  let payment = await Payment.findOne({
+    booking: booking._id,
+    status: 'pending'
+  });
 
-// Initialize Stripe
-let stripe;
+  if (payment) {
+    // Update existing pending payment with new session ID
+    payment.paymentGateway.transactionId = sessionId;
+    applyPaymentCharges(payment, booking);
+    payment.updatedAt = Date.now();
+    await payment.save();
+    logger.info(`Updated existing pending payment ${payment._id} with new Stripe session ${sessionId}`);
+  } else {
+    // Create a new pending payment record
+    payment = new Payment({
+      booking: booking._id,
+      user: booking.user?._id,
+      amount: booking.totalAmount,
+      currency: 'BDT',
+      status: 'pending',
+      paymentMethod: 'card',
+      paymentGateway: {
+        gateway: 'stripe',
+        transactionId: sessionId
+      }
+    });
+    applyPaymentCharges(payment, booking);
 
-try {
-  console.log('STRIPE_SECRET_KEY from env:', process.env.STRIPE_SECRET_KEY);
-  
-  if (!process.env.STRIPE_SECRET_KEY) {
-    console.error('ERROR: Stripe API key is not set. Please set STRIPE_SECRET_KEY in your .env file.');
-    throw new Error('Stripe API key is not configured.');
+    await payment.save();
+    logger.info(`Created new pending payment ${payment._id} for Stripe session ${sessionId}`);
   }
 
-  stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
-    apiVersion: '2023-10-16'
+  return payment;
+};
+
+// Convert a BDT amount to poisha for Stripe
+const toStripeAmount = (amount) => Math.round(amount * 100);
+
+// One line for the (discounted) fares and one each for VAT and the service
+// fee, so the session total matches booking.totalAmount exactly
+const buildCheckoutLineItems = (booking, namePrefix = '') => {
+  const from = booking.route?.from?.city || 'Departure';
+  const to = booking.route?.to?.city || 'Arrival';
+  const lineItem = (name, amount, description) => ({
+    price_data: {
+      currency: 'bdt',
+      product_data: description
+        ? { name: `${namePrefix}${name}`, description }
+        : { name: `${namePrefix}${name}` },
+      unit_amount: toStripeAmount(amount)
+    },
+    quantity: 1
   });
 
-  if (process.env.STRIPE_SECRET_KEY.startsWith('sk_test_')) {
-    console.warn('WARNING: Using test Stripe API key. This should not be used in production.');
-    if (process.env.NODE_ENV === 'production') {
-      console.error('ERROR: Production environment is using test Stripe API key!');
-      console.error('Please set STRIPE_SECRET_KEY to a live key in your .env.production file');
-    }
+  // Bookings made before charges were itemised only have a total
+  if (!booking.subtotal) {
+    return [lineItem(booking.route?.title || 'Ticket Booking', booking.totalAmount, `${from} to ${to}`)];
   }
-  
-  console.log('Stripe initialized successfully');
-} catch (error) {
-  console.error('ERROR: Failed to initialize Stripe:', error.message);
-  throw new Error('Stripe initialization failed.');
-}
 
+  const tickets = booking.bookingQuantity || 1;
+  const items = [
+    lineItem(
+      `${booking.route?.title || 'Ticket Booking'} (${tickets} ${tickets === 1 ? 'ticket' : 'tickets'})`,
+      booking.subtotal - (booking.discount || 0),
+      booking.discount ? `${from} to ${to}, discount of ${booking.discount} applied` : `${from} to ${to}`
+    )
+  ];
+  if (booking.taxes > 0) {
+    items.push(lineItem('VAT', booking.taxes));
+  }
+  if (booking.fees > 0) {
+    items.push(lineItem('Service fee', booking.fees));
+  }
+  return items;
+};
 
 // @desc    Update booking payment status after successful Stripe checkout
 // @route   POST /api/payments/update-payment-status
@@ -45,11 +108,16 @@ const updatePaymentStatus = asyncHandler(async (req, res) => {
     res.status(400);
     throw new Error('Booking ID is required');
   }
+
+  // Without a session to verify against Stripe the request could be forged;
+  // bookings paid without one are confirmed by the webhook instead
+  if (!sessionId) {
+    res.status(400);
+    throw new Error('Stripe session ID is required');
+  }
   
   // Find the booking
-  const booking = await Booking.findById(bookingId)
-    .populate('route')
-    .populate('vendor');
+  const booking = await Booking.findById(bookingId);
   
   if (!booking) {
     res.status(404);
@@ -72,106 +140,60 @@ const updatePaymentStatus = asyncHandler(async (req, res) => {
     return;
   }
   
-  // If sessionId is provided, verify the checkout session
+  // Verify the checkout session
   let paymentIntentId = null;
-  if (sessionId) {
-    try {
-      const session = await stripe.checkout.sessions.retrieve(sessionId);
-      
-      // Verify the session belongs to this booking
-      if (session.metadata?.bookingId !== bookingId.toString()) {
-        res.status(400);
-        throw new Error('Session does not belong to this booking');
-      }
-      
-      // Check if payment was successful
-      if (session.payment_status !== 'paid') {
-        res.status(400);
-        throw new Error('Payment not completed in Stripe');
-      }
-      
-      paymentIntentId = session.payment_intent;
-    } catch (error) {
-      logger.error(`Error verifying Stripe session: ${error.message}`);
+  try {
+    const session = await stripe.checkout.sessions.retrieve(sessionId);
+    
+    // Verify the session belongs to this booking
+    if (session.metadata?.bookingId !== bookingId.toString()) {
       res.status(400);
-      throw new Error('Failed to verify payment with Stripe');
+      throw new Error('Session does not belong to this booking');
     }
-  }
-  
-  // Update payment record
-  let payment;
-  if (paymentIntentId) {
-    payment = await Payment.findOneAndUpdate(
-      {
-        booking: bookingId,
-        'paymentGateway.transactionId': sessionId
-      },
-      {
-        status: 'completed',
-        'paymentGateway.gatewayResponse': {
-          status: 'completed',
-          sessionId: sessionId,
-          paymentIntentId: paymentIntentId
-        }
-      },
-      { new: true }
-    );
-  } else {
-    // If no sessionId, just find any pending payment for this booking
-    payment = await Payment.findOneAndUpdate(
-      {
-        booking: bookingId,
-        status: 'pending'
-      },
-      {
-        status: 'completed',
-        'paymentGateway.gatewayResponse': {
-          status: 'completed'
-        }
-      },
-      { new: true }
-    );
-  }
-  
-  // Update booking status
-  booking.paymentStatus = 'paid';
-  booking.status = 'confirmed';
-  booking.paymentMethod = 'card';
-  booking.paymentDetails = {
-    transactionId: sessionId,
-    paidAt: new Date(),
-    gatewayResponse: {
-      status: 'completed',
-      sessionId: sessionId
+    
+    // Check if payment was successful
+    if (session.payment_status !== 'paid') {
+      res.status(400);
+      throw new Error('Payment not completed in Stripe');
     }
-  };
-  booking.notifications.paymentReceived = true;
-  await booking.save();
-  
-  // Reduce ticket quantity in route
-  if (booking.route) {
-    await Route.findByIdAndUpdate(booking.route._id, {
-      $inc: { availableQuantity: -booking.bookingQuantity }
-    });
+    
+    paymentIntentId = session.payment_intent;
+  } catch (error) {
+    logger.error(`Error verifying Stripe session: ${error.message}`);
+    res.status(400);
+    throw new Error('Failed to verify payment with Stripe');
   }
   
-  // Emit socket event for real-time updates
-  const io = req.app.get('io');
-  if (io) {
-    io.to(`booking-${bookingId}`).emit('payment-confirmed', {
-      bookingId,
-      paymentStatus: 'paid',
-      bookingStatus: 'confirmed'
+  const paidBooking = await confirmBookingPayment({
+    bookingId: booking._id,
+    sessionId,
+    paymentIntentId,
+    io: req.app.get('io')
+  });
+
+  // The booking was no longer active, so the payment was refunded instead
+  if (!paidBooking && (await Booking.findById(booking._id).select('paymentStatus')).paymentStatus !== 'paid') {
+    return res.status(409).json({
+      success: false,
+      code: 'BOOKING_NOT_ACTIVE',
+      message: 'This booking is no longer active, so the payment has been refunded'
     });
-  
-    // Notify vendor
-    if (booking.vendor) {
-      io.to(`vendor-${booking.vendor._id}`).emit('payment-received', {
-        bookingId,
+  }
+
+  // The webhook may have confirmed the payment in the meantime
+  if (!paidBooking) {
+    logger.info(`Booking ${bookingId} was confirmed concurrently, skipping update`);
+    res.status(200).json({
+      success: true,
+      message: 'Booking already paid',
+      data: {
+        bookingId: booking._id,
         bookingReference: booking.bookingReference,
-        amount: booking.totalAmount
-      });
-    }
+        paymentStatus: 'paid',
+        bookingStatus: 'confirmed'
+      }
+    });
+    return;
   }
   
   logger.info(`Payment status updated for booking ${booking.bookingReference} via direct update`);
@@ -184,14 +206,48 @@ const updatePaymentStatus = asyncHandler(async (req, res) => {
       bookingReference: booking.bookingReference,
       paymentStatus: 'paid',
       bookingStatus: 'confirmed',
-      amount: booking.totalAmount,
-      paidAt: booking.paymentDetails.paidAt
+      amount: paidBooking.totalAmount,
+      paidAt: paidBooking.paymentDetails.paidAt
     }
   });
 });
 
 
 
+// @desc    Receive Stripe webhook events
+// @route   POST /api/payments/webhook
+// @access  Public (verified by Stripe signature)
+const handleStripeWebhook = asyncHandler(async (req, res) => {
+  const signature = req.headers['stripe-signature'];
+  const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+
+  if (!webhookSecret) {
+    logger.error('STRIPE_WEBHOOK_SECRET is not set, cannot verify Stripe webhooks');
+    res.status(500);
+    throw new Error('Stripe webhook is not configured');
+  }
+
+  // The signature covers the raw request body, which server.js keeps as a Buffer
+  let event;
+  try {
+    event = stripe.webhooks.constructEvent(req.body, signature, webhookSecret);
+  } catch (error) {
+    logger.warn(`Stripe webhook signature verification failed: ${error.message}`);
+    return res.status(400).json({
+      success: false,
+      code: 'INVALID_SIGNATURE',
+      message: 'Invalid Stripe signature'
+    });
+  }
+
+  const result = await processWebhookEvent(event, req.app.get('io'));
+
+  res.status(200).json({
+    received: true,
+    ...result
+  });
+});
+
 // @desc    Get payment history for user
 // @route   GET /api/payments/history
 // @access  Private
@@ -281,52 +337,52 @@ const requestRefund = asyncHandler(async (req, res) => {
     throw new Error('Only completed payments can be refunded');
   }
 
-  if (payment.refund?.refundStatus === 'completed') {
+  if (getRefundableAmount([payment]) <= 0) {
     res.status(400);
     throw new Error('Payment has already been refunded');
   }
 
-  // Create refund in Stripe
-  const refund = await stripe.refunds.create({
-    payment_intent: payment.paymentGateway.transactionId,
-    reason: 'requested_by_customer'
-  });
+  const booking = payment.booking;
+  const route = await Route.findById(booking.route);
 
-  // Update payment record
-  payment.status = 'refunded';
-  payment.refund = {
-    amount: payment.amount,
+  // A refund cancels the booking, so the route's refund policy applies
+  const payments = await getCompletedPayments(booking._id);
+  const quote = getRefundQuote(booking, route, getPaidAmount(booking, payments));
+  if (!quote.allowed) {
+    res.status(400);
+    throw new Error('This booking can no longer be cancelled for a refund');
+  }
+  if (quote.refundAmount <= 0) {
+    res.status(400);
+    throw new Error('No refund is available this close to departure');
+  }
+
+  const result = await processCancellation({
+    booking,
+    route,
+    cancelledBy: userId,
     reason: reason || 'Customer requested refund',
-    refundDate: new Date(),
-    refundReference: refund.id,
-    refundStatus: 'completed'
-  };
-  await payment.save();
-
-  // Update booking
-  await Booking.findByIdAndUpdate(payment.booking._id, {
-    paymentStatus: 'refunded',
-    status: 'refunded',
-    refundAmount: payment.amount,
-    refundReason: reason
+    io: req.app.get('io')
   });
 
-  // Restore ticket quantity
-  if (payment.booking.route) {
-    await Route.findByIdAndUpdate(payment.booking.route, {
-      $inc: { availableQuantity: payment.booking.bookingQuantity }
-    });
+  if (!result) {
+    res.status(400);
+    throw new Error('Booking has already been cancelled or processed');
   }
 
   logger.info(`Refund processed for payment ${paymentId}`);
 
   res.status(200).json({
     success: true,
-    message: 'Refund processed successfully',
+    message: result.refundPending > 0
+      ? `Refund partly processed, ${result.refundPending} is still to be refunded`
+      : 'Refund processed successfully',
     data: {
-      refundId: refund.id,
-      amount: payment.amount,
-      status: 'refunded'
+      refundId: result.refund ? result.refund.id : null,
+      amount: result.refundedAmount,
+      pendingAmount: result.refundPending,
+      cancellationFee: result.quote.cancellationFee,
+      status: result.refundPending > 0 ? 'partially_refunded' : 'refunded'
     }
   });
 });
@@ -467,6 +523,7 @@ const getVendorRevenue = asyncHandler(async (req, res) => {
       $group: {
         _id: null,
         totalRevenue: { $sum: '$amount' },
+        netRevenue: { $sum: '$vendorPayout.amount' },
         totalTransactions: { $sum: 1 },
         avgTransactionValue: { $avg: '$amount' }
       }
@@ -490,7 +547,7 @@ const getVendorRevenue = asyncHandler(async (req, res) => {
   res.status(200).json({
     success: true,
     data: {
-      summary: revenue[0] || { totalRevenue: 0, totalTransactions: 0, avgTransactionValue: 0 },
+      summary: revenue[0] || { totalRevenue: 0, netRevenue: 0, totalTransactions: 0, avgTransactionValue: 0 },
       dailyRevenue
     }
   });
@@ -498,9 +555,9 @@ const getVendorRevenue = asyncHandler(async (req, res) => {
 
 // @desc    Create Stripe checkout session
 // @route   POST /api/payments/create-checkout-session
-// @access  Public
+// @access  Private
 const createCheckoutSession = asyncHandler(async (req, res) => {
-  const { bookingId, successUrl, cancelUrl } = req.body;
+  const { bookingId, successUrl, cancelUrl, couponCode } = req.body;
 
   if (!bookingId) {
     res.status(400);
@@ -522,36 +579,98 @@ const createCheckoutSession = asyncHandler(async (req, res) => {
     throw new Error('Booking not found');
   }
 
+  if (booking.user?._id.toString() !== req.user.id && req.user.role !== 'admin') {
+    res.status(403);
+    throw new Error('Not authorized to pay for this booking');
+  }
+
   // Check if booking is already paid
   if (booking.paymentStatus === 'paid') {
     res.status(400);
     throw new Error('Booking is already paid');
   }
+
+  // Cancelled, rejected or expired bookings cannot be paid
+  if (['cancelled', 'rejected'].includes(booking.bookingStatus)) {
+    res.status(400);
+    throw new Error('Booking is no longer active');
+  }
   
-  // Check if there are enough available tickets
-  if (booking.route && booking.route.availableQuantity < booking.bookingQuantity) {
+  // Check if there are enough available tickets on the departure, unless the booking already holds its seats
+  const departure = await getBookingDeparture(booking);
+  if (
+    departure &&
+    getBookingSeats(departure, booking._id).length === 0 &&
+    departure.availableSeats < booking.bookingQuantity
+  ) {
     res.status(400);
-    throw new Error('Not enough available tickets for this route');
+    throw new Error('Not enough available tickets for this departure');
+  }
+
+
+  // Stripe needs a checkout session to stay open at least 30 minutes, so the
+  // seat hold is extended to the session's expiry while payment is in progress,
+  // but never past the longest hold a booking may have
+  const now = new Date();
+  const checkoutExpiresAt = getCheckoutHoldExpiry([booking], now);
+  if (!checkoutExpiresAt) {
+    return res.status(409).json({
+      success: false,
+      code: 'HOLD_LIMIT_REACHED',
+      message: 'The seats for this booking cannot be held any longer, please book again'
+    });
+  }
+
+  // A coupon can still be applied at checkout if the booking does not have one yet
+  let couponApplied = null;
+  if (couponCode && !booking.coupon) {
+    const check = booking.subtotal
+      ? await checkCoupon(couponCode, {
+        userId: booking.user._id,
+        route: booking.route,
+        subtotal: booking.subtotal
+      })
+      : { error: { code: 'COUPON_NOT_APPLICABLE', message: 'Coupons cannot be applied to this booking' } };
+    const redeemed = !check.error && await redeemCoupon(check.coupon, {
+      userId: booking.user._id,
+      bookingId: booking._id,
+      discount: check.discount
+    });
+
+    if (!redeemed) {
+      return res.status(400).json({
+        success: false,
+        code: check.error ? check.error.code : 'COUPON_USAGE_LIMIT',
+        message: check.error ? check.error.message : 'This coupon is no longer available'
+      });
+    }
+
+    couponApplied = {
+      discount: booking.discount,
+      taxes: booking.taxes,
+      fees: booking.fees,
+      totalAmount: booking.totalAmount
+    };
+    const charges = calculateCharges(booking.subtotal, check.discount);
+    booking.coupon = check.coupon._id;
+    booking.couponCode = check.coupon.code;
+    booking.discount = charges.discount;
+    booking.taxes = charges.taxes;
+    booking.fees = charges.fees;
+    booking.totalAmount = charges.totalAmount;
+    await booking.save();
+  } else if (couponCode && booking.couponCode !== String(couponCode).trim().toUpperCase()) {
+    res.status(400);
+    throw new Error('A different coupon has already been applied to this booking');
   }
 
-  
   // Create Stripe checkout session
+  let session = null;
   try {
-    const session = await stripe.checkout.sessions.create({
+    session = await stripe.checkout.sessions.create({
+      expires_at: Math.floor(checkoutExpiresAt.getTime() / 1000),
       payment_method_types: ['card'],
-      line_items: [
-        {
-          price_data: {
-            currency: 'bdt',
-            product_data: {
-              name: booking.route?.title || 'Ticket Booking',
-              description: `${booking.route?.from || 'Departure'} to ${booking.route?.to || 'Arrival'}`
-            },
-            unit_amount: Math.round(booking.totalAmount * 100), // Convert to cents
-          },
-          quantity: booking.bookingQuantity || 1,
-        }
-      ],
+      line_items: buildCheckoutLineItems(booking),
       mode: 'payment',
       success_url: successUrl.includes('booking_id')
         ? successUrl + '&session_id={CHECKOUT_SESSION_ID}'
@@ -561,45 +680,154 @@ const createCheckoutSession = asyncHandler(async (req, res) => {
         bookingId: bookingId.toString(),
         userId: booking.user?._id.toString()
       },
+      // Copied to the payment intent so its webhook events can find the booking
+      payment_intent_data: {
+        metadata: {
+          bookingId: bookingId.toString()
+        }
+      },
       customer_email: booking.user?.email
     });
 
-    // Check for existing pending payment for this booking
-    let payment = await Payment.findOne({
-      booking: bookingId,
-      status: 'pending'
+    await recordPendingPayment(booking, session.id);
+
+    // Lock the booking while the customer is on the Stripe checkout page
+    booking.paymentLock = true;
+    booking.holdStartedAt = getHoldStart(booking, now);
+    booking.holdExpiresAt = checkoutExpiresAt;
+    await booking.save();
+    emitHoldStatus(req.app.get('io'), booking);
+
+    logger.info(`Created Stripe checkout session ${session.id} for booking ${bookingId}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Checkout session created successfully',
+      data: {
+        sessionId: session.id,
+        sessionUrl: session.url,
+        bookingId: booking._id
+      }
     });
+  } catch (error) {
+    logger.error(`Error creating Stripe checkout session: ${error.message}`);
 
-    if (payment) {
-      // Update existing pending payment with new session ID
-      payment.paymentGateway.transactionId = session.id;
-      payment.updatedAt = Date.now();
-      await payment.save();
-      logger.info(`Updated existing pending payment ${payment._id} with new Stripe session ${session.id}`);
-    } else {
-      // Create a new pending payment record
-      payment = new Payment({
-        booking: bookingId,
-        user: booking.user?._id,
-        amount: booking.totalAmount,
-        currency: 'BDT',
-        status: 'pending',
-        paymentMethod: 'card',
-        paymentGateway: {
-          gateway: 'stripe',
-          transactionId: session.id
-        }
-      });
+    // Without a session nothing was priced with the coupon, so the customer keeps their redemption
+    if (!session && couponApplied) {
+      await releaseCoupon(booking);
+      booking.coupon = undefined;
+      booking.couponCode = undefined;
+      Object.assign(booking, couponApplied);
+      await booking.save();
+    }
 
-      await payment.save();
-      logger.info(`Created new pending payment ${payment._id} for Stripe session ${session.id}`);
+    res.status(500);
+    throw new Error('Failed to create checkout session');
+  }
+});
+
+// @desc    Create one Stripe checkout session for every unpaid leg of a trip
+// @route   POST /api/payments/create-trip-checkout-session
+// @access  Private
+const createTripCheckoutSession = asyncHandler(async (req, res) => {
+  const { tripId, successUrl, cancelUrl } = req.body;
+
+  if (!tripId) {
+    res.status(400);
+    throw new Error('Trip ID is required');
+  }
+
+  if (!successUrl || !cancelUrl) {
+    res.status(400);
+    throw new Error('Success and cancel URLs are required');
+  }
+
+  const trip = await Trip.findById(tripId);
+
+  if (!trip) {
+    res.status(404);
+    throw new Error('Trip not found');
+  }
+
+  if (trip.user.toString() !== req.user.id && req.user.role !== 'admin') {
+    res.status(403);
+    throw new Error('Not authorized to pay for this trip');
+  }
+
+  const legs = await Booking.find({ trip: trip._id })
+    .sort({ legIndex: 1 })
+    .populate('route')
+    .populate('user');
+
+  // Legs that were cancelled or rejected on their own are left out
+  const payableLegs = legs.filter(leg =>
+    leg.paymentStatus !== 'paid' && !['cancelled', 'rejected'].includes(leg.bookingStatus)
+  );
+
+  if (payableLegs.length === 0) {
+    res.status(400);
+    throw new Error('Trip has nothing left to pay');
+  }
+
+  for (const leg of payableLegs) {
+    const departure = await getBookingDeparture(leg);
+    if (
+      departure &&
+      getBookingSeats(departure, leg._id).length === 0 &&
+      departure.availableSeats < leg.bookingQuantity
+    ) {
+      res.status(400);
+      throw new Error(`Not enough available tickets for leg ${leg.legIndex + 1} of this trip`);
     }
-    
-    
+  }
 
-    
+  const now = new Date();
+  const checkoutExpiresAt = getCheckoutHoldExpiry(payableLegs, now);
+  if (!checkoutExpiresAt) {
+    return res.status(409).json({
+      success: false,
+      code: 'HOLD_LIMIT_REACHED',
+      message: 'The seats for this trip cannot be held any longer, please book again'
+    });
+  }
+  const customer = payableLegs[0].user;
 
-    logger.info(`Created Stripe checkout session ${session.id} for booking ${bookingId}`);
+  try {
+    const session = await stripe.checkout.sessions.create({
+      expires_at: Math.floor(checkoutExpiresAt.getTime() / 1000),
+      payment_method_types: ['card'],
+      line_items: payableLegs.flatMap(leg =>
+        buildCheckoutLineItems(leg, `Leg ${leg.legIndex + 1}: `)
+      ),
+      mode: 'payment',
+      success_url: successUrl.includes('trip_id')
+        ? successUrl + '&session_id={CHECKOUT_SESSION_ID}'
+        : `${successUrl}&trip_id=${tripId}&session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: cancelUrl,
+      metadata: {
+        tripId: trip._id.toString(),
+        userId: customer?._id.toString()
+      },
+      payment_intent_data: {
+        metadata: {
+          tripId: trip._id.toString()
+        }
+      },
+      customer_email: customer?.email
+    });
+
+    // Each leg gets its own payment on the shared session, so legs can be refunded separately
+    for (const leg of payableLegs) {
+      await recordPendingPayment(leg, session.id);
+
+      leg.paymentLock = true;
+      leg.holdStartedAt = getHoldStart(leg, now);
+      leg.holdExpiresAt = checkoutExpiresAt;
+      await leg.save();
+      emitHoldStatus(req.app.get('io'), leg);
+    }
+
+    logger.info(`Created Stripe checkout session ${session.id} for trip ${trip.tripReference}`);
 
     res.status(200).json({
       success: true,
@@ -607,16 +835,80 @@ const createCheckoutSession = asyncHandler(async (req, res) => {
       data: {
         sessionId: session.id,
         sessionUrl: session.url,
-        bookingId: booking._id
+        tripId: trip._id,
+        legs: payableLegs.map(leg => leg._id)
       }
     });
   } catch (error) {
-    logger.error(`Error creating Stripe checkout session: ${error.message}`);
+    logger.error(`Error creating Stripe checkout session for trip: ${error.message}`);
     res.status(500);
     throw new Error('Failed to create checkout session');
   }
 });
 
+// @desc    Mark the legs of a trip paid after a successful Stripe checkout
+// @route   POST /api/payments/update-trip-payment-status
+// @access  Private
+const updateTripPaymentStatus = asyncHandler(async (req, res) => {
+  const { tripId, sessionId } = req.body;
+
+  if (!tripId || !sessionId) {
+    res.status(400);
+    throw new Error('Trip ID and Stripe session ID are required');
+  }
+
+  const trip = await Trip.findById(tripId);
+
+  if (!trip) {
+    res.status(404);
+    throw new Error('Trip not found');
+  }
+
+  let paymentIntentId = null;
+  try {
+    const session = await stripe.checkout.sessions.retrieve(sessionId);
+
+    if (session.metadata?.tripId !== trip._id.toString()) {
+      res.status(400);
+      throw new Error('Session does not belong to this trip');
+    }
+
+    if (session.payment_status !== 'paid') {
+      res.status(400);
+      throw new Error('Payment not completed in Stripe');
+    }
+
+    paymentIntentId = session.payment_intent;
+  } catch (error) {
+    logger.error(`Error verifying Stripe session: ${error.message}`);
+    res.status(400);
+    throw new Error('Failed to verify payment with Stripe');
+  }
+
+  // Legs the webhook already confirmed are skipped
+  const confirmed = await confirmSessionPayments({
+    sessionId,
+    paymentIntentId,
+    io: req.app.get('io')
+  });
+
+  logger.info(`Payment status updated for ${confirmed.length} leg(s) of trip ${trip.tripReference} via direct update`);
+
+  const legs = await Booking.find({ trip: trip._id })
+    .sort({ legIndex: 1 })
+    .select('bookingReference legIndex bookingStatus paymentStatus totalAmount');
+
+  res.status(200).json({
+    success: true,
+    message: confirmed.length > 0 ? 'Payment status updated successfully' : 'Trip already paid',
+    data: {
+      tripId: trip._id,
+      tripReference: trip.tripReference,
+      legs
+    }
+  });
+});
+
 // @desc    Get admin payment analytics
 // @route   GET /api/admin/payments/analytics
 // @access  Private (Admin)
@@ -703,5 +995,8 @@ module.exports = {
   getVendorRevenue,
   getPaymentAnalytics,
   createCheckoutSession,
-  updatePaymentStatus
+  createTripCheckoutSession,
+  updatePaymentStatus,
+  updateTripPaymentStatus,
+  handleStripeWebhook
 };
@@ -2,22 +2,10 @@ const asyncHandler = require('express-async-handler');
 const User = require('../models/User');
 const Booking = require('../models/Booking');
 const Payment = require('../models/Payment');
-const Route = require('../models/Route');
-const Stripe = require('stripe');
-
-// Initialize Stripe with consistent configuration
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
-  apiVersion: '2023-10-16'
-});
-
-// Validate Stripe API key
-if (!process.env.STRIPE_SECRET_KEY || process.env.STRIPE_SECRET_KEY.startsWith('sk_test_')) {
-  console.warn('WARNING: Using test Stripe API key. This should not be used in production.');
-  if (process.env.NODE_ENV === 'production') {
-    console.error('ERROR: Production environment is using test Stripe API key!');
-    console.error('Please set STRIPE_SECRET_KEY to a live key in your .env.production file');
-  }
-}
+const stripe = require('../config/stripe');
+const { getBookingDeparture, sellSeats } = require('../utils/departures');
+const { reviveExpiredHold } = require('../utils/seatHolds');
+const { applyPaymentCharges } = require('../utils/pricing');
 
 // @desc    Get user profile
 // @route   GET /api/user/profile
@@ -320,8 +308,10 @@ const confirmPayment = asyncHandler(async (req, res) => {
 
     if (paymentIntent.status === 'succeeded') {
       // Update booking status
+      reviveExpiredHold(booking);
       booking.paymentStatus = 'paid';
       booking.status = 'confirmed';
+      booking.paymentLock = false;
       booking.paymentDetails = {
         transactionId: paymentIntentId,
         paidAt: new Date()
@@ -337,23 +327,20 @@ const confirmPayment = asyncHandler(async (req, res) => {
   
       let payment;
       if (existingPendingPayment) {
-        // Update existing pending payment to completed
-        payment = await Payment.findByIdAndUpdate(
-          existingPendingPayment._id,
-          {
-            status: 'completed',
-            'paymentGateway.gatewayResponse': paymentIntent,
-            transactionDetails: {
-              cardLast4: paymentIntent.charges.data[0]?.payment_method_details?.card?.last4,
-              cardBrand: paymentIntent.charges.data[0]?.payment_method_details?.card?.brand
-            }
-          },
-          { new: true }
-        );
+        // Update existing pending payment to completed (saved so the vendor payout is worked out)
+        payment = existingPendingPayment;
+        payment.status = 'completed';
+        payment.paymentGateway.gatewayResponse = paymentIntent;
+        payment.transactionDetails = {
+          cardLast4: paymentIntent.charges.data[0]?.payment_method_details?.card?.last4,
+          cardBrand: paymentIntent.charges.data[0]?.payment_method_details?.card?.brand
+        };
+        applyPaymentCharges(payment, booking);
+        await payment.save();
         console.log('Updated existing pending payment to completed for booking:', booking.bookingReference);
       } else {
         // Create payment record
-        payment = await Payment.create({
+        payment = new Payment({
           booking: booking._id,
           user: req.user.id,
           amount: booking.totalAmount,
@@ -370,12 +357,15 @@ const confirmPayment = asyncHandler(async (req, res) => {
             cardBrand: paymentIntent.charges.data[0]?.payment_method_details?.card?.brand
           }
         });
+        applyPaymentCharges(payment, booking);
+        await payment.save();
       }
 
-      // Reduce available tickets
-      const route = await Route.findById(booking.route._id);
-      route.availableTickets = Math.max(0, route.availableTickets - booking.passengers.length);
-      await route.save();
+      // Mark the seats as sold on the booked departure
+      const departure = await getBookingDeparture(booking);
+      if (departure) {
+        await sellSeats(departure._id, booking);
+      }
 
       res.status(200).json({
         success: true,
@@ -1,8 +1,23 @@
 const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Route = require('../models/Route');
 const Booking = require('../models/Booking');
+const Departure = require('../models/Departure');
 const logger = require('../utils/logger');
+const { processRejection } = require('../utils/cancellations');
+const { notifyBookingEvent } = require('../utils/notifications');
+const { MANIFEST_FORMATS, buildManifest, manifestToCsv, renderManifestPdf } = require('../utils/manifests');
+const {
+  generateDepartures,
+  getBookingDeparture,
+  getBookingSeats,
+  getDepartureBookingFilter,
+  getDepartureConflict,
+  PAID_BOOKING_FILTER,
+  startOfDay,
+  syncDepartures
+} = require('../utils/departures');
 
 // @desc    Get vendor profile
 // @route   GET /api/vendor/profile
@@ -151,7 +166,10 @@ const addTicket = asyncHandler(async (req, res) => {
     departureTime,
     arrivalTime,
     duration,
+    days,
+    frequency,
     baseFare,
+    dynamicPricing,
     totalSeats,
     amenities,
     perks,
@@ -184,10 +202,13 @@ const addTicket = asyncHandler(async (req, res) => {
     schedule: [{
       departureTime,
       arrivalTime,
-      duration
+      duration,
+      days: days || [],
+      frequency: frequency || (days && days.length > 0 ? 'specific' : 'daily')
     }],
     pricing: {
-      baseFare
+      baseFare,
+      dynamicPricing
     },
     capacity: {
       totalSeats,
@@ -201,6 +222,9 @@ const addTicket = asyncHandler(async (req, res) => {
     vendor: req.user.id
   });
   
+  // Create the bookable departures for the schedule
+  await generateDepartures(ticket);
+  
   const populatedTicket = await Route.findById(ticket._id)
     .populate('vendor', 'name email businessName');
   
@@ -281,7 +305,12 @@ const updateTicket = asyncHandler(async (req, res) => {
     departureTime,
     arrivalTime,
     duration,
+    days,
+    frequency,
     baseFare,
+    dynamicPricing,
+    advanceBooking,
+    modification,
     totalSeats,
     amenities,
     perks,
@@ -302,6 +331,12 @@ const updateTicket = asyncHandler(async (req, res) => {
   if (type) updateFields.type = type;
   if (ticketClass) updateFields.class = ticketClass;
   if (baseFare) updateFields['pricing.baseFare'] = baseFare;
+  if (dynamicPricing) updateFields['pricing.dynamicPricing'] = dynamicPricing;
+  if (advanceBooking?.minimumDays !== undefined) updateFields['availability.advanceBooking.minimumDays'] = advanceBooking.minimumDays;
+  if (advanceBooking?.maximumDays !== undefined) updateFields['availability.advanceBooking.maximumDays'] = advanceBooking.maximumDays;
+  if (modification?.allowed !== undefined) updateFields['modification.allowed'] = modification.allowed;
+  if (modification?.allowedUntil !== undefined) updateFields['modification.allowedUntil'] = modification.allowedUntil;
+  if (modification?.changeFee !== undefined) updateFields['modification.changeFee'] = modification.changeFee;
   if (totalSeats) updateFields['capacity.totalSeats'] = totalSeats;
   if (availableQuantity) updateFields.availableQuantity = parseInt(availableQuantity);
   if (imageUrl) updateFields.imageUrl = imageUrl;
@@ -309,22 +344,41 @@ const updateTicket = asyncHandler(async (req, res) => {
   if (amenities) updateFields['capacity.amenities'] = amenities;
   if (perks) updateFields.perks = perks; 
   
-  if (departureTime || arrivalTime || duration) {
+  if (departureTime || arrivalTime || duration || days || frequency) {
     updateFields.schedule = [{
       departureTime: departureTime || ticket.schedule[0].departureTime,
       arrivalTime: arrivalTime || ticket.schedule[0].arrivalTime,
       duration: duration || ticket.schedule[0].duration,
-      days: ticket.schedule[0].days || ['daily'],
-      frequency: ticket.schedule[0].frequency || 'daily'
+      days: days || ticket.schedule[0].days || [],
+      frequency: frequency || (days ? 'specific' : ticket.schedule[0].frequency || 'daily')
     }];
   }
   
+  // Seats already taken on upcoming departures pin their times and capacity
+  const changesDepartures = updateFields.schedule || availableQuantity || totalSeats;
+  if (changesDepartures) {
+    const conflict = await getDepartureConflict(ticket.set(updateFields));
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        ...conflict
+      });
+    }
+  }
+  
   ticket = await Route.findByIdAndUpdate(
     req.params.id,
     updateFields,
     { new: true, runValidators: true }
   ).populate('vendor', 'name email businessName');
   
+  // Keep upcoming departures in line with the new schedule and allotment
+  if (changesDepartures) {
+    await syncDepartures(ticket);
+  } else {
+    await generateDepartures(ticket);
+  }
+  
   // Only log in production environment
   if (process.env.NODE_ENV === 'production') {
     logger.info(`Ticket updated by vendor: ${req.user.id}, Ticket ID: ${ticket._id}`);
@@ -372,18 +426,164 @@ const deleteTicket = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Get vendor booking requests
-// @route   GET /api/vendor/bookings
+// Load a ticket for the vendor who owns it
+const getOwnTicket = async (req, res) => {
+  const ticket = await Route.findById(req.params.id);
+
+  if (!ticket) {
+    res.status(404);
+    throw new Error('Ticket not found');
+  }
+
+  if (ticket.vendor.toString() !== req.user.id) {
+    res.status(403);
+    throw new Error('Not authorized to manage this ticket');
+  }
+
+  return ticket;
+};
+
+// Validate a blackout period from the request body
+const parseBlackoutPeriod = (body, res) => {
+  const startDate = startOfDay(body.startDate);
+  const endDate = startOfDay(body.endDate || body.startDate);
+
+  if (!body.startDate || isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+    res.status(400);
+    throw new Error('A valid start date is required');
+  }
+
+  if (endDate < startDate) {
+    res.status(400);
+    throw new Error('End date cannot be before start date');
+  }
+
+  return { startDate, endDate, reason: body.reason || '' };
+};
+
+// Active bookings that travel within a blackout period
+const countBookingsInPeriod = (ticket, period) => {
+  const periodEnd = new Date(period.endDate);
+  periodEnd.setDate(periodEnd.getDate() + 1);
+
+  return Booking.countDocuments({
+    route: ticket._id,
+    bookingStatus: { $in: ['pending', 'accepted'] },
+    departureDate: { $gte: period.startDate, $lt: periodEnd }
+  });
+};
+
+const sortBlackouts = (ticket) => {
+  return [...ticket.availability.blackoutDates].sort((a, b) => a.startDate - b.startDate);
+};
+
+// @desc    Get blackout periods of a ticket
+// @route   GET /api/vendor/tickets/:id/blackout-dates
 // @access  Private (Vendor)
-const getVendorBookings = asyncHandler(async (req, res) => {
-  const { status, search, startDate, endDate } = req.query; 
-  
-  let query = { vendor: req.user.id }; 
+const getBlackoutDates = asyncHandler(async (req, res) => {
+  const ticket = await getOwnTicket(req, res);
+
+  res.status(200).json({
+    success: true,
+    data: sortBlackouts(ticket)
+  });
+});
+
+// @desc    Add a blackout period to a ticket
+// @route   POST /api/vendor/tickets/:id/blackout-dates
+// @access  Private (Vendor)
+const addBlackoutDate = asyncHandler(async (req, res) => {
+  const ticket = await getOwnTicket(req, res);
+  const period = parseBlackoutPeriod(req.body, res);
+
+  ticket.availability.blackoutDates.push(period);
+  await ticket.save();
+
+  // Existing bookings are kept; the vendor decides what to do with them
+  const affectedBookings = await countBookingsInPeriod(ticket, period);
+
+  if (process.env.NODE_ENV === 'production') {
+    logger.info(`Blackout period added by vendor: ${req.user.id}, Ticket ID: ${ticket._id}`);
+  }
+
+  res.status(201).json({
+    success: true,
+    data: sortBlackouts(ticket),
+    affectedBookings,
+    message: 'Blackout period added successfully'
+  });
+});
+
+// @desc    Update a blackout period of a ticket
+// @route   PUT /api/vendor/tickets/:id/blackout-dates/:blackoutId
+// @access  Private (Vendor)
+const updateBlackoutDate = asyncHandler(async (req, res) => {
+  const ticket = await getOwnTicket(req, res);
+  const blackout = ticket.availability.blackoutDates.id(req.params.blackoutId);
+
+  if (!blackout) {
+    res.status(404);
+    throw new Error('Blackout period not found');
+  }
+
+  const period = parseBlackoutPeriod({
+    startDate: req.body.startDate || blackout.startDate,
+    endDate: req.body.endDate || (req.body.startDate ? undefined : blackout.endDate),
+    reason: req.body.reason !== undefined ? req.body.reason : blackout.reason
+  }, res);
+
+  blackout.set(period);
+  await ticket.save();
+
+  const affectedBookings = await countBookingsInPeriod(ticket, period);
+
+  res.status(200).json({
+    success: true,
+    data: sortBlackouts(ticket),
+    affectedBookings,
+    message: 'Blackout period updated successfully'
+  });
+});
+
+// @desc    Remove a blackout period from a ticket
+// @route   DELETE /api/vendor/tickets/:id/blackout-dates/:blackoutId
+// @access  Private (Vendor)
+const deleteBlackoutDate = asyncHandler(async (req, res) => {
+  const ticket = await getOwnTicket(req, res);
+  const blackout = ticket.availability.blackoutDates.id(req.params.blackoutId);
+
+  if (!blackout) {
+    res.status(404);
+    throw new Error('Blackout period not found');
+  }
+
+  blackout.deleteOne();
+  await ticket.save();
+
+  res.status(200).json({
+    success: true,
+    data: sortBlackouts(ticket),
+    message: 'Blackout period removed successfully'
+  });
+});
+
+// Booking filters shared by the booking list and the departure manifest
+const buildVendorBookingQuery = (vendorId, { status, search, startDate, endDate, departure, paidOnly } = {}) => {
+  const query = { vendor: vendorId };
+  const conditions = [];
   
   if (status && status !== 'all') {
     query.bookingStatus = status;
   } 
   
+  if (paidOnly) {
+    Object.assign(query, PAID_BOOKING_FILTER);
+  }
+  
+  if (departure) {
+    conditions.push(getDepartureBookingFilter(departure));
+  }
+  
   if (startDate || endDate) {
     query.createdAt = {};
     if (startDate) query.createdAt.$gte = new Date(startDate);
@@ -391,14 +591,43 @@ const getVendorBookings = asyncHandler(async (req, res) => {
   } 
   
   if (search) {
-    query.$or = [
-      { 'user.name': { $regex: search, $options: 'i' } },
-      { 'user.email': { $regex: search, $options: 'i' } },
-      { bookingReference: { $regex: search, $options: 'i' } }
-    ];
+    conditions.push({
+      $or: [
+        { 'user.name': { $regex: search, $options: 'i' } },
+        { 'user.email': { $regex: search, $options: 'i' } },
+        { bookingReference: { $regex: search, $options: 'i' } }
+      ]
+    });
   }
   
-  const bookings = await Booking.find(query)
+  if (conditions.length > 0) {
+    query.$and = conditions;
+  }
+  
+  return query;
+};
+
+// @desc    Get vendor booking requests
+// @route   GET /api/vendor/bookings
+// @access  Private (Vendor)
+const getVendorBookings = asyncHandler(async (req, res) => {
+  const { status, search, startDate, endDate, departure: departureId } = req.query; 
+  
+  let departure = null;
+  if (departureId) {
+    departure = mongoose.Types.ObjectId.isValid(departureId)
+      ? await Departure.findOne({ _id: departureId, vendor: req.user.id }).select('-seatAssignments')
+      : null;
+    if (!departure) {
+      return res.status(404).json({
+        success: false,
+        code: 'DEPARTURE_NOT_FOUND',
+        message: 'Departure not found'
+      });
+    }
+  }
+  
+  const bookings = await Booking.find(buildVendorBookingQuery(req.user.id, { status, search, startDate, endDate, departure }))
     .populate('user', 'name email')
     .populate('route', 'operator.name from.city to.city type pricing.baseFare')
     .populate('vendor', 'name email businessName')
@@ -411,6 +640,69 @@ const getVendorBookings = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Get the seat-ordered passenger manifest of a departure
+// @route   GET /api/vendor/departures/:id/manifest?format=json|csv|pdf
+// @access  Private (Vendor)
+const getDepartureManifest = asyncHandler(async (req, res) => {
+  const format = (req.query.format || 'json').toLowerCase();
+  if (!MANIFEST_FORMATS.includes(format)) {
+    res.status(400);
+    throw new Error(`Format must be one of: ${MANIFEST_FORMATS.join(', ')}`);
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404);
+    throw new Error('Departure not found');
+  }
+
+  const departure = await Departure.findById(req.params.id).select('-seatAssignments');
+  if (!departure) {
+    res.status(404);
+    throw new Error('Departure not found');
+  }
+
+  if (req.user.role !== 'admin' && departure.vendor.toString() !== req.user.id) {
+    res.status(403);
+    throw new Error('Not authorized to view this departure');
+  }
+
+  const route = await Route.findById(departure.route);
+  if (!route) {
+    res.status(404);
+    throw new Error('Route not found');
+  }
+
+  const bookings = await Booking.find(buildVendorBookingQuery(departure.vendor, { departure, paidOnly: true }))
+    .populate('user', 'name phone');
+  const manifest = buildManifest({ route, departure, bookings });
+
+  const day = departure.departureAt.toISOString().slice(0, 10);
+  const filename = `manifest-${route.operator?.code || 'route'}-${day}-${departure._id.toString().slice(-6)}`;
+
+  if (format === 'csv') {
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}.csv"`
+    });
+    return res.status(200).send(manifestToCsv(manifest));
+  }
+
+  if (format === 'pdf') {
+    const pdf = await renderManifestPdf(manifest);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="${filename}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    return res.status(200).send(pdf);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: manifest
+  });
+});
+
 // @desc    Accept booking request
 // @route   PUT /api/vendor/bookings/:id/accept
 // @access  Private (Vendor)
@@ -436,15 +728,18 @@ const acceptBooking = asyncHandler(async (req, res) => {
     throw new Error('Booking has already been processed');
   }
   
-  // Get the route to check availability
-  const route = await Route.findById(booking.route);
-  if (!route) {
+  // Get the departure to check availability
+  const departure = await getBookingDeparture(booking);
+  if (!departure) {
     res.status(404);
-    throw new Error('Route not found');
+    throw new Error('Departure not found');
   }
   
-  // Check if enough tickets are available
-  if (route.availableQuantity < booking.bookingQuantity) {
+  // Check if enough tickets are available, unless the booking already holds its seats
+  if (
+    getBookingSeats(departure, booking._id).length === 0 &&
+    departure.availableSeats < booking.bookingQuantity
+  ) {
     res.status(400);
     throw new Error('Insufficient tickets available');
   }
@@ -461,6 +756,8 @@ const acceptBooking = asyncHandler(async (req, res) => {
     logger.info(`Booking accepted by vendor: ${req.user.id}, Booking ID: ${booking._id}`);
   }
   
+  notifyBookingEvent('booking_accepted', booking._id, { notes: booking.vendorResponseNotes });
+  
   const populatedBooking = await Booking.findById(booking._id)
     .populate('user', 'name email')
     .populate('route', 'operator.name from.city to.city type pricing.baseFare');
@@ -496,11 +793,20 @@ const rejectBooking = asyncHandler(async (req, res) => {
     throw new Error('Booking has already been processed');
   }
   
-  // Update booking status
-  booking.bookingStatus = 'rejected';
-  booking.vendorResponseAt = new Date();
-  booking.vendorResponseNotes = notes || '';
-  await booking.save();
+  // Refunds a paid booking in full, then frees its seats, coupon and open checkout
+  const result = await processRejection({
+    booking,
+    notes,
+    io: req.app.get('io')
+  });
+  
+  if (!result) {
+    return res.status(409).json({
+      success: false,
+      code: 'BOOKING_ALREADY_PROCESSED',
+      message: 'Booking has already been processed'
+    });
+  }
   
   // Only log in production environment
   if (process.env.NODE_ENV === 'production') {
@@ -513,7 +819,11 @@ const rejectBooking = asyncHandler(async (req, res) => {
   
   res.status(200).json({
     success: true,
-    data: populatedBooking
+    data: populatedBooking,
+    refund: {
+      amount: result.refundedAmount,
+      pending: result.refundPending
+    }
   });
 });
 
@@ -685,7 +995,12 @@ module.exports = {
   getVendorTickets,
   updateTicket,
   deleteTicket,
+  getBlackoutDates,
+  addBlackoutDate,
+  updateBlackoutDate,
+  deleteBlackoutDate,
   getVendorBookings,
+  getDepartureManifest,
   acceptBooking,
   rejectBooking,
   getVendorRevenue
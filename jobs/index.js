@@ -0,0 +1,113 @@
+const os = require('os');
+const cron = require('node-cron');
+const JobRun = require('../models/JobRun');
+const logger = require('../utils/logger');
+const { releaseExpiredHolds } = require('../utils/seatHolds');
+const { expireWaitlistOffers } = require('../utils/waitlist');
+const { expireBookingChanges } = require('../utils/bookingChanges');
+const { generateUpcomingDepartures } = require('../utils/departures');
+const {
+  completeDepartures,
+  expireUnpaidBookings,
+  sendDepartureReminders
+} = require('../utils/bookingLifecycle');
+
+// Scheduled background jobs - schedules can be overridden through the environment
+const jobs = [
+  {
+    name: 'release-expired-holds',
+    schedule: process.env.HOLD_SWEEP_CRON || '* * * * *',
+    run: releaseExpiredHolds
+  },
+  {
+    name: 'expire-waitlist-offers',
+    schedule: process.env.WAITLIST_SWEEP_CRON || '* * * * *',
+    run: expireWaitlistOffers
+  },
+  {
+    name: 'expire-booking-changes',
+    schedule: process.env.CHANGE_SWEEP_CRON || '*/5 * * * *',
+    run: expireBookingChanges
+  },
+  {
+    name: 'expire-unpaid-bookings',
+    schedule: process.env.UNPAID_SWEEP_CRON || '*/10 * * * *',
+    run: expireUnpaidBookings
+  },
+  {
+    name: 'complete-departures',
+    schedule: process.env.COMPLETION_SWEEP_CRON || '*/15 * * * *',
+    run: completeDepartures
+  },
+  {
+    name: 'generate-departures',
+    schedule: process.env.DEPARTURE_GENERATION_CRON || '0 * * * *',
+    run: generateUpcomingDepartures
+  },
+  {
+    name: 'send-departure-reminders',
+    schedule: process.env.REMINDER_SWEEP_CRON || '*/5 * * * *',
+    run: sendDepartureReminders
+  }
+];
+
+// Job runs are recorded for the admin dashboard; a failure to record never stops the job
+const recordRun = async (action) => {
+  try {
+    return await action();
+  } catch (error) {
+    logger.warn(`Could not record job run: ${error.message}`);
+    return null;
+  }
+};
+
+// Run a job, skipping the tick if the previous run has not finished yet
+const createRunner = (job, io) => {
+  let running = false;
+
+  return async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+
+    const startedAt = new Date();
+    const run = await recordRun(() => JobRun.create({ job: job.name, startedAt, host: os.hostname() }));
+    const finish = (update) => run && recordRun(() => JobRun.updateOne({ _id: run._id }, {
+      finishedAt: new Date(),
+      durationMs: Date.now() - startedAt.getTime(),
+      ...update
+    }));
+
+    try {
+      const processed = await job.run(io);
+      if (processed) {
+        logger.info(`Job ${job.name} processed ${processed} item(s)`);
+      }
+      await finish({ status: 'succeeded', processed: processed || 0 });
+    } catch (error) {
+      logger.error(`Job ${job.name} failed: ${error.message}`);
+      await finish({ status: 'failed', error: error.message });
+    } finally {
+      running = false;
+    }
+  };
+};
+
+const startJobs = (io) => {
+  if (process.env.DISABLE_CRON_JOBS === 'true') {
+    logger.info('Scheduled jobs are disabled');
+    return [];
+  }
+
+  return jobs.map(job => {
+    const task = cron.schedule(job.schedule, createRunner(job, io));
+    logger.info(`Scheduled job ${job.name} (${job.schedule})`);
+    return task;
+  });
+};
+
+module.exports = {
+  jobs,
+  startJobs
+};
@@ -1,6 +1,26 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const logger = require('../utils/logger');
+const { getActiveSession } = require('../utils/sessions');
+const { getAccountBlock } = require('../utils/accountStatus');
+
+/**
+ * Verify an access token and load its user (without the password) as
+ * { user, sessionId }; user is null if it no longer exists. Throws if the
+ * token is invalid, expired or its session has been revoked.
+ */
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret_key');
+
+  if (!(await getActiveSession(decoded.sid, decoded.id))) {
+    throw new Error('Session has expired or was revoked');
+  }
+
+  const user = await User.findById(decoded.id).select('-password');
+  return { user, sessionId: decoded.sid };
+};
+
+const getUserFromToken = async (token) => (await verifyAccessToken(token)).user;
 
 // Protect routes
 const auth = async (req, res, next) => {
@@ -23,10 +43,10 @@ const auth = async (req, res, next) => {
   
   try {
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret_key');
+    const { user, sessionId } = await verifyAccessToken(token);
+    req.user = user;
+    req.sessionId = sessionId;
 
-    req.user = await User.findById(decoded.id).select('-password');
-     
     if (!req.user) {
       return res.status(401).json({
         success: false,
@@ -34,6 +54,17 @@ const auth = async (req, res, next) => {
       });
     }
 
+    // Suspended, fraud-flagged and deactivated accounts lose access straight away
+    const block = getAccountBlock(req.user);
+    if (block) {
+      return res.status(403).json({
+        success: false,
+        code: block.code,
+        error: block.message,
+        reason: block.reason
+      });
+    }
+
     next();
   } catch (err) {
     // Only log auth errors in production environment to reduce noise
@@ -60,4 +91,4 @@ const authorize = (...roles) => {
   };
 };
 
-module.exports = { auth, authorize };
\ No newline at end of file
+module.exports = { auth, authorize, verifyAccessToken, getUserFromToken };
\ No newline at end of file
@@ -0,0 +1,75 @@
+const { getUserFromToken } = require('./auth');
+const logger = require('../utils/logger');
+const { getAccountBlock } = require('../utils/accountStatus');
+
+// Same JWT as the REST API, sent as auth.token, an Authorization header or a token query
+const getSocketToken = (socket) => {
+  const { auth = {}, headers = {}, query = {} } = socket.handshake;
+  if (auth.token) {
+    return String(auth.token).replace(/^Bearer\s+/i, '');
+  }
+  if (headers.authorization && headers.authorization.startsWith('Bearer')) {
+    return headers.authorization.split(' ')[1];
+  }
+  return query.token || null;
+};
+
+/**
+ * Socket.IO middleware: authenticate the connection and join the user's own
+ * rooms (user-<id>, plus vendor-<id> for vendors). Sockets without a token
+ * stay anonymous and can only use public events; a bad token, or one for a
+ * suspended or fraud-flagged account, is refused.
+ */
+const socketAuth = async (socket, next) => {
+  const token = getSocketToken(socket);
+  socket.data.user = null;
+
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const user = await getUserFromToken(token);
+    if (!user) {
+      return next(new Error('User not found'));
+    }
+
+    const block = getAccountBlock(user);
+    if (block) {
+      // Sent to the client as the connect_error's data
+      const error = new Error(block.message);
+      error.data = { code: block.code, reason: block.reason };
+      return next(error);
+    }
+
+    socket.data.user = user;
+    socket.join(`user-${user._id}`);
+    if (user.role === 'vendor') {
+      socket.join(`vendor-${user._id}`);
+    }
+    next();
+  } catch (error) {
+    if (process.env.NODE_ENV === 'production') {
+      logger.error(`Socket auth error: ${error.message}`);
+    }
+    next(new Error('Not authorized'));
+  }
+};
+
+// Only the customer, the booking's vendor or an admin may follow a booking
+const canJoinBooking = (user, booking) => {
+  if (!user || !booking) {
+    return false;
+  }
+  if (user.role === 'admin') {
+    return true;
+  }
+  const userId = user._id.toString();
+  return booking.user.toString() === userId || booking.vendor?.toString() === userId;
+};
+
+module.exports = {
+  getSocketToken,
+  socketAuth,
+  canJoinBooking
+};
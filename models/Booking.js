@@ -16,6 +16,10 @@ const BookingSchema = new mongoose.Schema({
     ref: 'Route',
     required: true
   },
+  departure: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Departure'
+  },
   vendor: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -52,15 +56,55 @@ const BookingSchema = new mongoose.Schema({
       enum: ['male', 'female', 'other'],
       required: true
     },
+    passengerType: {
+      type: String,
+      enum: ['adult', 'child', 'infant'],
+      default: 'adult'
+    },
+    idType: {
+      type: String,
+      enum: ['nid', 'passport', 'birth_certificate']
+    },
+    idNumber: {
+      type: String,
+      trim: true
+    },
+    nationality: {
+      type: String,
+      trim: true
+    },
+    // Infants travel on an adult's lap without a seat of their own
     seatNumber: {
       type: String,
-      required: true
+      required: function() {
+        return this.passengerType !== 'infant';
+      }
+    },
+    fare: {
+      type: Number,
+      default: 0
     },
     ticketNumber: {
       type: String,
       unique: true
+    },
+    // Set when the vendor checks the passenger in at boarding
+    boardedAt: {
+      type: Date
+    },
+    boardedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
     }
   }],
+  // Set when the booking is one leg of a multi-leg trip
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip'
+  },
+  legIndex: {
+    type: Number
+  },
   departureDate: {
     type: Date,
     required: true
@@ -68,26 +112,58 @@ const BookingSchema = new mongoose.Schema({
   returnDate: {
     type: Date
   },
+  // What the customer pays: subtotal - discount + taxes + fees
   totalAmount: {
     type: Number,
     required: true
   },
+  // Sum of the passenger fares
+  subtotal: {
+    type: Number,
+    default: 0
+  },
   baseFare: {
     type: Number,
     required: true
   },
+  // How the adult fare was built from the base fare (see utils/pricing.js)
+  fareBreakdown: {
+    adultFare: Number,
+    multiplier: Number,
+    adjustments: [{
+      _id: false,
+      type: {
+        type: String,
+        enum: ['peak_day', 'occupancy_surge', 'early_bird', 'last_minute']
+      },
+      description: String,
+      multiplier: Number,
+      amount: Number
+    }],
+    calculatedAt: Date
+  },
+  // VAT on the discounted fare
   taxes: {
     type: Number,
     default: 0
   },
+  // Platform service fee charged to the customer
   fees: {
     type: Number,
     default: 0
   },
+  // Coupon discount taken off the subtotal
   discount: {
     type: Number,
     default: 0
   },
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon'
+  },
+  couponCode: {
+    type: String
+  },
   status: {
     type: String,
     enum: ['pending', 'confirmed', 'cancelled', 'completed', 'refunded'],
@@ -144,10 +220,79 @@ const BookingSchema = new mongoose.Schema({
     departureReminder: { type: Boolean, default: false },
     cancellationNotice: { type: Boolean, default: false }
   },
+  // Departure reminder offsets (hours before departure) already sent
+  remindersSent: [{
+    type: Number
+  }],
+  // Audit trail of moves to another departure or route (see utils/bookingChanges.js)
+  changes: [{
+    status: {
+      type: String,
+      enum: ['pending_payment', 'completed', 'expired', 'failed'],
+      default: 'completed'
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now
+    },
+    completedAt: Date,
+    reason: String,
+    from: {
+      route: { type: mongoose.Schema.Types.ObjectId, ref: 'Route' },
+      departure: { type: mongoose.Schema.Types.ObjectId, ref: 'Departure' },
+      departureDate: Date,
+      seats: [String],
+      totalAmount: Number
+    },
+    to: {
+      route: { type: mongoose.Schema.Types.ObjectId, ref: 'Route' },
+      departure: { type: mongoose.Schema.Types.ObjectId, ref: 'Departure' },
+      departureDate: Date,
+      seats: [String],
+      // Priced when the change was requested, so the quote holds while it is paid
+      passengerFares: [Number],
+      baseFare: Number,
+      fareBreakdown: mongoose.Schema.Types.Mixed,
+      subtotal: Number,
+      discount: Number,
+      taxes: Number,
+      fees: Number,
+      totalAmount: Number
+    },
+    // New total less the old one; negative when the new departure is cheaper
+    fareDifference: Number,
+    changeFee: Number,
+    // Collected when positive, refunded when negative
+    amountDue: Number,
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    refundAmount: Number,
+    stripeRefundId: String,
+    // Seats on the new departure are held until then while the difference is paid
+    expiresAt: Date
+  }],
+  // Set while a Stripe checkout for the booking is open
   paymentLock: {
     type: Boolean,
     default: false
   },
+  // Seats are held until this time; unpaid bookings are released after it
+  holdExpiresAt: {
+    type: Date
+  },
+  // When the hold began; checkout can only extend it so far past this
+  holdStartedAt: {
+    type: Date
+  },
+  holdReleasedAt: {
+    type: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -189,6 +334,11 @@ BookingSchema.pre('save', async function(next) {
 // Index for better query performance
 BookingSchema.index({ user: 1, createdAt: -1 });
 BookingSchema.index({ route: 1, departureDate: 1 });
+BookingSchema.index({ departure: 1, bookingStatus: 1 });
+BookingSchema.index({ paymentStatus: 1, holdExpiresAt: 1 });
+BookingSchema.index({ bookingStatus: 1, paymentStatus: 1, departureDate: 1 });
 BookingSchema.index({ bookingReference: 1 });
+BookingSchema.index({ trip: 1, legIndex: 1 });
+BookingSchema.index({ 'changes.status': 1, 'changes.expiresAt': 1 });
 
 module.exports = mongoose.model('Booking', BookingSchema);
\ No newline at end of file
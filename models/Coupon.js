@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+const CouponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Coupon code may only contain letters, numbers, - and _']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  discountType: {
+    type: String,
+    enum: ['percent', 'flat'],
+    required: true
+  },
+  // Percentage (0-100) or flat amount off the fare
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Upper bound on a percent discount
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  // Smallest fare subtotal the coupon can be used on
+  minFare: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: {
+    type: Date
+  },
+  // Leave empty for no limit
+  usageLimit: {
+    type: Number,
+    min: 1
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Empty lists mean the coupon is not restricted on that dimension
+  restrictions: {
+    routes: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Route'
+    }],
+    vendors: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    transportTypes: [{
+      type: String,
+      enum: ['bus', 'train', 'launch', 'ferry', 'flight']
+    }]
+  },
+  // Bookings the coupon is currently applied to
+  redemptions: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      required: true
+    },
+    discount: {
+      type: Number,
+      default: 0
+    },
+    redeemedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+CouponSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Virtual for redemptions left before the overall limit is reached
+CouponSchema.virtual('remainingUses').get(function() {
+  return this.usageLimit ? Math.max(0, this.usageLimit - this.usedCount) : null;
+});
+
+CouponSchema.index({ isActive: 1, validUntil: 1 });
+CouponSchema.index({ 'redemptions.booking': 1 });
+
+// Ensure virtuals are included in JSON output
+CouponSchema.set('toJSON', { virtuals: true });
+CouponSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Coupon', CouponSchema);
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+const DepartureSchema = new mongoose.Schema({
+  route: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route',
+    required: true
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Calendar date of travel (local midnight)
+  travelDate: {
+    type: Date,
+    required: true
+  },
+  // Exact departure date and time
+  departureAt: {
+    type: Date,
+    required: true
+  },
+  scheduleIndex: {
+    type: Number,
+    default: 0
+  },
+  departureTime: {
+    type: String
+  },
+  arrivalTime: {
+    type: String
+  },
+  capacity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  soldCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  heldCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Seats kept aside for waitlisted users who have been offered them
+  offeredCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Seats taken by bookings - held until paid, then sold
+  seatAssignments: [{
+    seatNumber: {
+      type: String,
+      required: true
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['held', 'sold'],
+      default: 'held'
+    },
+    assignedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['scheduled', 'cancelled', 'departed', 'completed'],
+    default: 'scheduled'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+DepartureSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Virtual for seats still open for sale
+DepartureSchema.virtual('availableSeats').get(function() {
+  return Math.max(0, this.capacity - this.soldCount - this.heldCount - (this.offeredCount || 0));
+});
+
+// One departure per route, day and schedule slot
+DepartureSchema.index({ route: 1, travelDate: 1, scheduleIndex: 1 }, { unique: true });
+DepartureSchema.index({ route: 1, departureAt: 1 });
+DepartureSchema.index({ vendor: 1, departureAt: 1 });
+DepartureSchema.index({ status: 1, departureAt: 1 });
+DepartureSchema.index({ 'seatAssignments.booking': 1 });
+
+// Ensure virtuals are included in JSON output
+DepartureSchema.set('toJSON', { virtuals: true });
+DepartureSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Departure', DepartureSchema);
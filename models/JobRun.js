@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const { jobRunRetentionDays } = require('../config/lifecycle');
+
+// One run of a scheduled background job (see jobs/index.js)
+const JobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date
+  },
+  durationMs: {
+    type: Number
+  },
+  // Number of items the job handled, e.g. bookings expired
+  processed: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    type: String
+  },
+  // Host that ran the job, to tell instances apart
+  host: {
+    type: String
+  }
+});
+
+JobRunSchema.index({ job: 1, startedAt: -1 });
+// Old runs are removed automatically
+JobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: Math.round(jobRunRetentionDays * 24 * 60 * 60) });
+
+module.exports = mongoose.model('JobRun', JobRunSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// An entry in a user's in-app notification inbox
+const NotificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // What happened, e.g. booking_paid or waitlist_offer (see templates/inbox.js)
+  type: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String
+  },
+  // IDs the client needs to link the notification, e.g. bookingId
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  readAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+NotificationSchema.index({ user: 1, createdAt: -1 });
+NotificationSchema.index({ user: 1, readAt: 1 });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
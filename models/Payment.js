@@ -15,6 +15,12 @@ const PaymentSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // A booking change can collect a fare difference and change fee on top of the booking's own payment
+  purpose: {
+    type: String,
+    enum: ['booking', 'change'],
+    default: 'booking'
+  },
   currency: {
     type: String,
     default: 'BDT',
@@ -77,6 +83,11 @@ const PaymentSchema = new mongoose.Schema({
       default: 0
     }
   },
+  // VAT collected with the payment, passed on rather than paid out to the vendor
+  taxes: {
+    type: Number,
+    default: 0
+  },
   vendorPayout: {
     amount: {
       type: Number,
@@ -187,10 +198,10 @@ PaymentSchema.pre('save', function(next) {
   next();
 });
 
-// Calculate vendor payout amount (total - fees)
+// Calculate vendor payout amount (total - fees - taxes)
 PaymentSchema.pre('save', function(next) {
   if (this.status === 'completed' && this.vendorPayout.amount === 0) {
-    this.vendorPayout.amount = this.amount - this.fees.totalFees;
+    this.vendorPayout.amount = Math.round((this.amount - this.fees.totalFees - (this.taxes || 0)) * 100) / 100;
   }
   next();
 });
@@ -207,9 +218,9 @@ PaymentSchema.pre('save', function(next) {
   next();
 });
 
-// Virtual for net amount (after fees)
+// Virtual for net amount (after fees and taxes)
 PaymentSchema.virtual('netAmount').get(function() {
-  return this.amount - this.fees.totalFees;
+  return this.amount - this.fees.totalFees - (this.taxes || 0);
 });
 
 // Virtual for is refundable
@@ -225,6 +236,7 @@ PaymentSchema.index({ user: 1 });
 PaymentSchema.index({ status: 1 });
 PaymentSchema.index({ 'paymentGateway.transactionId': 1 });
 PaymentSchema.index({ 'paymentGateway.chargeId': 1 });
+PaymentSchema.index({ 'paymentGateway.paymentIntentId': 1 });
 PaymentSchema.index({ createdAt: -1 });
 PaymentSchema.index({ user: 1, status: 1, createdAt: -1 });
 PaymentSchema.index({ 'vendorPayout.status': 1 });
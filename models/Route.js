@@ -113,6 +113,19 @@ const RouteSchema = new mongoose.Schema({
       type: String,
       default: 'BDT'
     },
+    // Share of the adult fare charged for children and infants (defaults depend on transport type)
+    passengerFares: {
+      child: {
+        type: Number,
+        min: 0,
+        max: 1
+      },
+      infant: {
+        type: Number,
+        min: 0,
+        max: 1
+      }
+    },
     dynamicPricing: {
       enabled: {
         type: Boolean,
@@ -133,7 +146,40 @@ const RouteSchema = new mongoose.Schema({
           type: Number,
           default: 1.0
         }
-      }]
+      }],
+      // Share of seats taken (0-1) at which the surge starts; it reaches surgeMultiplier when sold out
+      surgeThreshold: {
+        type: Number,
+        default: 0.7,
+        min: 0,
+        max: 1
+      },
+      earlyBird: {
+        daysBefore: {
+          type: Number,
+          default: 14
+        },
+        // Share of the fare taken off (0 disables the rule)
+        discount: {
+          type: Number,
+          default: 0,
+          min: 0,
+          max: 0.5
+        }
+      },
+      lastMinute: {
+        hoursBefore: {
+          type: Number,
+          default: 24
+        },
+        // Below 1 for a last-minute deal, above 1 for a surcharge
+        multiplier: {
+          type: Number,
+          default: 1.0,
+          min: 0.5,
+          max: 2.0
+        }
+      }
     }
   },
   capacity: {
@@ -163,7 +209,7 @@ const RouteSchema = new mongoose.Schema({
     advanceBooking: {
       minimumDays: {
         type: Number,
-        default: 1
+        default: 0
       },
       maximumDays: {
         type: Number,
@@ -187,10 +233,25 @@ const RouteSchema = new mongoose.Schema({
       },
       cancellationFee: {
         type: Number,
-        default: 0
+        default: 0 // flat amount kept on partial refunds
       }
     }
   },
+  // Moving a paid booking to another departure or route
+  modification: {
+    allowed: {
+      type: Boolean,
+      default: true
+    },
+    allowedUntil: {
+      type: Number,
+      default: 6 // hours before the current departure
+    },
+    changeFee: {
+      type: Number,
+      default: 0 // flat amount per change, on top of any fare difference
+    }
+  },
   rating: {
     average: {
       type: Number,
@@ -273,6 +334,7 @@ const RouteSchema = new mongoose.Schema({
     type: String,
     enum: ['AC', 'Breakfast', 'WiFi', 'USB Charging', 'Entertainment', 'Blanket', 'Water Bottle', 'Snacks', 'Meal', 'Charging Point']
   }],
+  // Seats offered for sale on each departure (see models/Departure.js)
   availableQuantity: {
     type: Number,
     required: true,
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// One SMS delivery attempt, kept whether it went out or not
+const SmsLogSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  // What the message was about, e.g. booking_paid or departure_reminder
+  event: {
+    type: String
+  },
+  to: {
+    type: String
+  },
+  message: {
+    type: String
+  },
+  provider: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['sent', 'failed', 'skipped'],
+    required: true
+  },
+  providerMessageId: {
+    type: String
+  },
+  // Why a message failed or was not sent
+  error: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+SmsLogSchema.index({ user: 1, createdAt: -1 });
+SmsLogSchema.index({ booking: 1, createdAt: -1 });
+SmsLogSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SmsLog', SmsLogSchema);
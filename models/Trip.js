@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// A journey booked as several legs (e.g. a round trip or a bus + launch
+// connection). Each leg is its own Booking so it keeps its own route, date,
+// seats, fare and cancellation; the trip ties them together for checkout.
+const TripSchema = new mongoose.Schema({
+  tripReference: {
+    type: String,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tripType: {
+    type: String,
+    enum: ['round_trip', 'multi_leg'],
+    required: true
+  },
+  // Leg bookings in travel order
+  legs: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  }],
+  totalAmount: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Generate unique trip reference
+TripSchema.pre('save', function(next) {
+  if (this.isNew && !this.tripReference) {
+    const date = new Date();
+    const year = date.getFullYear().toString().substr(-2);
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
+    this.tripReference = `TT${year}${month}${random}`;
+  }
+  this.updatedAt = Date.now();
+  next();
+});
+
+TripSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Trip', TripSchema);
@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const sessionConfig = require('../config/sessions');
 
 const UserSchema = new mongoose.Schema({
   name: {
@@ -199,10 +200,10 @@ UserSchema.pre('save', async function(next) {
   next();
 });
 
-// Sign JWT and return
-UserSchema.methods.getSignedJwtToken = function() {
-  return jwt.sign({ id: this._id }, process.env.JWT_SECRET || 'fallback_secret_key', {
-    expiresIn: process.env.JWT_EXPIRE || '30d'
+// Sign a short-lived access token for one of the user's sessions (see utils/sessions.js)
+UserSchema.methods.getSignedJwtToken = function(sessionId) {
+  return jwt.sign({ id: this._id, sid: sessionId }, process.env.JWT_SECRET || 'fallback_secret_key', {
+    expiresIn: sessionConfig.accessTokenExpire
   });
 };
 
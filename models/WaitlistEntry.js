@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// A user waiting for seats on a sold-out departure. When seats come back the
+// oldest waiting entry that fits is offered them for a limited time.
+const WaitlistEntrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  route: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route',
+    required: true
+  },
+  departure: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Departure',
+    required: true
+  },
+  // Number of seats wanted
+  seats: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'claimed', 'expired', 'cancelled'],
+    default: 'waiting'
+  },
+  offeredAt: {
+    type: Date
+  },
+  // End of the claim window; the seats go to the next user after this
+  offerExpiresAt: {
+    type: Date
+  },
+  // Booking made when the offer was claimed
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  claimedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+WaitlistEntrySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+WaitlistEntrySchema.index({ departure: 1, status: 1, createdAt: 1 });
+WaitlistEntrySchema.index({ status: 1, offerExpiresAt: 1 });
+WaitlistEntrySchema.index({ user: 1, createdAt: -1 });
+// A user can only be on a departure's waitlist once at a time
+WaitlistEntrySchema.index(
+  { user: 1, departure: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['waiting', 'offered'] } } }
+);
+
+module.exports = mongoose.model('WaitlistEntry', WaitlistEntrySchema);
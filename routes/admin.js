@@ -16,9 +16,18 @@ const {
   markVendorAsFraud,
   getAdvertisedTickets,
   toggleTicketAdvertisement,
-  getDashboardStats
+  getDashboardStats,
+  getScheduledJobs,
+  getJobRuns
 } = require('../controllers/adminDashboard');
 const { getPaymentAnalytics } = require('../controllers/payments');
+const {
+  getCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+} = require('../controllers/coupons');
 
 const router = express.Router();
 
@@ -105,4 +114,39 @@ router.put('/advertised-tickets/:id/toggle', toggleTicketAdvertisement);
 // @access  Private/Admin
 router.get('/payments/analytics', getPaymentAnalytics);
 
+// @desc    Get scheduled jobs with their latest run
+// @route   GET /api/admin/jobs
+// @access  Private/Admin
+router.get('/jobs', getScheduledJobs);
+
+// @desc    Get recorded job runs
+// @route   GET /api/admin/jobs/runs
+// @access  Private/Admin
+router.get('/jobs/runs', getJobRuns);
+
+// @desc    Get all coupons
+// @route   GET /api/admin/coupons
+// @access  Private/Admin
+router.get('/coupons', getCoupons);
+
+// @desc    Create coupon
+// @route   POST /api/admin/coupons
+// @access  Private/Admin
+router.post('/coupons', createCoupon);
+
+// @desc    Get coupon
+// @route   GET /api/admin/coupons/:id
+// @access  Private/Admin
+router.get('/coupons/:id', getCoupon);
+
+// @desc    Update coupon
+// @route   PUT /api/admin/coupons/:id
+// @access  Private/Admin
+router.put('/coupons/:id', updateCoupon);
+
+// @desc    Delete coupon
+// @route   DELETE /api/admin/coupons/:id
+// @access  Private/Admin
+router.delete('/coupons/:id', deleteCoupon);
+
 module.exports = router;
\ No newline at end of file
@@ -8,7 +8,11 @@ const {
   resetPassword,
   updateDetails,
   updatePassword,
-  logout
+  refreshToken,
+  logout,
+  getSessions,
+  deleteSession,
+  deleteAllSessions
 } = require('../controllers/auth');
 const { auth } = require('../middleware/auth');
 
@@ -54,6 +58,10 @@ router.put('/updatedetails', auth, updateDetailsValidation, updateDetails);
 router.put('/updatepassword', auth, updatePasswordValidation, updatePassword);
 router.post('/forgotpassword', forgotPasswordValidation, forgotPassword);
 router.put('/resetpassword/:resettoken', resetPasswordValidation, resetPassword);
+router.post('/refresh', refreshToken);
 router.post('/logout', auth, logout);
+router.get('/sessions', auth, getSessions);
+router.delete('/sessions', auth, deleteAllSessions);
+router.delete('/sessions/:id', auth, deleteSession);
 
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,24 @@
 const express = require('express');
 const { auth: protect } = require('../middleware/auth');
-const { createBooking, getUserBookings, getBookingById } = require('../controllers/bookingsController');
+const {
+  createBooking,
+  getUserBookings,
+  getBookingById,
+  getCancellationQuote,
+  cancelBooking,
+  createTrip,
+  getTrip,
+  cancelTripLeg,
+  joinWaitlist,
+  getMyWaitlist,
+  leaveWaitlist,
+  claimWaitlistSeats,
+  getChangeQuote,
+  changeBooking,
+  confirmBookingChange,
+  getTicketPdf,
+  getTicketVerificationKey
+} = require('../controllers/bookingsController');
 
 const router = express.Router();
 
@@ -14,9 +32,79 @@ router.post('/', protect, createBooking);
 // @access  Private
 router.get('/user', protect, getUserBookings);
 
+// @desc    Book a trip of several legs
+// @route   POST /api/bookings/trips
+// @access  Private
+router.post('/trips', protect, createTrip);
+
+// @desc    Get trip with its legs
+// @route   GET /api/bookings/trips/:id
+// @access  Private
+router.get('/trips/:id', protect, getTrip);
+
+// @desc    Cancel one leg of a trip
+// @route   PUT /api/bookings/trips/:id/legs/:legIndex/cancel
+// @access  Private
+router.put('/trips/:id/legs/:legIndex/cancel', protect, cancelTripLeg);
+
+// @desc    Get the public key for verifying ticket QR codes
+// @route   GET /api/bookings/ticket-key
+// @access  Public
+router.get('/ticket-key', getTicketVerificationKey);
+
+// @desc    Join the waitlist of a sold-out departure
+// @route   POST /api/bookings/waitlist
+// @access  Private
+router.post('/waitlist', protect, joinWaitlist);
+
+// @desc    Get user's waitlist entries
+// @route   GET /api/bookings/waitlist
+// @access  Private
+router.get('/waitlist', protect, getMyWaitlist);
+
+// @desc    Leave a waitlist
+// @route   DELETE /api/bookings/waitlist/:id
+// @access  Private
+router.delete('/waitlist/:id', protect, leaveWaitlist);
+
+// @desc    Book the seats offered from a waitlist
+// @route   POST /api/bookings/waitlist/:id/claim
+// @access  Private
+router.post('/waitlist/:id/claim', protect, claimWaitlistSeats);
+
 // @desc    Get booking by ID
 // @route   GET /api/bookings/:id
 // @access  Private
 router.get('/:id', protect, getBookingById);
 
+// @desc    Download the e-ticket PDF
+// @route   GET /api/bookings/:id/ticket.pdf
+// @access  Private
+router.get('/:id/ticket.pdf', protect, getTicketPdf);
+
+// @desc    Get the refund a cancellation would give
+// @route   GET /api/bookings/:id/cancellation-quote
+// @access  Private
+router.get('/:id/cancellation-quote', protect, getCancellationQuote);
+
+// @desc    Cancel booking
+// @route   PUT /api/bookings/:id/cancel
+// @access  Private
+router.put('/:id/cancel', protect, cancelBooking);
+
+// @desc    Get what changing a booking would cost
+// @route   GET /api/bookings/:id/change-quote
+// @access  Private
+router.get('/:id/change-quote', protect, getChangeQuote);
+
+// @desc    Move a booking to another departure or route
+// @route   POST /api/bookings/:id/change
+// @access  Private
+router.post('/:id/change', protect, changeBooking);
+
+// @desc    Complete a booking change after payment
+// @route   POST /api/bookings/:id/change/confirm
+// @access  Private
+router.post('/:id/change/confirm', protect, confirmBookingChange);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,17 @@
+const express = require('express');
+const {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+} = require('../controllers/notifications');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(auth);
+
+router.get('/', getNotifications);
+router.put('/read-all', markAllNotificationsRead);
+router.put('/:id/read', markNotificationRead);
+
+module.exports = router;
@@ -6,21 +6,27 @@ const {
   getUserTransactions,
   exportTransactions,
   createCheckoutSession,
-  updatePaymentStatus
+  createTripCheckoutSession,
+  updatePaymentStatus,
+  updateTripPaymentStatus
 } = require('../controllers/payments');
 const { auth } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Public checkout session endpoint (no auth required for initial checkout)
-router.post('/create-checkout-session', createCheckoutSession);
-
 // Protected routes
 router.use(auth);
 
+// Only the customer (or an admin) can open a checkout for a booking
+router.post('/create-checkout-session', createCheckoutSession);
+
 // Payment status update (for Stripe hosted checkout)
 router.post('/update-payment-status', updatePaymentStatus);
 
+// Trips pay for all their legs in one checkout
+router.post('/create-trip-checkout-session', createTripCheckoutSession);
+router.post('/update-trip-payment-status', updateTripPaymentStatus);
+
 // Payment history and status
 router.get('/history', getPaymentHistory);
 router.get('/status/:id', getPaymentStatus);
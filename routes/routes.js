@@ -1,13 +1,87 @@
 const express = require('express');
 const asyncHandler = require('express-async-handler');
 const Route = require('../models/Route');
+const Departure = require('../models/Departure');
+const { getBookingRestriction, startOfDay } = require('../utils/departures');
+const { buildSeatMap } = require('../utils/seats');
+const { calculateFare } = require('../utils/pricing');
+const { MAX_TRANSFERS, planJourneys } = require('../utils/journeys');
 
 const router = express.Router();
 
+// @desc    Plan journeys between two cities, direct or with connections
+// @route   GET /api/tickets?mode=journey
+// @access  Public
+const getJourneys = asyncHandler(async (req, res) => {
+  const {
+    from = '',
+    to = '',
+    date,
+    type = '',
+    seats = 1,
+    maxTransfers = MAX_TRANSFERS,
+    sortBy = 'duration',
+    limit = 10
+  } = req.query;
+
+  if (!from.trim() || !to.trim() || !date) {
+    return res.status(400).json({
+      success: false,
+      message: 'From, to and date are required to plan a journey'
+    });
+  }
+
+  const travelDate = new Date(date);
+  if (isNaN(travelDate.getTime())) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid travel date'
+    });
+  }
+
+  if (!['duration', 'price'].includes(sortBy)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Journeys can be sorted by duration or price'
+    });
+  }
+
+  const journeys = await planJourneys({
+    from,
+    to,
+    date: travelDate,
+    seats: Math.max(1, parseInt(seats) || 1),
+    maxTransfers: Math.max(0, Math.min(MAX_TRANSFERS, parseInt(maxTransfers) || 0)),
+    types: type ? type.split(',').map(t => t.trim().toLowerCase()) : [],
+    sortBy,
+    limit: Math.max(1, Math.min(50, parseInt(limit) || 10))
+  });
+
+  res.status(200).json({
+    success: true,
+    count: journeys.length,
+    data: journeys,
+    filters: {
+      from,
+      to,
+      date,
+      type,
+      seats,
+      maxTransfers,
+      sortBy
+    }
+  });
+});
+
 // @desc    Get all tickets with search, filter, sort, and pagination
 // @route   GET /api/tickets
 // @access  Public
-const getAllTickets = asyncHandler(async (req, res) => {
+const getAllTickets = asyncHandler(async (req, res, next) => {
+  // Journey mode chains routes together instead of listing single tickets
+  if (req.query.mode === 'journey') {
+    return getJourneys(req, res, next);
+  }
+
   try {
     const {
       search = '',
@@ -84,6 +158,31 @@ const getAllTickets = asyncHandler(async (req, res) => {
       .populate('vendor', 'name email')
       .lean();
 
+    // Quote each ticket at its next departure, priced the same way as bookings
+    const nextDepartures = await Departure.aggregate([
+      {
+        $match: {
+          route: { $in: tickets.map(ticket => ticket._id) },
+          status: 'scheduled',
+          departureAt: { $gt: new Date() }
+        }
+      },
+      { $sort: { departureAt: 1 } },
+      { $group: { _id: '$route', departure: { $first: '$$ROOT' } } }
+    ]);
+    const nextDepartureByRoute = new Map(
+      nextDepartures.map(({ _id, departure }) => [_id.toString(), departure])
+    );
+
+    tickets.forEach(ticket => {
+      const departure = nextDepartureByRoute.get(ticket._id.toString());
+      ticket.currentFare = {
+        ...calculateFare(ticket, departure),
+        departureId: departure ? departure._id : null,
+        departureAt: departure ? departure.departureAt : null
+      };
+    });
+
     const totalPages = Math.ceil(total / limitNum);
     const hasNextPage = pageNum < totalPages;
     const hasPrevPage = pageNum > 1;
@@ -265,6 +364,73 @@ const getTransportTypes = asyncHandler(async (req, res) => {
   }
 });
 
+// @desc    Get upcoming departures of a ticket with seat availability
+// @route   GET /api/tickets/:id/departures
+// @access  Public
+const getTicketDepartures = asyncHandler(async (req, res) => {
+  const { from, to } = req.query;
+
+  const ticket = await Route.findById(req.params.id);
+  if (!ticket) {
+    return res.status(404).json({
+      success: false,
+      message: 'Ticket not found'
+    });
+  }
+
+  const query = {
+    route: ticket._id,
+    status: 'scheduled',
+    departureAt: { $gt: new Date() }
+  };
+  if (from) query.travelDate = { $gte: startOfDay(from) };
+  if (to) query.travelDate = { ...query.travelDate, $lte: startOfDay(to) };
+
+  const departures = await Departure.find(query)
+    .select('-seatAssignments')
+    .sort({ departureAt: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: departures.length,
+    data: departures.map(departure => {
+      const restriction = getBookingRestriction(ticket, departure.departureAt);
+      return {
+        ...departure.toJSON(),
+        fare: calculateFare(ticket, departure),
+        bookable: !restriction,
+        restriction
+      };
+    })
+  });
+});
+
+// @desc    Get seat map of a departure
+// @route   GET /api/tickets/:id/departures/:departureId/seats
+// @access  Public
+const getDepartureSeatMap = asyncHandler(async (req, res) => {
+  const ticket = await Route.findById(req.params.id);
+  if (!ticket) {
+    return res.status(404).json({
+      success: false,
+      message: 'Ticket not found'
+    });
+  }
+
+  const departure = await Departure.findOne({ _id: req.params.departureId, route: ticket._id });
+  if (!departure) {
+    return res.status(404).json({
+      success: false,
+      message: 'Departure not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: buildSeatMap(ticket, departure)
+  });
+});
+
 // Legacy route for backward compatibility
 const searchRoutes = asyncHandler(async (req, res) => {
   // Redirect to the new getAllTickets with search parameters
@@ -331,9 +497,12 @@ const getAdvertisedTickets = asyncHandler(async (req, res) => {
 
 // Routes
 router.get('/', getAllTickets);
+router.get('/journeys', getJourneys);
 router.get('/suggestions', getSearchSuggestions);
 router.get('/types', getTransportTypes);
 router.get('/advertised', getAdvertisedTickets);
+router.get('/:id/departures', getTicketDepartures);
+router.get('/:id/departures/:departureId/seats', getDepartureSeatMap);
 router.get('/:id', getTicket);
 router.post('/search', searchRoutes); // Legacy
 router.post('/', createRoute); // Legacy
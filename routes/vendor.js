@@ -6,11 +6,17 @@ const {
   getVendorTickets,
   updateTicket,
   deleteTicket,
+  getBlackoutDates,
+  addBlackoutDate,
+  updateBlackoutDate,
+  deleteBlackoutDate,
   getVendorBookings,
+  getDepartureManifest,
   acceptBooking,
   rejectBooking,
   getVendorRevenue
 } = require('../controllers/vendorDashboard');
+const { checkInTicket, getBoardingReport } = require('../controllers/boarding');
 const { auth, authorize } = require('../middleware/auth');
 
 const router = express.Router();
@@ -35,6 +41,15 @@ router.route('/tickets/:id')
   .put(updateTicket)
   .delete(deleteTicket);
 
+// Blackout period routes
+router.route('/tickets/:id/blackout-dates')
+  .get(getBlackoutDates)
+  .post(addBlackoutDate);
+
+router.route('/tickets/:id/blackout-dates/:blackoutId')
+  .put(updateBlackoutDate)
+  .delete(deleteBlackoutDate);
+
 // Booking routes
 router.route('/bookings')
   .get(getVendorBookings);
@@ -45,6 +60,16 @@ router.route('/bookings/:id/accept')
 router.route('/bookings/:id/reject')
   .put(rejectBooking);
 
+// Boarding routes
+router.route('/check-in')
+  .post(checkInTicket);
+
+router.route('/departures/:id/boarding')
+  .get(getBoardingReport);
+
+router.route('/departures/:id/manifest')
+  .get(getDepartureManifest);
+
 // Revenue analytics route
 router.route('/revenue')
   .get(getVendorRevenue);
@@ -0,0 +1,29 @@
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const Route = require('../models/Route');
+const logger = require('../utils/logger');
+
+dotenv.config();
+
+// Routes used to be saved with advanceBooking.minimumDays = 1 by default, which
+// vendors could not change and nothing enforced. Now that it is enforced, clear
+// that stored default so same-day bookings keep working. Run once, before
+// vendors start setting the minimum themselves.
+const run = async () => {
+  await connectDB();
+
+  const result = await Route.updateMany(
+    { 'availability.advanceBooking.minimumDays': 1 },
+    { $set: { 'availability.advanceBooking.minimumDays': 0 } }
+  );
+  logger.info(`Cleared the default minimum booking days on ${result.modifiedCount} route(s)`);
+
+  await mongoose.connection.close();
+};
+
+run().catch(async (error) => {
+  logger.error(`Could not reset minimum booking days: ${error.message}`);
+  await mongoose.connection.close();
+  process.exit(1);
+});
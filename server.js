@@ -29,6 +29,7 @@ console.log('Environment check:', {
   MONGODB_URI: process.env.MONGODB_URI ? 'Loaded' : 'Missing',
   STRIPE_SECRET_KEY: process.env.STRIPE_SECRET_KEY ? 'Loaded' : 'Missing',
   JWT_SECRET: process.env.JWT_SECRET ? 'Loaded' : 'Missing',
+  REDIS_URL: process.env.REDIS_URL ? 'Loaded' : 'Missing',
   FIREBASE_PROJECT_ID: process.env.FIREBASE_PROJECT_ID ? 'Loaded' : 'Missing',
   ALLOW_LOCALHOST_TESTING: process.env.ALLOW_LOCALHOST_TESTING || 'Not Set',
   CLIENT_URL: process.env.CLIENT_URL || 'Not Set'
@@ -53,15 +54,23 @@ const routeRoutes = require('./routes/routes');
 const paymentRoutes = require('./routes/payments');
 const adminRoutes = require('./routes/admin');
 const vendorRoutes = require('./routes/vendor');
+const notificationRoutes = require('./routes/notifications');
+const { handleStripeWebhook } = require('./controllers/payments');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 const { auth: authMiddleware } = require('./middleware/auth');
+const { socketAuth, canJoinBooking } = require('./middleware/socketAuth');
 const { corsErrorHandler, corsLoggingMiddleware } = require('./middleware/corsErrorHandler');
 
 // Import utils
 const logger = require('./utils/logger');
 const connectDB = require('./config/database');
+const { getHoldStatus } = require('./utils/seatHolds');
+const { setSocketServer } = require('./utils/socket');
+const { getDepartureAvailability, getRouteAvailability } = require('./utils/availability');
+const { startJobs } = require('./jobs');
+const Booking = require('./models/Booking');
 
 // Clear Firebase module cache to ensure fresh load with current env vars
 delete require.cache[require.resolve('./config/firebase')];
@@ -217,6 +226,10 @@ app.use(cors(corsOptions));
 app.options('*', cors(corsOptions));
 
 
+// Stripe signs the raw request body, so the webhook is registered before the
+// JSON parser and outside the authenticated payment routes
+app.post('/api/payments/webhook', express.raw({ type: 'application/json' }), handleStripeWebhook);
+
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -235,22 +248,101 @@ if (process.env.NODE_ENV === 'production') {
   }));
 }
 
+// Socket.IO authentication - joins each user to their own rooms
+io.use(socketAuth);
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
-  logger.info(`User connected: ${socket.id}`);
+  const { user } = socket.data;
+  logger.info(`Socket connected: ${socket.id}${user ? ` (user ${user._id})` : ''}`);
+
+  // Payment and seat hold events of a booking, for its customer, vendor or an admin
+  socket.on('join-booking', async (bookingId, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+
+    if (!user) {
+      return respond({ success: false, error: 'Not authorized' });
+    }
+
+    try {
+      const booking = mongoose.Types.ObjectId.isValid(bookingId) ? await Booking.findById(bookingId) : null;
+      if (!canJoinBooking(user, booking)) {
+        logger.warn(`User ${user._id} was refused booking room ${bookingId}`);
+        return respond({ success: false, error: 'Not authorized to follow this booking' });
+      }
+
+      socket.join(`booking-${booking._id}`);
+      respond({ success: true });
+
+      // Send the current seat hold so the client can resume its countdown
+      if (booking.paymentStatus === 'pending' && booking.holdExpiresAt) {
+        socket.emit('seat-hold', getHoldStatus(booking));
+      }
+    } catch (error) {
+      logger.error(`Error joining booking ${bookingId}: ${error.message}`);
+      respond({ success: false, error: 'Could not join booking' });
+    }
+  });
+
+  socket.on('leave-booking', (bookingId) => {
+    socket.leave(`booking-${bookingId}`);
+  });
 
-  socket.on('join-booking', (bookingId) => {
-    socket.join(`booking-${bookingId}`);
-    logger.info(`User ${socket.id} joined booking ${bookingId}`);
+  // Live seat availability is public. Rooms do not survive a reconnect, so
+  // clients send their watch events again and the reply carries the current
+  // state, covering anything missed while they were offline.
+  socket.on('watch-departure', async (departureId, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    if (!mongoose.Types.ObjectId.isValid(departureId)) {
+      return respond({ success: false, error: 'Invalid departure' });
+    }
+
+    try {
+      const availability = await getDepartureAvailability(departureId);
+      if (!availability) {
+        return respond({ success: false, error: 'Departure not found' });
+      }
+      socket.join(`departure-${departureId}`);
+      respond({ success: true, data: availability });
+    } catch (error) {
+      logger.error(`Error watching departure ${departureId}: ${error.message}`);
+      respond({ success: false, error: 'Could not load seat availability' });
+    }
+  });
+
+  socket.on('watch-route', async (payload, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const { routeId, date } = payload || {};
+    if (!mongoose.Types.ObjectId.isValid(routeId) || (date && isNaN(new Date(date).getTime()))) {
+      return respond({ success: false, error: 'Invalid route or date' });
+    }
+
+    try {
+      const departures = await getRouteAvailability(routeId, date);
+      socket.join(`route-${routeId}`);
+      respond({ success: true, data: departures });
+    } catch (error) {
+      logger.error(`Error watching route ${routeId}: ${error.message}`);
+      respond({ success: false, error: 'Could not load seat availability' });
+    }
+  });
+
+  socket.on('unwatch-departure', (departureId) => {
+    socket.leave(`departure-${departureId}`);
+  });
+
+  socket.on('unwatch-route', (routeId) => {
+    socket.leave(`route-${routeId}`);
   });
 
   socket.on('disconnect', () => {
-    logger.info(`User disconnected: ${socket.id}`);
+    logger.info(`Socket disconnected: ${socket.id}`);
   });
 });
 
-// Make io accessible to routes
+// Make io accessible to routes, and to code that runs outside a request
 app.set('io', io);
+setSocketServer(io);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -271,6 +363,7 @@ app.use('/api/routes', routeRoutes);
 app.use('/api/payments', authMiddleware, paymentRoutes);
 app.use('/api/admin', authMiddleware, adminRoutes);
 app.use('/api/vendor', authMiddleware, vendorRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // Alias /api/tickets to /api/routes for backward compatibility
 app.use('/api/tickets', routeRoutes);
@@ -297,6 +390,9 @@ const PORT = process.env.PORT || 5000;
 
 server.listen(PORT, () => {
   logger.info(`Server running in ${process.env.NODE_ENV || 'development'} mode on port ${PORT}`);
+
+  // Start scheduled background jobs
+  startJobs(io);
 });
 
 // Handle unhandled promise rejections
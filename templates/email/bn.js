@@ -0,0 +1,107 @@
+// Bangla email templates. Each returns the parts the layout in ./index.js renders.
+
+const tripDetails = (data, { formatDate, formatAmount }) => [
+  ['বুকিং নম্বর', data.bookingReference],
+  ['রুট', `${data.from} থেকে ${data.to}`],
+  ['যাত্রার সময়', formatDate(data.departureDate)],
+  ['যাত্রী', data.passengerCount],
+  ['আসন', data.seats || 'বোর্ডিংয়ের সময় দেওয়া হবে'],
+  ['মোট', formatAmount(data.totalAmount)]
+];
+
+module.exports = {
+  booking_created: (data, helpers) => ({
+    subject: `বুকিং ${data.bookingReference} গ্রহণ করা হয়েছে`,
+    heading: 'আপনার বুকিং আমরা পেয়েছি',
+    intro: [
+      `প্রিয় ${data.name},`,
+      'অপারেটর বুকিং নিশ্চিত করা পর্যন্ত আপনার আসনগুলো সংরক্ষিত থাকবে। আসন ধরে রাখতে সময় শেষ হওয়ার আগে পেমেন্ট সম্পন্ন করুন।'
+    ],
+    details: tripDetails(data, helpers),
+    action: data.bookingUrl && { label: 'বুকিং দেখুন', url: data.bookingUrl }
+  }),
+
+  booking_accepted: (data, helpers) => ({
+    subject: `${data.operator} বুকিং ${data.bookingReference} নিশ্চিত করেছে`,
+    heading: 'আপনার বুকিং নিশ্চিত হয়েছে',
+    intro: [
+      `প্রিয় ${data.name},`,
+      data.paid
+        ? `${data.operator} আপনার বুকিং নিশ্চিত করেছে। আপনার ই-টিকিট প্রস্তুত।`
+        : `${data.operator} আপনার বুকিং নিশ্চিত করেছে। ই-টিকিট পেতে অনুগ্রহ করে পেমেন্ট সম্পন্ন করুন।`
+    ],
+    details: [
+      ...tripDetails(data, helpers),
+      ...(data.notes ? [['অপারেটরের বার্তা', data.notes]] : [])
+    ],
+    action: data.bookingUrl && { label: data.paid ? 'বুকিং দেখুন' : 'এখনই পেমেন্ট করুন', url: data.bookingUrl }
+  }),
+
+  booking_rejected: (data, helpers) => ({
+    subject: `বুকিং ${data.bookingReference} নিশ্চিত করা যায়নি`,
+    heading: 'আপনার বুকিং গ্রহণ করা হয়নি',
+    intro: [
+      `প্রিয় ${data.name},`,
+      `দুঃখিত, ${data.operator} আপনার বুকিং গ্রহণ করতে পারেনি এবং আসনগুলো ছেড়ে দেওয়া হয়েছে।`
+    ],
+    details: [
+      ...tripDetails(data, helpers),
+      ['কারণ', data.reason || 'উল্লেখ করা হয়নি']
+    ],
+    outro: data.paid ? [] : ['এই বুকিংয়ের জন্য আপনার কাছ থেকে কোনো টাকা কাটা হয়নি। অন্য কোনো যাত্রা বা অপারেটর দেখে নিন।']
+  }),
+
+  booking_paid: (data, helpers) => ({
+    subject: `বুকিং ${data.bookingReference} এর পেমেন্ট পাওয়া গেছে`,
+    heading: 'পেমেন্ট সম্পন্ন হয়েছে',
+    intro: [
+      `প্রিয় ${data.name},`,
+      `আমরা আপনার ${helpers.formatAmount(data.totalAmount)} পেমেন্ট পেয়েছি। বুকিং থেকে আপনার ই-টিকিট ডাউনলোড করতে পারবেন।`
+    ],
+    details: tripDetails(data, helpers),
+    action: data.bookingUrl && { label: 'ই-টিকিট ডাউনলোড করুন', url: data.bookingUrl },
+    outro: ['যাত্রার অন্তত ৩০ মিনিট আগে ছবিসহ পরিচয়পত্র নিয়ে টার্মিনালে উপস্থিত থাকুন।']
+  }),
+
+  booking_cancelled: (data, helpers) => ({
+    subject: `বুকিং ${data.bookingReference} বাতিল করা হয়েছে`,
+    heading: 'আপনার বুকিং বাতিল হয়েছে',
+    intro: [
+      `প্রিয় ${data.name},`,
+      data.reason ? `আপনার বুকিং বাতিল করা হয়েছে: ${data.reason}।` : 'আপনার বুকিং বাতিল করা হয়েছে।'
+    ],
+    details: [
+      ...tripDetails(data, helpers),
+      ...(data.refundAmount > 0 ? [['ফেরত', helpers.formatAmount(data.refundAmount)]] : [])
+    ],
+    outro: data.refundAmount > 0
+      ? ['ফেরতের টাকা সাধারণত ৫ থেকে ১০ কার্যদিবসের মধ্যে আপনার কার্ডে পৌঁছে যায়।']
+      : []
+  }),
+
+  booking_refunded: (data, helpers) => ({
+    subject: `বুকিং ${data.bookingReference} এর টাকা ফেরত দেওয়া হয়েছে`,
+    heading: 'আপনার টাকা ফেরত পাঠানো হয়েছে',
+    intro: [
+      `প্রিয় ${data.name},`,
+      `বুকিং ${data.bookingReference} এর জন্য ${helpers.formatAmount(data.refundAmount)} ফেরত দেওয়া হয়েছে।`
+    ],
+    details: [
+      ...tripDetails(data, helpers),
+      ['ফেরত', helpers.formatAmount(data.refundAmount)],
+      ...(data.reason ? [['কারণ', data.reason]] : [])
+    ],
+    outro: ['ফেরতের টাকা সাধারণত ৫ থেকে ১০ কার্যদিবসের মধ্যে আপনার কার্ডে পৌঁছে যায়।']
+  }),
+
+  password_reset: (data) => ({
+    subject: 'আপনার TicketBari পাসওয়ার্ড রিসেট করুন',
+    heading: 'পাসওয়ার্ড রিসেট',
+    intro: [
+      `প্রিয় ${data.name},`,
+      `আপনার অ্যাকাউন্টের পাসওয়ার্ড রিসেট করার অনুরোধ করা হয়েছে। নিচের লিংকটি ${data.expiresInMinutes} মিনিট পর্যন্ত কাজ করবে।`
+    ],
+    action: { label: 'পাসওয়ার্ড রিসেট করুন', url: data.resetUrl },
+    outro: ['আপনি এই অনুরোধ না করে থাকলে ইমেইলটি উপেক্ষা করুন; আপনার পাসওয়ার্ড অপরিবর্তিত থাকবে।']
+  })
+};
@@ -0,0 +1,108 @@
+// English email templates. Each returns the parts the layout in ./index.js renders.
+
+const tripDetails = (data, { formatDate, formatAmount }) => [
+  ['Booking reference', data.bookingReference],
+  ['Route', `${data.from} to ${data.to}`],
+  ['Departure', formatDate(data.departureDate)],
+  ['Passengers', data.passengerCount],
+  ['Seats', data.seats || 'Assigned at boarding'],
+  ['Total', formatAmount(data.totalAmount)]
+];
+
+module.exports = {
+  booking_created: (data, helpers) => ({
+    subject: `Booking ${data.bookingReference} received`,
+    heading: 'We have received your booking',
+    intro: [
+      `Hi ${data.name},`,
+      'Your seats are held while the operator confirms the booking. Complete the payment before the hold runs out to keep them.'
+    ],
+    details: tripDetails(data, helpers),
+    action: data.bookingUrl && { label: 'View booking', url: data.bookingUrl }
+  }),
+
+  booking_accepted: (data, helpers) => ({
+    subject: `Booking ${data.bookingReference} accepted by ${data.operator}`,
+    heading: 'Your booking has been accepted',
+    intro: [
+      `Hi ${data.name},`,
+      data.paid
+        ? `${data.operator} has accepted your booking. Your e-ticket is ready.`
+        : `${data.operator} has accepted your booking. Please complete the payment to receive your e-ticket.`
+    ],
+    details: [
+      ...tripDetails(data, helpers),
+      ...(data.notes ? [['Note from the operator', data.notes]] : [])
+    ],
+    action: data.bookingUrl && { label: data.paid ? 'View booking' : 'Pay now', url: data.bookingUrl }
+  }),
+
+  booking_rejected: (data, helpers) => ({
+    subject: `Booking ${data.bookingReference} could not be confirmed`,
+    heading: 'Your booking was not accepted',
+    intro: [
+      `Hi ${data.name},`,
+      `Unfortunately ${data.operator} could not accept your booking and the seats have been released.`
+    ],
+    details: [
+      ...tripDetails(data, helpers),
+      ['Reason', data.reason || 'Not given']
+    ],
+    outro: data.paid ? [] : ['You have not been charged for this booking. Try another departure or operator.']
+  }),
+
+  booking_paid: (data, helpers) => ({
+    subject: `Payment received for booking ${data.bookingReference}`,
+    heading: 'Payment received, you are all set',
+    intro: [
+      `Hi ${data.name},`,
+      `We have received your payment of ${helpers.formatAmount(data.totalAmount)}. Your e-ticket can be downloaded from your booking.`
+    ],
+    details: tripDetails(data, helpers),
+    action: data.bookingUrl && { label: 'Download e-ticket', url: data.bookingUrl },
+    outro: ['Please be at the terminal at least 30 minutes before departure with a photo ID.']
+  }),
+
+  booking_cancelled: (data, helpers) => ({
+    subject: `Booking ${data.bookingReference} cancelled`,
+    heading: 'Your booking has been cancelled',
+    intro: [
+      `Hi ${data.name},`,
+      data.reason ? `Your booking was cancelled: ${data.reason}.` : 'Your booking was cancelled.'
+    ],
+    details: [
+      ...tripDetails(data, helpers),
+      ...(data.refundAmount > 0 ? [['Refund', helpers.formatAmount(data.refundAmount)]] : [])
+    ],
+    outro: data.refundAmount > 0
+      ? ['Refunds usually reach your card within 5 to 10 working days.']
+      : []
+  }),
+
+  booking_refunded: (data, helpers) => ({
+    subject: `Refund issued for booking ${data.bookingReference}`,
+    heading: 'Your refund is on its way',
+    intro: [
+      `Hi ${data.name},`,
+      `We have refunded ${helpers.formatAmount(data.refundAmount)} for booking ${data.bookingReference}.`
+    ],
+    details: [
+      ...tripDetails(data, helpers),
+      ['Refund', helpers.formatAmount(data.refundAmount)],
+      ...(data.reason ? [['Reason', data.reason]] : [])
+    ],
+    outro: ['Refunds usually reach your card within 5 to 10 working days.']
+  }),
+
+  password_reset: (data) => ({
+    subject: 'Reset your TicketBari password',
+    heading: 'Password reset',
+    intro: [
+      `Hi ${data.name},`,
+      `Someone (hopefully you) asked to reset the password of your account. The link below works for ${data.expiresInMinutes} minutes.`
+    ],
+    action: { label: 'Reset password', url: data.resetUrl },
+    outro: ['If you did not ask for this, you can ignore this email; your password stays the same.']
+  })
+};
+
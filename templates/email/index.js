@@ -0,0 +1,90 @@
+const en = require('./en');
+const bn = require('./bn');
+const { createHelpers } = require('../helpers');
+
+const TEMPLATES = { en, bn };
+
+const DEFAULT_LANGUAGE = 'en';
+
+const FOOTERS = {
+  en: 'TicketBari - bus, train, launch and flight tickets across Bangladesh.',
+  bn: 'TicketBari - সারা বাংলাদেশের বাস, ট্রেন, লঞ্চ ও বিমানের টিকিট।'
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const renderText = (parts, language) => {
+  const lines = [parts.heading, '', ...(parts.intro || []), ''];
+  (parts.details || []).forEach(([label, value]) => lines.push(`${label}: ${value}`));
+  if (parts.action) {
+    lines.push('', `${parts.action.label}: ${parts.action.url}`);
+  }
+  if (parts.outro?.length) {
+    lines.push('', ...parts.outro);
+  }
+  lines.push('', '--', FOOTERS[language]);
+  return lines.join('\n');
+};
+
+const renderHtml = (parts, language) => {
+  const details = (parts.details || []).map(([label, value]) => `
+          <tr>
+            <td style="padding:4px 12px 4px 0;color:#666666;">${escapeHtml(label)}</td>
+            <td style="padding:4px 0;">${escapeHtml(value)}</td>
+          </tr>`).join('');
+
+  const action = parts.action ? `
+        <p style="margin:24px 0;">
+          <a href="${escapeHtml(parts.action.url)}" style="background:#0f766e;color:#ffffff;padding:10px 18px;border-radius:4px;text-decoration:none;">${escapeHtml(parts.action.label)}</a>
+        </p>` : '';
+
+  return `<!DOCTYPE html>
+<html lang="${language}">
+  <head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(parts.subject)}</title>
+  </head>
+  <body style="margin:0;padding:0;background:#f4f4f5;font-family:Arial,'Noto Sans Bengali',sans-serif;color:#111111;">
+    <div style="max-width:560px;margin:0 auto;padding:24px;">
+      <div style="background:#0f766e;color:#ffffff;padding:16px 20px;font-size:18px;">TicketBari</div>
+      <div style="background:#ffffff;padding:20px;">
+        <h1 style="font-size:20px;margin:0 0 16px;">${escapeHtml(parts.heading)}</h1>
+        ${(parts.intro || []).map(line => `<p>${escapeHtml(line)}</p>`).join('\n        ')}
+        ${details ? `<table style="border-collapse:collapse;margin:16px 0;">${details}
+        </table>` : ''}${action}
+        ${(parts.outro || []).map(line => `<p style="color:#444444;">${escapeHtml(line)}</p>`).join('\n        ')}
+      </div>
+      <p style="font-size:12px;color:#666666;">${escapeHtml(FOOTERS[language])}</p>
+    </div>
+  </body>
+</html>`;
+};
+
+/**
+ * Render an email template in the given language (falling back to English)
+ * into { subject, text, html }.
+ */
+const renderEmail = (template, language, data) => {
+  const lang = TEMPLATES[language] ? language : DEFAULT_LANGUAGE;
+  const build = TEMPLATES[lang][template];
+  if (!build) {
+    throw new Error(`Unknown email template "${template}"`);
+  }
+
+  const parts = build(data, createHelpers(lang));
+  return {
+    subject: parts.subject,
+    text: renderText(parts, lang),
+    html: renderHtml(parts, lang)
+  };
+};
+
+module.exports = {
+  TEMPLATE_NAMES: Object.keys(en),
+  renderEmail
+};
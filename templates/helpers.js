@@ -0,0 +1,21 @@
+// Formatting shared by the email and SMS templates
+
+const LOCALES = { en: 'en-GB', bn: 'bn-BD' };
+
+const createHelpers = (language) => ({
+  formatDate: (date) => (date ? new Date(date).toLocaleString(LOCALES[language], {
+    timeZone: 'Asia/Dhaka',
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  }) : '-'),
+  formatAmount: (amount) => `৳${Number(amount || 0).toLocaleString(LOCALES[language], { maximumFractionDigits: 2 })}`
+});
+
+module.exports = {
+  LOCALES,
+  createHelpers
+};
@@ -0,0 +1,117 @@
+const { createHelpers } = require('./helpers');
+
+// Title and message of in-app notifications, by type and language
+const TEMPLATES = {
+  en: {
+    booking_created: (data) => ({
+      title: 'Booking received',
+      message: `Booking ${data.bookingReference} (${data.from} to ${data.to}) is waiting for the operator to confirm.`
+    }),
+    booking_accepted: (data) => ({
+      title: 'Booking accepted',
+      message: data.paid
+        ? `${data.operator} accepted booking ${data.bookingReference}.`
+        : `${data.operator} accepted booking ${data.bookingReference}. Complete the payment to get your e-ticket.`
+    }),
+    booking_rejected: (data) => ({
+      title: 'Booking not accepted',
+      message: `${data.operator} could not accept booking ${data.bookingReference}.${data.reason ? ` Reason: ${data.reason}` : ''}`
+    }),
+    booking_paid: (data, { formatAmount }) => ({
+      title: 'Payment received',
+      message: `We received ${formatAmount(data.totalAmount)} for booking ${data.bookingReference}. Your e-ticket is ready.`
+    }),
+    booking_cancelled: (data, { formatAmount }) => ({
+      title: 'Booking cancelled',
+      message: `Booking ${data.bookingReference} was cancelled.${data.refundAmount > 0 ? ` ${formatAmount(data.refundAmount)} will be refunded.` : ''}`
+    }),
+    booking_refunded: (data, { formatAmount }) => ({
+      title: 'Refund issued',
+      message: `${formatAmount(data.refundAmount)} was refunded for booking ${data.bookingReference}.`
+    }),
+    departure_reminder: (data, { formatDate }) => ({
+      title: 'Upcoming departure',
+      message: `${data.from} to ${data.to} departs ${formatDate(data.departureDate)}. Booking ${data.bookingReference}.`
+    }),
+    waitlist_offer: (data, { formatDate }) => ({
+      title: 'Seats available',
+      message: `${data.seats} seat(s) opened up for your waitlisted departure. Claim them before ${formatDate(data.offerExpiresAt)}.`
+    }),
+    vendor_booking_request: (data) => ({
+      title: 'New booking request',
+      message: `Booking ${data.bookingReference} for ${data.passengerCount} passenger(s), ${data.from} to ${data.to}, needs your response.`
+    }),
+    vendor_payment_received: (data, { formatAmount }) => ({
+      title: 'Payment received',
+      message: `Booking ${data.bookingReference} was paid: ${formatAmount(data.totalAmount)}.`
+    }),
+    vendor_booking_cancelled: (data) => ({
+      title: 'Booking cancelled',
+      message: `Booking ${data.bookingReference} (${data.from} to ${data.to}) was cancelled.`
+    })
+  },
+  bn: {
+    booking_created: (data) => ({
+      title: 'বুকিং গ্রহণ করা হয়েছে',
+      message: `বুকিং ${data.bookingReference} (${data.from} থেকে ${data.to}) অপারেটরের নিশ্চিতকরণের অপেক্ষায় আছে।`
+    }),
+    booking_accepted: (data) => ({
+      title: 'বুকিং নিশ্চিত হয়েছে',
+      message: data.paid
+        ? `${data.operator} বুকিং ${data.bookingReference} নিশ্চিত করেছে।`
+        : `${data.operator} বুকিং ${data.bookingReference} নিশ্চিত করেছে। ই-টিকিট পেতে পেমেন্ট সম্পন্ন করুন।`
+    }),
+    booking_rejected: (data) => ({
+      title: 'বুকিং গ্রহণ করা হয়নি',
+      message: `${data.operator} বুকিং ${data.bookingReference} গ্রহণ করতে পারেনি।${data.reason ? ` কারণ: ${data.reason}` : ''}`
+    }),
+    booking_paid: (data, { formatAmount }) => ({
+      title: 'পেমেন্ট সম্পন্ন',
+      message: `বুকিং ${data.bookingReference} এর ${formatAmount(data.totalAmount)} পেমেন্ট পাওয়া গেছে। আপনার ই-টিকিট প্রস্তুত।`
+    }),
+    booking_cancelled: (data, { formatAmount }) => ({
+      title: 'বুকিং বাতিল',
+      message: `বুকিং ${data.bookingReference} বাতিল করা হয়েছে।${data.refundAmount > 0 ? ` ${formatAmount(data.refundAmount)} ফেরত দেওয়া হবে।` : ''}`
+    }),
+    booking_refunded: (data, { formatAmount }) => ({
+      title: 'টাকা ফেরত',
+      message: `বুকিং ${data.bookingReference} এর জন্য ${formatAmount(data.refundAmount)} ফেরত দেওয়া হয়েছে।`
+    }),
+    departure_reminder: (data, { formatDate }) => ({
+      title: 'আসন্ন যাত্রা',
+      message: `${data.from} থেকে ${data.to} যাত্রা ${formatDate(data.departureDate)}। বুকিং ${data.bookingReference}।`
+    }),
+    waitlist_offer: (data, { formatDate }) => ({
+      title: 'আসন খালি হয়েছে',
+      message: `আপনার অপেক্ষমাণ যাত্রায় ${data.seats}টি আসন খালি হয়েছে। ${formatDate(data.offerExpiresAt)} এর আগে নিশ্চিত করুন।`
+    }),
+    vendor_booking_request: (data) => ({
+      title: 'নতুন বুকিং অনুরোধ',
+      message: `${data.from} থেকে ${data.to}, ${data.passengerCount} জন যাত্রীর বুকিং ${data.bookingReference} আপনার উত্তরের অপেক্ষায়।`
+    }),
+    vendor_payment_received: (data, { formatAmount }) => ({
+      title: 'পেমেন্ট পাওয়া গেছে',
+      message: `বুকিং ${data.bookingReference} এর পেমেন্ট হয়েছে: ${formatAmount(data.totalAmount)}।`
+    }),
+    vendor_booking_cancelled: (data) => ({
+      title: 'বুকিং বাতিল',
+      message: `বুকিং ${data.bookingReference} (${data.from} থেকে ${data.to}) বাতিল করা হয়েছে।`
+    })
+  }
+};
+
+const INBOX_TYPES = Object.keys(TEMPLATES.en);
+
+const renderInboxNotification = (type, language, data) => {
+  const lang = TEMPLATES[language] ? language : 'en';
+  const build = TEMPLATES[lang][type];
+  if (!build) {
+    throw new Error(`Unknown notification type "${type}"`);
+  }
+  return build(data, createHelpers(lang));
+};
+
+module.exports = {
+  INBOX_TYPES,
+  renderInboxNotification
+};
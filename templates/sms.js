@@ -0,0 +1,34 @@
+const { createHelpers } = require('./helpers');
+
+// Text message templates, kept short: Bangla goes out as Unicode at 70 characters a part
+const TEMPLATES = {
+  en: {
+    booking_paid: (data, { formatDate }) =>
+      `TicketBari: Booking ${data.bookingReference} confirmed. ${data.from}-${data.to}, ${formatDate(data.departureDate)}${data.seats ? `, seat ${data.seats}` : ''}. Show your e-ticket at boarding.`,
+    departure_reminder: (data, { formatDate }) =>
+      `TicketBari: Reminder, ${data.from}-${data.to} departs ${formatDate(data.departureDate)}${data.seats ? `, seat ${data.seats}` : ''}. Booking ${data.bookingReference}. Please arrive 30 min early.`
+  },
+  bn: {
+    booking_paid: (data, { formatDate }) =>
+      `TicketBari: বুকিং ${data.bookingReference} নিশ্চিত। ${data.from}-${data.to}, ${formatDate(data.departureDate)}${data.seats ? `, আসন ${data.seats}` : ''}। বোর্ডিংয়ে ই-টিকিট দেখান।`,
+    departure_reminder: (data, { formatDate }) =>
+      `TicketBari: ${data.from}-${data.to} যাত্রা ${formatDate(data.departureDate)}${data.seats ? `, আসন ${data.seats}` : ''}। বুকিং ${data.bookingReference}। ৩০ মিনিট আগে পৌঁছান।`
+  }
+};
+
+// Events that have a text message
+const SMS_EVENTS = Object.keys(TEMPLATES.en);
+
+const renderSms = (template, language, data) => {
+  const lang = TEMPLATES[language] ? language : 'en';
+  const build = TEMPLATES[lang][template];
+  if (!build) {
+    throw new Error(`Unknown SMS template "${template}"`);
+  }
+  return build(data, createHelpers(lang));
+};
+
+module.exports = {
+  SMS_EVENTS,
+  renderSms
+};
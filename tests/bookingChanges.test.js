@@ -0,0 +1,142 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../config/stripe', () => ({ checkout: { sessions: { create: jest.fn() } } }));
+jest.mock('../models/Booking', () => ({ find: jest.fn(), findOneAndUpdate: jest.fn() }));
+jest.mock('../models/Departure', () => ({ findById: jest.fn() }));
+jest.mock('../models/Payment', () => ({ findById: jest.fn(), findOneAndUpdate: jest.fn() }));
+jest.mock('../utils/departures', () => ({
+  getBookingRestriction: jest.fn(),
+  holdSeats: jest.fn(),
+  releaseSeats: jest.fn(),
+  sellSeats: jest.fn()
+}));
+jest.mock('../utils/cancellations', () => ({
+  CANCELLABLE_STATUSES: ['pending', 'accepted'],
+  getCompletedPayments: jest.fn(),
+  refundPayment: jest.fn(),
+  refundPayments: jest.fn(),
+  cancelOpenCheckouts: jest.fn()
+}));
+jest.mock('../utils/waitlist', () => ({ offerWaitlistSeats: jest.fn() }));
+
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const { releaseSeats, sellSeats } = require('../utils/departures');
+const { refundPayment, cancelOpenCheckouts } = require('../utils/cancellations');
+const { offerWaitlistSeats } = require('../utils/waitlist');
+const { completeBookingChange, expireBookingChanges } = require('../utils/bookingChanges');
+
+// A booking's changes array as Mongoose returns it, with changes.id()
+const withChanges = (booking, changes) => {
+  booking.changes = Object.assign(changes, { id: (id) => changes.find(c => c._id === id) });
+  return booking;
+};
+
+const pendingChange = () => ({
+  _id: 'change-1',
+  status: 'pending_payment',
+  payment: 'payment-2',
+  expiresAt: new Date(Date.now() - 60 * 1000),
+  to: { departure: 'departure-2', seats: ['B1'], totalAmount: 1500 }
+});
+
+describe('completeBookingChange', () => {
+  let payment;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    payment = { _id: 'payment-2', amount: 300, save: jest.fn() };
+    Payment.findById.mockResolvedValue(payment);
+  });
+
+  const complete = () => completeBookingChange({
+    bookingId: 'booking-1',
+    changeId: 'change-1',
+    sessionId: 'cs_change',
+    paymentIntentId: 'pi_change'
+  });
+
+  it('refunds a change paid after the booking was cancelled and frees its new seats', async () => {
+    // Cancelling the booking cancelled the change's pending payment
+    Payment.findOneAndUpdate.mockResolvedValue({ _id: 'payment-2', status: 'cancelled' });
+    Booking.findOneAndUpdate.mockResolvedValue(withChanges({ _id: 'booking-1' }, [pendingChange()]));
+
+    await expect(complete()).resolves.toBeNull();
+
+    expect(refundPayment).toHaveBeenCalledWith(payment, 300, 'Booking change could not be completed');
+    expect(Booking.findOneAndUpdate).toHaveBeenCalledTimes(1);
+    expect(Booking.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'booking-1', changes: { $elemMatch: { _id: 'change-1', status: 'pending_payment' } } },
+      { $set: { 'changes.$.status': 'failed' } },
+      { new: true }
+    );
+    expect(releaseSeats).toHaveBeenCalledWith('departure-2', 'booking-1');
+    expect(offerWaitlistSeats).toHaveBeenCalledWith('departure-2', undefined);
+    expect(sellSeats).not.toHaveBeenCalled();
+  });
+
+  it('refunds a change whose booking was cancelled before its payment was claimed', async () => {
+    Payment.findOneAndUpdate.mockResolvedValue({ _id: 'payment-2', status: 'pending' });
+    Booking.findOneAndUpdate
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(withChanges({ _id: 'booking-1' }, [pendingChange()]));
+
+    await expect(complete()).resolves.toBeNull();
+
+    expect(refundPayment).toHaveBeenCalledWith(payment, 300, 'Booking change could not be completed');
+    expect(releaseSeats).toHaveBeenCalledWith('departure-2', 'booking-1');
+    expect(sellSeats).not.toHaveBeenCalled();
+  });
+
+  it('does not release seats again when the change was already given up', async () => {
+    Payment.findOneAndUpdate.mockResolvedValue({ _id: 'payment-2', status: 'cancelled' });
+    Booking.findOneAndUpdate.mockResolvedValue(null);
+
+    await expect(complete()).resolves.toBeNull();
+
+    expect(refundPayment).toHaveBeenCalledTimes(1);
+    expect(releaseSeats).not.toHaveBeenCalled();
+  });
+
+  it('ignores a payment that was already completed', async () => {
+    Payment.findOneAndUpdate.mockResolvedValue(null);
+
+    await expect(complete()).resolves.toBeNull();
+
+    expect(refundPayment).not.toHaveBeenCalled();
+    expect(Booking.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe('expireBookingChanges', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('frees the seats and checkout of a change that was not paid in time', async () => {
+    const booking = withChanges({ _id: 'booking-1', bookingReference: 'TB-1' }, [
+      pendingChange(),
+      { ...pendingChange(), _id: 'change-2', expiresAt: new Date(Date.now() + 10 * 60 * 1000) }
+    ]);
+    Booking.find.mockReturnValue({ select: async () => [booking] });
+    Booking.findOneAndUpdate.mockResolvedValue(booking);
+
+    await expect(expireBookingChanges()).resolves.toBe(1);
+
+    expect(Booking.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'booking-1', changes: { $elemMatch: { _id: 'change-1', status: 'pending_payment' } } },
+      { $set: { 'changes.$.status': 'expired' } }
+    );
+    expect(releaseSeats).toHaveBeenCalledWith('departure-2', 'booking-1');
+    expect(offerWaitlistSeats).toHaveBeenCalledWith('departure-2', undefined);
+    expect(cancelOpenCheckouts).toHaveBeenCalledWith({ _id: 'payment-2' });
+  });
+
+  it('skips a change that was paid while it was being expired', async () => {
+    const booking = withChanges({ _id: 'booking-1', bookingReference: 'TB-1' }, [pendingChange()]);
+    Booking.find.mockReturnValue({ select: async () => [booking] });
+    Booking.findOneAndUpdate.mockResolvedValue(null);
+
+    await expect(expireBookingChanges()).resolves.toBe(0);
+
+    expect(releaseSeats).not.toHaveBeenCalled();
+    expect(cancelOpenCheckouts).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,107 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../models/Booking', () => ({ findOneAndUpdate: jest.fn(), findOne: jest.fn(), findById: jest.fn() }));
+jest.mock('../models/Payment', () => ({ exists: jest.fn(), findOne: jest.fn(), findOneAndUpdate: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../utils/departures', () => ({ getBookingDeparture: jest.fn(), sellSeats: jest.fn() }));
+jest.mock('../utils/seatHolds', () => ({ HOLD_EXPIRED_REASON: 'Seat hold expired', reviveExpiredHold: jest.fn() }));
+jest.mock('../utils/notifications', () => ({ notifyBookingEvent: jest.fn() }));
+jest.mock('../utils/cancellations', () => ({ CANCELLABLE_STATUSES: ['pending', 'accepted'], refundPayment: jest.fn() }));
+
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const { getBookingDeparture, sellSeats } = require('../utils/departures');
+const { notifyBookingEvent } = require('../utils/notifications');
+const { refundPayment } = require('../utils/cancellations');
+const { confirmBookingPayment } = require('../utils/bookingPayments');
+
+const populated = (value) => ({ populate: async () => value });
+
+describe('confirmBookingPayment', () => {
+  let booking;
+  let payment;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    booking = {
+      _id: 'booking-1',
+      bookingReference: 'TB-1',
+      bookingStatus: 'accepted',
+      paymentStatus: 'paid',
+      totalAmount: 1200,
+      notifications: {},
+      save: jest.fn()
+    };
+    payment = { _id: 'payment-1', status: 'pending', fees: {}, paymentGateway: { transactionId: 'cs_1' } };
+
+    Payment.findOne.mockImplementation(async () => payment);
+    Payment.exists.mockImplementation(async () => payment.status === 'pending');
+    Payment.updateOne.mockImplementation(async (filter, update) => {
+      if (payment.status === 'completed') {
+        return { modifiedCount: 0 };
+      }
+      payment.status = update.$set.status;
+      return { modifiedCount: 1 };
+    });
+    Booking.findOne.mockReturnValue(populated(booking));
+    Booking.findById.mockResolvedValue(booking);
+    getBookingDeparture.mockResolvedValue({ _id: 'departure-1' });
+  });
+
+  const confirm = () => confirmBookingPayment({ bookingId: 'booking-1', sessionId: 'cs_1', paymentIntentId: 'pi_1' });
+
+  it('finishes a confirmation that failed after the booking was claimed when Stripe retries', async () => {
+    // First delivery: the booking is claimed, then selling the seats fails
+    Booking.findOneAndUpdate.mockReturnValueOnce(populated(booking));
+    sellSeats.mockRejectedValueOnce(new Error('connection reset'));
+    await expect(confirm()).rejects.toThrow('connection reset');
+    expect(payment.status).toBe('pending');
+
+    // Retry: the booking is already paid, but its payment is not completed yet
+    Booking.findOneAndUpdate.mockReturnValueOnce(populated(null));
+    await expect(confirm()).resolves.toBe(booking);
+
+    expect(sellSeats).toHaveBeenLastCalledWith('departure-1', booking);
+    expect(payment.status).toBe('completed');
+    expect(notifyBookingEvent).toHaveBeenCalledTimes(1);
+    expect(refundPayment).not.toHaveBeenCalled();
+  });
+
+  it('confirms once when the redirect and the webhook race', async () => {
+    Booking.findOneAndUpdate.mockReturnValueOnce(populated(booking)).mockReturnValueOnce(populated(null));
+
+    const results = await Promise.all([confirm(), confirm()]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect(notifyBookingEvent).toHaveBeenCalledTimes(1);
+  });
+
+  it('records the fee total and net vendor payout on the completed payment', async () => {
+    booking.taxes = 150;
+    booking.fees = 36;
+    Booking.findOneAndUpdate.mockReturnValueOnce(populated(booking));
+
+    await confirm();
+
+    expect(Payment.updateOne).toHaveBeenCalledWith(
+      { _id: 'payment-1', status: { $ne: 'completed' } },
+      { $set: expect.objectContaining({
+        amount: 1200,
+        taxes: 150,
+        'fees.platformFee': 36,
+        'fees.gatewayFee': 34.8,
+        'fees.totalFees': 70.8,
+        'vendorPayout.amount': 979.2,
+        completedAt: expect.any(Date)
+      }) }
+    );
+  });
+
+  it('ignores a redelivery once the payment is complete', async () => {
+    payment.status = 'completed';
+    Booking.findOneAndUpdate.mockReturnValue(populated(null));
+
+    await expect(confirm()).resolves.toBeNull();
+    expect(sellSeats).not.toHaveBeenCalled();
+    expect(refundPayment).not.toHaveBeenCalled();
+    expect(notifyBookingEvent).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,146 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../config/stripe', () => ({
+  refunds: { create: jest.fn() },
+  checkout: { sessions: { expire: jest.fn() } }
+}));
+jest.mock('../models/Booking', () => ({ findOneAndUpdate: jest.fn(), findByIdAndUpdate: jest.fn() }));
+jest.mock('../models/Payment', () => ({ find: jest.fn(), updateMany: jest.fn() }));
+jest.mock('../utils/departures', () => ({ getBookingDeparture: jest.fn(), releaseSeats: jest.fn() }));
+jest.mock('../utils/coupons', () => ({ releaseCoupon: jest.fn() }));
+jest.mock('../utils/waitlist', () => ({ offerWaitlistSeats: jest.fn() }));
+jest.mock('../utils/notifications', () => ({ notifyBookingEvent: jest.fn() }));
+
+const stripe = require('../config/stripe');
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const { getBookingDeparture, releaseSeats } = require('../utils/departures');
+const { offerWaitlistSeats } = require('../utils/waitlist');
+const { notifyBookingEvent } = require('../utils/notifications');
+const { getRefundQuote, processRejection } = require('../utils/cancellations');
+
+const booking = {
+  _id: 'booking-1',
+  bookingReference: 'TB-1',
+  bookingStatus: 'pending',
+  status: 'confirmed',
+  paymentStatus: 'paid',
+  totalAmount: 1200
+};
+
+const completedPayment = () => ({
+  _id: 'payment-1',
+  booking: 'booking-1',
+  amount: 1200,
+  status: 'completed',
+  paymentGateway: { paymentIntentId: 'pi_1' },
+  save: jest.fn()
+});
+
+describe('processRejection', () => {
+  let payment;
+  let claimed;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    payment = completedPayment();
+    claimed = { ...booking, bookingStatus: 'rejected', vendorResponseNotes: 'Bus broke down', save: jest.fn() };
+
+    Booking.findOneAndUpdate.mockResolvedValue(claimed);
+    // Completed payments are sorted; cancelOpenCheckouts selects the pending ones
+    Payment.find.mockImplementation((filter) => ({
+      sort: async () => (filter.status === 'completed' ? [payment] : []),
+      select: async () => []
+    }));
+    stripe.refunds.create.mockResolvedValue({ id: 're_1', status: 'succeeded' });
+    getBookingDeparture.mockResolvedValue({ _id: 'departure-1' });
+  });
+
+  it('refunds a paid booking in full before giving its seats back', async () => {
+    const result = await processRejection({ booking, notes: 'Bus broke down' });
+
+    expect(result).toMatchObject({ refundedAmount: 1200, refundPending: 0 });
+    expect(stripe.refunds.create).toHaveBeenCalledWith(expect.objectContaining({ payment_intent: 'pi_1', amount: 120000 }));
+    expect(payment.status).toBe('refunded');
+    expect(claimed).toMatchObject({ paymentStatus: 'refunded', refundAmount: 1200 });
+
+    expect(releaseSeats).toHaveBeenCalledWith('departure-1', 'booking-1');
+    expect(offerWaitlistSeats).toHaveBeenCalledWith('departure-1', undefined);
+    expect(stripe.refunds.create.mock.invocationCallOrder[0]).toBeLessThan(releaseSeats.mock.invocationCallOrder[0]);
+    expect(notifyBookingEvent).toHaveBeenCalledWith('booking_rejected', 'booking-1', { reason: 'Bus broke down' });
+  });
+
+  it('keeps the booking and its seats when the refund fails', async () => {
+    stripe.refunds.create.mockRejectedValue(new Error('Stripe is down'));
+
+    await expect(processRejection({ booking })).rejects.toThrow('Stripe is down');
+
+    expect(Booking.findByIdAndUpdate).toHaveBeenCalledWith('booking-1', expect.objectContaining({ bookingStatus: 'pending' }));
+    expect(releaseSeats).not.toHaveBeenCalled();
+    expect(notifyBookingEvent).not.toHaveBeenCalled();
+  });
+
+  it('does nothing once the booking is no longer pending', async () => {
+    Booking.findOneAndUpdate.mockResolvedValue(null);
+
+    await expect(processRejection({ booking })).resolves.toBeNull();
+    expect(stripe.refunds.create).not.toHaveBeenCalled();
+    expect(releaseSeats).not.toHaveBeenCalled();
+  });
+});
+
+describe('getRefundQuote', () => {
+  const HOUR = 60 * 60 * 1000;
+  const departureDate = new Date('2026-11-01T08:00:00Z');
+  const route = {
+    cancellation: {
+      allowed: true,
+      refundPolicy: { freeCancellationUntil: 48, partialRefundUntil: 6, cancellationFee: 200 }
+    }
+  };
+
+  const quoteAt = (hoursBefore, paidAmount = 1200, quoteRoute = route) => getRefundQuote(
+    { departureDate },
+    quoteRoute,
+    paidAmount,
+    new Date(departureDate.getTime() - hoursBefore * HOUR)
+  );
+
+  it('refunds in full from freeCancellationUntil hours out', () => {
+    expect(quoteAt(48)).toMatchObject({ allowed: true, tier: 'full', cancellationFee: 0, refundAmount: 1200 });
+  });
+
+  it('keeps the flat fee just inside the free window and down to partialRefundUntil', () => {
+    expect(quoteAt(47.9)).toMatchObject({ tier: 'partial', cancellationFee: 200, refundAmount: 1000 });
+    expect(quoteAt(6)).toMatchObject({ tier: 'partial', cancellationFee: 200, refundAmount: 1000 });
+  });
+
+  it('refunds nothing inside partialRefundUntil but still lets the booking be cancelled', () => {
+    expect(quoteAt(5.9)).toMatchObject({ allowed: true, tier: 'none', cancellationFee: 1200, refundAmount: 0 });
+  });
+
+  it('does not allow cancelling once the departure has left', () => {
+    expect(quoteAt(0).allowed).toBe(false);
+    expect(quoteAt(-2)).toMatchObject({ allowed: false, tier: 'none', refundAmount: 0 });
+  });
+
+  it('does not allow cancelling when the route turns cancellation off', () => {
+    const closed = { cancellation: { ...route.cancellation, allowed: false } };
+
+    expect(quoteAt(72, 1200, closed)).toMatchObject({ allowed: false, tier: 'full' });
+  });
+
+  it('never keeps more than was paid', () => {
+    expect(quoteAt(12, 150)).toMatchObject({ tier: 'partial', cancellationFee: 150, refundAmount: 0 });
+  });
+
+  it('falls back to 24 and 12 hours with no fee when the route has no policy', () => {
+    expect(quoteAt(24, 1200, {})).toMatchObject({ tier: 'full', refundAmount: 1200 });
+    expect(quoteAt(23.5, 1200, {})).toMatchObject({ tier: 'partial', cancellationFee: 0, refundAmount: 1200 });
+    expect(quoteAt(11.99, 1200, {})).toMatchObject({ tier: 'none', refundAmount: 0, hoursToDeparture: 12 });
+    expect(quoteAt(30, 1200, {}).policy).toEqual({ freeCancellationUntil: 24, partialRefundUntil: 12, cancellationFee: 0 });
+  });
+
+  it('rounds the amounts to the paisa', () => {
+    expect(quoteAt(20, 1234.567)).toMatchObject({ paidAmount: 1234.57, cancellationFee: 200, refundAmount: 1034.57 });
+  });
+});
@@ -0,0 +1,176 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../models/Coupon', () => ({ findOne: jest.fn(), findOneAndUpdate: jest.fn() }));
+
+const Coupon = require('../models/Coupon');
+const { getCouponDiscount, checkCoupon, redeemCoupon } = require('../utils/coupons');
+
+const RAHIM = '64b000000000000000000001';
+const KARIM = '64b000000000000000000002';
+
+// Just enough of MongoDB's expression language for the limit checks in redeemCoupon
+const evaluate = (expression, doc, vars = {}) => {
+  if (typeof expression === 'string' && expression.startsWith('$$')) {
+    const [name, ...path] = expression.slice(2).split('.');
+    return path.reduce((value, key) => value?.[key], vars[name]);
+  }
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return doc[expression.slice(1)];
+  }
+  if (expression === null || typeof expression !== 'object' || Array.isArray(expression) || !Object.keys(expression)[0].startsWith('$')) {
+    return expression;
+  }
+  const [[operator, args]] = Object.entries(expression);
+  switch (operator) {
+    case '$and':
+      return args.every(arg => evaluate(arg, doc, vars));
+    case '$lt':
+      return evaluate(args[0], doc, vars) < evaluate(args[1], doc, vars);
+    case '$eq':
+      return String(evaluate(args[0], doc, vars)) === String(evaluate(args[1], doc, vars));
+    case '$size':
+      return evaluate(args, doc, vars).length;
+    case '$filter':
+      return evaluate(args.input, doc, vars).filter(item => evaluate(args.cond, doc, { ...vars, this: item }));
+    default:
+      throw new Error(`Unsupported operator ${operator}`);
+  }
+};
+
+/*
+ * A coupon kept in memory. findOneAndUpdate applies the filters redeemCoupon
+ * sends (active, not expired, and the limit $expr) and its $inc/$push.
+ */
+const useCoupon = (coupon) => {
+  Coupon.findOne.mockImplementation(async () => coupon);
+  Coupon.findOneAndUpdate.mockImplementation(async (filter, update) => {
+    const expired = coupon.validUntil && coupon.validUntil < filter.validUntil.$not.$lt;
+    if (filter.isActive !== coupon.isActive || expired || !evaluate(filter.$expr, coupon)) {
+      return null;
+    }
+    coupon.usedCount += update.$inc.usedCount;
+    coupon.redemptions.push(update.$push.redemptions);
+    return coupon;
+  });
+  return coupon;
+};
+
+const newCoupon = (fields) => useCoupon({
+  _id: 'coupon-1',
+  code: 'EID25',
+  discountType: 'percent',
+  value: 25,
+  isActive: true,
+  usedCount: 0,
+  perUserLimit: 1,
+  redemptions: [],
+  ...fields
+});
+
+const route = { _id: 'route-1', vendor: 'vendor-1', type: 'bus' };
+
+describe('getCouponDiscount', () => {
+  it('caps a percent discount at maxDiscount and rounds it', () => {
+    expect(getCouponDiscount({ discountType: 'percent', value: 12.5, maxDiscount: 100 }, 333.33)).toBe(41.67);
+    expect(getCouponDiscount({ discountType: 'percent', value: 12.5, maxDiscount: 100 }, 2000)).toBe(100);
+  });
+
+  it('never discounts more than the fare', () => {
+    expect(getCouponDiscount({ discountType: 'flat', value: 500 }, 350)).toBe(350);
+  });
+});
+
+describe('checkCoupon', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+
+  beforeEach(() => jest.clearAllMocks());
+
+  it('looks the code up case-insensitively and quotes the discount', async () => {
+    newCoupon({ maxDiscount: 200 });
+
+    const check = await checkCoupon(' eid25 ', { userId: RAHIM, route, subtotal: 1000, now });
+
+    expect(Coupon.findOne).toHaveBeenCalledWith({ code: 'EID25' });
+    expect(check).toMatchObject({ discount: 200, error: null });
+  });
+
+  it('refuses a coupon outside its validity window', async () => {
+    newCoupon({ validFrom: new Date('2026-10-01T00:00:00Z'), validUntil: new Date('2026-10-19T11:59:59Z') });
+    expect((await checkCoupon('EID25', { userId: RAHIM, route, subtotal: 1000, now })).error.code).toBe('COUPON_EXPIRED');
+
+    newCoupon({ validFrom: new Date('2026-10-20T00:00:00Z') });
+    expect((await checkCoupon('EID25', { userId: RAHIM, route, subtotal: 1000, now })).error.code).toBe('COUPON_NOT_STARTED');
+  });
+
+  it('refuses a fully redeemed coupon and a second use by the same user', async () => {
+    newCoupon({ usageLimit: 100, usedCount: 100 });
+    expect((await checkCoupon('EID25', { userId: RAHIM, route, subtotal: 1000, now })).error.code).toBe('COUPON_USAGE_LIMIT');
+
+    newCoupon({ redemptions: [{ user: RAHIM, booking: 'booking-0' }] });
+    expect((await checkCoupon('EID25', { userId: RAHIM, route, subtotal: 1000, now })).error.code).toBe('COUPON_USER_LIMIT');
+    expect((await checkCoupon('EID25', { userId: KARIM, route, subtotal: 1000, now })).error).toBeNull();
+  });
+
+  it('refuses a fare below the minimum and a route it is not valid on', async () => {
+    newCoupon({ minFare: 500, restrictions: { transportTypes: ['train'] } });
+
+    expect((await checkCoupon('EID25', { userId: RAHIM, route, subtotal: 499, now })).error.code).toBe('COUPON_MIN_FARE');
+    expect((await checkCoupon('EID25', { userId: RAHIM, route, subtotal: 500, now })).error.code).toBe('COUPON_NOT_APPLICABLE');
+  });
+});
+
+describe('redeemCoupon', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('lets only one of two bookings take the last use of a coupon', async () => {
+    const coupon = newCoupon({ usageLimit: 10, usedCount: 9 });
+
+    const results = await Promise.all([
+      redeemCoupon(coupon, { userId: RAHIM, bookingId: 'booking-1', discount: 100 }),
+      redeemCoupon(coupon, { userId: KARIM, bookingId: 'booking-2', discount: 100 })
+    ]);
+
+    expect(results).toEqual([true, false]);
+    expect(coupon.usedCount).toBe(10);
+    expect(coupon.redemptions).toHaveLength(1);
+  });
+
+  it('lets a user redeem only up to their own limit across concurrent bookings', async () => {
+    const coupon = newCoupon({ perUserLimit: 2 });
+
+    const results = await Promise.all(['booking-1', 'booking-2', 'booking-3'].map(bookingId => (
+      redeemCoupon(coupon, { userId: RAHIM, bookingId, discount: 50 })
+    )));
+
+    expect(results).toEqual([true, true, false]);
+    expect(await redeemCoupon(coupon, { userId: KARIM, bookingId: 'booking-4', discount: 50 })).toBe(true);
+  });
+
+  it('refuses a coupon that expired after it was checked', async () => {
+    const coupon = newCoupon({ validUntil: new Date('2026-10-19T23:59:59Z') });
+
+    const check = await checkCoupon('EID25', {
+      userId: RAHIM,
+      route,
+      subtotal: 1000,
+      now: new Date('2026-10-19T23:59:58Z')
+    });
+    expect(check.error).toBeNull();
+
+    const redeemed = await redeemCoupon(check.coupon, {
+      userId: RAHIM,
+      bookingId: 'booking-1',
+      discount: check.discount,
+      now: new Date('2026-10-20T00:00:01Z')
+    });
+
+    expect(redeemed).toBe(false);
+    expect(coupon.usedCount).toBe(0);
+  });
+
+  it('refuses a coupon deactivated after it was checked', async () => {
+    const coupon = newCoupon({});
+    coupon.isActive = false;
+
+    expect(await redeemCoupon(coupon, { userId: RAHIM, bookingId: 'booking-1', discount: 100 })).toBe(false);
+  });
+});
@@ -0,0 +1,300 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../utils/availability', () => ({ scheduleAvailabilityUpdate: jest.fn() }));
+jest.mock('../models/Booking', () => ({ updateOne: jest.fn() }));
+jest.mock('../models/Route', () => ({ findById: jest.fn() }));
+jest.mock('../models/Departure', () => ({
+  find: jest.fn(),
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+
+const Departure = require('../models/Departure');
+const {
+  getBookingRestriction,
+  getDepartureConflict,
+  holdSeats,
+  sellSeats,
+  releaseSeats
+} = require('../utils/departures');
+
+// Just enough of MongoDB's expression language for the capacity check in holdSeats
+const evaluate = (expression, doc) => {
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return doc[expression.slice(1)];
+  }
+  if (Array.isArray(expression) || typeof expression !== 'object') {
+    return expression;
+  }
+  const [[operator, args]] = Object.entries(expression);
+  const values = args.map(arg => evaluate(arg, doc));
+  switch (operator) {
+    case '$add':
+      return values.reduce((sum, value) => sum + value, 0);
+    case '$ifNull':
+      return values[0] ?? values[1];
+    case '$lte':
+      return values[0] <= values[1];
+    default:
+      throw new Error(`Unsupported operator ${operator}`);
+  }
+};
+
+/*
+ * A departure kept in memory. findOneAndUpdate applies the filters and updates
+ * the seat functions send: the capacity $expr, taken seats, and $push/$pull/$inc
+ * of seat assignments.
+ */
+const fakeDeparture = (fields) => {
+  const departure = {
+    _id: 'departure-1',
+    route: 'route-1',
+    status: 'scheduled',
+    capacity: 4,
+    soldCount: 0,
+    heldCount: 0,
+    offeredCount: 0,
+    seatAssignments: [],
+    ...fields
+  };
+
+  const matches = (filter) => {
+    if (filter.status && filter.status !== departure.status) return false;
+    if (filter.$expr && !evaluate(filter.$expr, departure)) return false;
+    if (filter.offeredCount && departure.offeredCount < filter.offeredCount.$gte) return false;
+
+    const taken = filter['seatAssignments.seatNumber'];
+    if (taken && departure.seatAssignments.some(a => taken.$nin.includes(a.seatNumber))) return false;
+
+    const owner = filter['seatAssignments.booking'];
+    if (owner && !departure.seatAssignments.some(a => a.booking === owner)) return false;
+
+    const held = filter.seatAssignments?.$elemMatch;
+    if (held && !departure.seatAssignments.some(a => a.booking === held.booking && a.status === held.status)) return false;
+    return true;
+  };
+
+  Departure.findById.mockImplementation(async () => ({ ...departure, seatAssignments: [...departure.seatAssignments] }));
+  Departure.findOneAndUpdate.mockImplementation(async (filter, update, options = {}) => {
+    if (!matches(filter)) {
+      return null;
+    }
+    if (update.$push) {
+      departure.seatAssignments.push(...update.$push.seatAssignments.$each);
+    }
+    if (update.$pull) {
+      departure.seatAssignments = departure.seatAssignments.filter(a => a.booking !== update.$pull.seatAssignments.booking);
+    }
+    if (update.$set) {
+      const [{ 'seat.booking': booking, 'seat.status': status }] = options.arrayFilters;
+      departure.seatAssignments
+        .filter(a => a.booking === booking && a.status === status)
+        .forEach(a => { a.status = update.$set['seatAssignments.$[seat].status']; });
+    }
+    Object.entries(update.$inc || {}).forEach(([field, amount]) => {
+      departure[field] += amount;
+    });
+    return departure;
+  });
+
+  return departure;
+};
+
+describe('seat inventory', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('holds free seats and counts them as held', async () => {
+    const departure = fakeDeparture();
+
+    await expect(holdSeats('departure-1', 'booking-1', ['A1', 'A2'])).resolves.not.toBeNull();
+    expect(departure.heldCount).toBe(2);
+    expect(departure.seatAssignments.map(a => [a.seatNumber, a.status])).toEqual([['A1', 'held'], ['A2', 'held']]);
+  });
+
+  it('refuses a seat that is already taken', async () => {
+    const departure = fakeDeparture();
+    await holdSeats('departure-1', 'booking-1', ['A1']);
+
+    await expect(holdSeats('departure-1', 'booking-2', ['A2', 'A1'])).resolves.toBeNull();
+    expect(departure.heldCount).toBe(1);
+  });
+
+  it('refuses seats beyond capacity, counting seats offered to the waitlist', async () => {
+    const departure = fakeDeparture({ capacity: 3, soldCount: 1, offeredCount: 1 });
+
+    await expect(holdSeats('departure-1', 'booking-1', ['B1', 'B2'])).resolves.toBeNull();
+    await expect(holdSeats('departure-1', 'booking-1', ['B1'])).resolves.not.toBeNull();
+    expect(departure).toMatchObject({ soldCount: 1, heldCount: 1, offeredCount: 1 });
+  });
+
+  it('lets a waitlist claim take the seats it was offered', async () => {
+    const departure = fakeDeparture({ capacity: 2, soldCount: 1, offeredCount: 1 });
+
+    await expect(holdSeats('departure-1', 'booking-1', ['C1'], { offeredSeats: 1 })).resolves.not.toBeNull();
+    expect(departure).toMatchObject({ soldCount: 1, heldCount: 1, offeredCount: 0 });
+  });
+
+  it('turns held seats into sold seats once paid', async () => {
+    const departure = fakeDeparture();
+    await holdSeats('departure-1', 'booking-1', ['A1', 'A2']);
+    await holdSeats('departure-1', 'booking-2', ['A3']);
+
+    await sellSeats('departure-1', { _id: 'booking-1', bookingQuantity: 2, passengers: [] });
+
+    expect(departure).toMatchObject({ soldCount: 2, heldCount: 1 });
+    expect(departure.seatAssignments.map(a => a.status)).toEqual(['sold', 'sold', 'held']);
+  });
+
+  it('gives held and sold seats back on release', async () => {
+    const departure = fakeDeparture();
+    await holdSeats('departure-1', 'booking-1', ['A1', 'A2']);
+    await sellSeats('departure-1', { _id: 'booking-1', bookingQuantity: 2, passengers: [] });
+    await holdSeats('departure-1', 'booking-2', ['A3']);
+
+    await releaseSeats('departure-1', 'booking-1');
+    expect(departure).toMatchObject({ soldCount: 0, heldCount: 1 });
+
+    await releaseSeats('departure-1', 'booking-2');
+    expect(departure).toMatchObject({ soldCount: 0, heldCount: 0, seatAssignments: [] });
+  });
+
+  it('leaves the counters alone when the booking has no seats', async () => {
+    const departure = fakeDeparture({ soldCount: 1 });
+
+    await releaseSeats('departure-1', 'booking-1');
+    expect(Departure.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(departure.soldCount).toBe(1);
+  });
+});
+
+describe('getDepartureConflict', () => {
+  const travelDate = new Date(2030, 0, 7);
+  const route = (fields) => ({
+    _id: 'route-1',
+    availableQuantity: 10,
+    schedule: [{ departureTime: '08:00', arrivalTime: '12:00', frequency: 'daily' }],
+    ...fields
+  });
+  const upcoming = (fields) => ({
+    travelDate,
+    departureAt: new Date(2030, 0, 7, 8),
+    scheduleIndex: 0,
+    departureTime: '08:00',
+    arrivalTime: '12:00',
+    soldCount: 0,
+    heldCount: 0,
+    offeredCount: 0,
+    ...fields
+  });
+  const withDepartures = (departures) => {
+    Departure.find.mockReturnValue({ select: async () => departures });
+  };
+
+  it('allows any change while no seats are taken', async () => {
+    withDepartures([upcoming()]);
+
+    await expect(getDepartureConflict(route({
+      availableQuantity: 1,
+      schedule: [{ departureTime: '09:00', arrivalTime: '13:00', frequency: 'weekends' }]
+    }))).resolves.toBeNull();
+  });
+
+  it('refuses a capacity below the seats already taken', async () => {
+    withDepartures([upcoming({ soldCount: 3, heldCount: 1, offeredCount: 1 })]);
+
+    await expect(getDepartureConflict(route({ availableQuantity: 5 }))).resolves.toBeNull();
+    await expect(getDepartureConflict(route({ availableQuantity: 4 })))
+      .resolves.toMatchObject({ code: 'CAPACITY_BELOW_BOOKED' });
+  });
+
+  it('refuses moving or dropping a departure with seats taken', async () => {
+    withDepartures([upcoming({ soldCount: 1 })]);
+
+    await expect(getDepartureConflict(route({
+      schedule: [{ departureTime: '09:00', arrivalTime: '13:00', frequency: 'daily' }]
+    }))).resolves.toMatchObject({ code: 'SCHEDULE_HAS_BOOKINGS' });
+
+    // 7 January 2030 is a Monday
+    await expect(getDepartureConflict(route({
+      schedule: [{ departureTime: '08:00', arrivalTime: '12:00', frequency: 'specific', days: ['sunday'] }]
+    }))).resolves.toMatchObject({ code: 'SCHEDULE_HAS_BOOKINGS' });
+  });
+
+  it('refuses reordering schedule slots under a booked departure', async () => {
+    withDepartures([upcoming({ soldCount: 1 })]);
+
+    await expect(getDepartureConflict(route({
+      schedule: [
+        { departureTime: '18:00', arrivalTime: '22:00', frequency: 'daily' },
+        { departureTime: '08:00', arrivalTime: '12:00', frequency: 'daily' }
+      ]
+    }))).resolves.toMatchObject({ code: 'SCHEDULE_HAS_BOOKINGS' });
+  });
+});
+
+describe('getBookingRestriction', () => {
+  // Monday 19 October 2026, 22:00 local time
+  const now = new Date(2026, 9, 19, 22, 0);
+  const windowRoute = (advanceBooking) => ({ availability: { advanceBooking } });
+
+  it('counts the minimum days in calendar days, not hours', () => {
+    const route = windowRoute({ minimumDays: 1 });
+
+    expect(getBookingRestriction(route, new Date(2026, 9, 19, 23, 30), now)).toMatchObject({
+      code: 'BOOKING_TOO_LATE',
+      message: 'This route must be booked at least 1 day before departure'
+    });
+    expect(getBookingRestriction(route, new Date(2026, 9, 20, 6, 0), now)).toBeNull();
+  });
+
+  it('opens bookings exactly minimumDays days out', () => {
+    const route = windowRoute({ minimumDays: 3 });
+
+    expect(getBookingRestriction(route, new Date(2026, 9, 21, 23, 0), now)).toMatchObject({
+      code: 'BOOKING_TOO_LATE',
+      message: 'This route must be booked at least 3 days before departure'
+    });
+    expect(getBookingRestriction(route, new Date(2026, 9, 22, 0, 30), now)).toBeNull();
+  });
+
+  it('allows same-day bookings when no minimum is set', () => {
+    expect(getBookingRestriction(windowRoute({ minimumDays: 0 }), new Date(2026, 9, 19, 23, 0), now)).toBeNull();
+    expect(getBookingRestriction({}, new Date(2026, 9, 19, 23, 0), now)).toBeNull();
+  });
+
+  it('refuses departures beyond maximumDays', () => {
+    const route = windowRoute({ maximumDays: 30 });
+
+    expect(getBookingRestriction(route, new Date(2026, 10, 18, 20, 0), now)).toBeNull();
+    expect(getBookingRestriction(route, new Date(2026, 10, 19, 6, 0), now)).toEqual({
+      code: 'BOOKING_TOO_EARLY',
+      message: 'This route can only be booked up to 30 days in advance'
+    });
+  });
+
+  it('refuses every departure inside a blackout period', () => {
+    const route = {
+      availability: {
+        blackoutDates: [{ startDate: new Date(2026, 11, 16), endDate: new Date(2026, 11, 17), reason: 'Victory Day' }],
+        advanceBooking: { maximumDays: 90 }
+      }
+    };
+
+    expect(getBookingRestriction(route, new Date(2026, 11, 17, 23, 0), now)).toEqual({
+      code: 'BLACKOUT_DATE',
+      message: 'Bookings are closed on this date: Victory Day'
+    });
+    expect(getBookingRestriction(route, new Date(2026, 11, 18, 6, 0), now)).toBeNull();
+  });
+
+  it('treats a blackout without an end date as a single day', () => {
+    const route = { availability: { blackoutDates: [{ startDate: new Date(2026, 9, 25) }] } };
+
+    expect(getBookingRestriction(route, new Date(2026, 9, 25, 9, 0), now)).toEqual({
+      code: 'BLACKOUT_DATE',
+      message: 'Bookings are closed on this date'
+    });
+    expect(getBookingRestriction(route, new Date(2026, 9, 26, 9, 0), now)).toBeNull();
+  });
+});
@@ -0,0 +1,80 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { setEmailTransport, createFileTransport } = require('../utils/sendEmail');
+const { sendTemplateEmail } = require('../utils/notifications');
+
+const resetData = {
+  name: 'Rahim <Admin>',
+  resetUrl: 'https://ticketbari.test/reset-password/abc123',
+  expiresInMinutes: 10
+};
+
+// The JSON transport hands back the whole message instead of sending it
+const sendAsJson = async (options) => {
+  const info = await sendTemplateEmail(options);
+  return JSON.parse(info.message);
+};
+
+describe('sendTemplateEmail', () => {
+  beforeEach(() => {
+    setEmailTransport(nodemailer.createTransport({ jsonTransport: true }));
+  });
+
+  afterAll(() => {
+    setEmailTransport(null);
+  });
+
+  it('renders the template as text and HTML', async () => {
+    const mail = await sendAsJson({ to: 'rahim@example.com', template: 'password_reset', language: 'en', data: resetData });
+
+    expect(mail.to).toEqual([{ address: 'rahim@example.com', name: '' }]);
+    expect(mail.subject).toBe('Reset your TicketBari password');
+    expect(mail.text).toContain(`Reset password: ${resetData.resetUrl}`);
+    expect(mail.html).toContain(`href="${resetData.resetUrl}"`);
+    expect(mail.html).toContain('Rahim &lt;Admin&gt;');
+    expect(mail.html).not.toContain('<Admin>');
+  });
+
+  it('uses the recipient language and falls back to English', async () => {
+    const bangla = await sendAsJson({ to: 'rahim@example.com', template: 'password_reset', language: 'bn', data: resetData });
+    const unknown = await sendAsJson({ to: 'rahim@example.com', template: 'password_reset', language: 'fr', data: resetData });
+
+    expect(bangla.subject).toBe('আপনার TicketBari পাসওয়ার্ড রিসেট করুন');
+    expect(bangla.html).toContain('<html lang="bn">');
+    expect(unknown.subject).toBe('Reset your TicketBari password');
+  });
+
+  it('rejects unknown templates', async () => {
+    await expect(sendTemplateEmail({ to: 'rahim@example.com', template: 'nope', language: 'en', data: {} }))
+      .rejects.toThrow('Unknown email template "nope"');
+  });
+});
+
+describe('createFileTransport', () => {
+  let directory;
+
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ticketbari-emails-'));
+    setEmailTransport(nodemailer.createTransport(createFileTransport(directory)));
+  });
+
+  afterAll(() => {
+    setEmailTransport(null);
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('writes each message as an .eml file', async () => {
+    const info = await sendTemplateEmail({ to: 'rahim@example.com', template: 'password_reset', language: 'en', data: resetData });
+
+    expect(path.dirname(info.path)).toBe(directory);
+    expect(fs.readdirSync(directory)).toEqual([path.basename(info.path)]);
+
+    const eml = fs.readFileSync(info.path, 'utf8');
+    expect(eml).toContain('Subject: Reset your TicketBari password');
+    expect(eml).toContain('To: rahim@example.com');
+  });
+});
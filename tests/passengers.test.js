@@ -0,0 +1,30 @@
+const { normalizePassengers } = require('../utils/passengers');
+
+const route = { type: 'bus', from: { city: 'Dhaka' }, to: { city: 'Sylhet' } };
+const adult = { name: 'Rahim Uddin', age: 34, gender: 'male' };
+
+describe('normalizePassengers', () => {
+  it('accepts a valid adult', () => {
+    const { passengers, errors } = normalizePassengers([adult], route);
+
+    expect(errors).toEqual([]);
+    expect(passengers).toHaveLength(1);
+    expect(passengers[0]).toMatchObject({ name: 'Rahim Uddin', age: 34, passengerType: 'adult' });
+  });
+
+  it('reports entries that are not objects instead of throwing', () => {
+    const { errors } = normalizePassengers([adult, null, 'Karim', [adult]], route);
+
+    expect(errors).toEqual(expect.arrayContaining([
+      { index: 1, field: 'passenger', message: 'Passenger details must be an object' },
+      { index: 2, field: 'passenger', message: 'Passenger details must be an object' },
+      { index: 3, field: 'passenger', message: 'Passenger details must be an object' }
+    ]));
+  });
+
+  it('requires at least one passenger', () => {
+    const { errors } = normalizePassengers([], route);
+
+    expect(errors).toEqual([{ index: null, field: 'passengers', message: 'Passenger details are required' }]);
+  });
+});
@@ -0,0 +1,156 @@
+jest.mock('../utils/departures', () => ({
+  DAY_NAMES: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+}));
+
+const { calculateFare, calculateCharges, calculateGatewayFee, applyPaymentCharges } = require('../utils/pricing');
+const { priceManifest } = require('../utils/passengers');
+
+const HOUR = 60 * 60 * 1000;
+
+const dynamicRoute = (baseFare) => ({
+  pricing: {
+    baseFare,
+    dynamicPricing: {
+      enabled: true,
+      peakDays: [{ day: 'friday', multiplier: 1.2 }],
+      surgeMultiplier: 1.5,
+      surgeThreshold: 0.7,
+      earlyBird: { discount: 0.1, daysBefore: 14 },
+      lastMinute: { multiplier: 1.25, hoursBefore: 24 }
+    }
+  }
+});
+
+describe('calculateFare', () => {
+  // Friday 23 October 2026, 08:00 local time
+  const friday = new Date(2026, 9, 23, 8, 0);
+  // Tuesday 20 October 2026, 08:00 local time
+  const tuesday = new Date(2026, 9, 20, 8, 0);
+
+  it('charges the base fare when dynamic pricing is off', () => {
+    const route = { pricing: { baseFare: 850, dynamicPricing: { enabled: false, surgeMultiplier: 2 } } };
+
+    expect(calculateFare(route, { departureAt: friday, capacity: 40, soldCount: 40 }, new Date(2026, 9, 22)))
+      .toEqual({ baseFare: 850, fare: 850, currency: 'BDT', multiplier: 1, adjustments: [] });
+  });
+
+  it('applies the peak day and then the occupancy surge on the peak fare', () => {
+    const departure = { departureAt: friday, capacity: 40, soldCount: 30, heldCount: 4 };
+    const quote = calculateFare(dynamicRoute(1000), departure, new Date(2026, 9, 20, 8, 0));
+
+    expect(quote.adjustments).toEqual([
+      { type: 'peak_day', description: 'Peak day (friday)', multiplier: 1.2, amount: 200 },
+      { type: 'occupancy_surge', description: '85% of seats taken', multiplier: 1.25, amount: 300 }
+    ]);
+    expect(quote.fare).toBe(1500);
+    expect(quote.multiplier).toBe(1.5);
+  });
+
+  it('does not surge below the occupancy threshold', () => {
+    const departure = { departureAt: tuesday, capacity: 40, soldCount: 27 };
+    const quote = calculateFare(dynamicRoute(1000), departure, new Date(2026, 9, 15, 8, 0));
+
+    expect(quote.adjustments).toEqual([]);
+    expect(quote.fare).toBe(1000);
+  });
+
+  it('rounds an early-bird discount to the paisa', () => {
+    const departure = { departureAt: tuesday, capacity: 40, soldCount: 0 };
+    const quote = calculateFare(dynamicRoute(333.33), departure, new Date(tuesday.getTime() - 20 * 24 * HOUR));
+
+    expect(quote.adjustments).toEqual([
+      { type: 'early_bird', description: 'Booked 14+ days ahead', multiplier: 0.9, amount: -33.33 }
+    ]);
+    expect(quote.fare).toBe(300);
+    expect(quote.multiplier).toBe(0.9);
+  });
+
+  it('adds the last-minute charge only before the departure leaves', () => {
+    const departure = { departureAt: tuesday, capacity: 40, soldCount: 0 };
+
+    const soon = calculateFare(dynamicRoute(1000), departure, new Date(tuesday.getTime() - 10 * HOUR));
+    expect(soon.adjustments.map(a => a.type)).toEqual(['last_minute']);
+    expect(soon.fare).toBe(1250);
+
+    const gone = calculateFare(dynamicRoute(1000), departure, new Date(tuesday.getTime() + HOUR));
+    expect(gone.adjustments).toEqual([]);
+    expect(gone.fare).toBe(1000);
+  });
+});
+
+describe('calculateCharges', () => {
+  it('adds 15% VAT and the 3% service fee on the fare', () => {
+    expect(calculateCharges(1000)).toEqual({ subtotal: 1000, discount: 0, taxes: 150, fees: 30, totalAmount: 1180 });
+  });
+
+  it('takes the discount off before VAT and fees', () => {
+    expect(calculateCharges(1000, 100)).toEqual({ subtotal: 1000, discount: 100, taxes: 135, fees: 27, totalAmount: 1062 });
+  });
+
+  it('never discounts below zero or adds a negative discount', () => {
+    expect(calculateCharges(500, 800)).toEqual({ subtotal: 500, discount: 500, taxes: 0, fees: 0, totalAmount: 0 });
+    expect(calculateCharges(500, -50).discount).toBe(0);
+  });
+
+  it('rounds each charge to the paisa', () => {
+    expect(calculateCharges(333.33, 0.005)).toEqual({
+      subtotal: 333.33,
+      discount: 0.01,
+      taxes: 50,
+      fees: 10,
+      totalAmount: 393.32
+    });
+  });
+
+  it('uses the rates it is given', () => {
+    const rates = { vatRate: 0.1, platformFeeRate: 0 };
+
+    expect(calculateCharges(1250, 0, rates)).toEqual({ subtotal: 1250, discount: 0, taxes: 125, fees: 0, totalAmount: 1375 });
+  });
+});
+
+describe('calculateGatewayFee', () => {
+  it('charges the gateway rate plus the fixed fee', () => {
+    expect(calculateGatewayFee(1180)).toBe(34.22);
+    expect(calculateGatewayFee(1180, { gatewayFeeRate: 0.02, gatewayFeeFixed: 5 })).toBe(28.6);
+  });
+
+  it('charges nothing on a free booking', () => {
+    expect(calculateGatewayFee(0, { gatewayFeeRate: 0.02, gatewayFeeFixed: 5 })).toBe(0);
+  });
+});
+
+describe('applyPaymentCharges', () => {
+  it('copies the booking charges onto the payment with the gateway fee', () => {
+    const payment = { fees: {} };
+
+    applyPaymentCharges(payment, { totalAmount: 1180, taxes: 150, fees: 30 });
+
+    expect(payment).toEqual({ amount: 1180, taxes: 150, fees: { platformFee: 30, gatewayFee: 34.22 } });
+  });
+});
+
+describe('priceManifest', () => {
+  it('prices children and infants from the adult fare by transport type', () => {
+    const passengers = [
+      { passengerType: 'adult' },
+      { passengerType: 'child' },
+      { passengerType: 'infant' }
+    ];
+
+    const total = priceManifest(passengers, { type: 'bus' }, 450.5);
+
+    expect(passengers.map(p => p.fare)).toEqual([450.5, 337.88, 0]);
+    expect(total).toBe(788.38);
+  });
+
+  it('uses the route\'s own passenger fares over the defaults', () => {
+    const passengers = [{ passengerType: 'child' }, { passengerType: 'infant' }];
+    const route = { type: 'flight', pricing: { passengerFares: { child: 0.6 } } };
+
+    const total = priceManifest(passengers, route, 4999.99);
+
+    expect(passengers.map(p => p.fare)).toEqual([2999.99, 500]);
+    expect(total).toBe(3499.99);
+  });
+});
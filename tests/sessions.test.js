@@ -0,0 +1,110 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../models/User', () => ({ findById: jest.fn() }));
+
+const User = require('../models/User');
+const { createMemoryStore, setSessionStore } = require('../utils/sessionStore');
+const {
+  startSession,
+  refreshSession,
+  getActiveSession,
+  listSessions,
+  revokeUserSessions
+} = require('../utils/sessions');
+
+const req = { body: { deviceName: 'Test phone' }, ip: '127.0.0.1', get: () => 'jest' };
+
+const buildUser = (fields = {}) => ({
+  _id: 'user-1',
+  isActive: true,
+  getSignedJwtToken: (sessionId) => `access-${sessionId}`,
+  ...fields
+});
+
+describe('refresh sessions', () => {
+  let store;
+  let user;
+
+  beforeEach(() => {
+    store = createMemoryStore();
+    setSessionStore(store);
+    user = buildUser();
+    User.findById.mockImplementation(async () => user);
+  });
+
+  afterAll(() => {
+    setSessionStore(null);
+  });
+
+  it('swaps a refresh token for a new pair', async () => {
+    const { session, refreshToken } = await startSession(user, req);
+    const result = await refreshSession(refreshToken, req);
+
+    expect(result.error).toBeUndefined();
+    expect(result.accessToken).toBe(`access-${session.id}`);
+    expect(result.refreshToken).not.toBe(refreshToken);
+    expect(result.refreshToken.startsWith(`${session.id}.`)).toBe(true);
+    expect(result.session.device).toBe('Test phone');
+  });
+
+  it('signs the session out when a replaced refresh token comes back', async () => {
+    const { session, refreshToken } = await startSession(user, req);
+    const rotated = await refreshSession(refreshToken, req);
+
+    const reused = await refreshSession(refreshToken, req);
+    expect(reused.error.code).toBe('REFRESH_TOKEN_REUSED');
+    expect(await getActiveSession(session.id, 'user-1')).toBeNull();
+
+    // Whoever holds the newer token is signed out as well
+    const afterReuse = await refreshSession(rotated.refreshToken, req);
+    expect(afterReuse.error.code).toBe('SESSION_EXPIRED');
+  });
+
+  it('rejects a token that was never issued for the session', async () => {
+    const { session } = await startSession(user, req);
+    const result = await refreshSession(`${session.id}.forged`, req);
+
+    expect(result.error.code).toBe('INVALID_REFRESH_TOKEN');
+    expect(await getActiveSession(session.id, 'user-1')).not.toBeNull();
+  });
+
+  it('ends the session of a user who has been suspended', async () => {
+    const { session, refreshToken } = await startSession(user, req);
+    user = buildUser({ isSuspended: true, suspensionReason: 'Chargebacks' });
+
+    const result = await refreshSession(refreshToken, req);
+    expect(result.error).toEqual({
+      code: 'ACCOUNT_SUSPENDED',
+      message: 'This account has been suspended',
+      reason: 'Chargebacks'
+    });
+    expect(await getActiveSession(session.id, 'user-1')).toBeNull();
+  });
+
+  it('revokes every session of a user except the current one', async () => {
+    const current = await startSession(user, req);
+    await startSession(user, req);
+    await startSession(buildUser({ _id: 'user-2' }), req);
+
+    expect(await revokeUserSessions('user-1', current.session.id)).toBe(1);
+    expect((await listSessions('user-1')).map(session => session.id)).toEqual([current.session.id]);
+    expect(await listSessions('user-2')).toHaveLength(1);
+  });
+});
+
+describe('memory session store', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('drops expired sessions when new ones are created', async () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    const store = createMemoryStore();
+    const now = Date.now();
+
+    await store.create({ id: 'old', user: 'user-1', expiresAt: now + 1000 });
+    jest.setSystemTime(now + 2 * 60 * 1000);
+    await store.create({ id: 'new', user: 'user-1', expiresAt: Date.now() + 1000 });
+
+    expect([...store.sessions.keys()]).toEqual(['new']);
+  });
+});
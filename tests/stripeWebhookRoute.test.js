@@ -0,0 +1,70 @@
+process.env.STRIPE_SECRET_KEY = 'sk_test_local';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_local';
+
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../utils/stripeWebhooks', () => ({ processWebhookEvent: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const stripe = require('../config/stripe');
+const { processWebhookEvent } = require('../utils/stripeWebhooks');
+const { handleStripeWebhook } = require('../controllers/payments');
+
+// Registered the way server.js does, ahead of any JSON body parser
+const app = express();
+app.post('/api/payments/webhook', express.raw({ type: 'application/json' }), handleStripeWebhook);
+
+const payload = JSON.stringify({
+  id: 'evt_1',
+  type: 'checkout.session.completed',
+  data: { object: { id: 'cs_test_1' } }
+});
+
+const sign = (body, secret = process.env.STRIPE_WEBHOOK_SECRET) => {
+  return stripe.webhooks.generateTestHeaderString({ payload: body, secret });
+};
+
+describe('POST /api/payments/webhook', () => {
+  beforeEach(() => {
+    processWebhookEvent.mockReset();
+    processWebhookEvent.mockResolvedValue({ handled: true });
+  });
+
+  it('processes an event signed with the webhook secret', async () => {
+    const res = await request(app)
+      .post('/api/payments/webhook')
+      .set('Content-Type', 'application/json')
+      .set('Stripe-Signature', sign(payload))
+      .send(payload);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ received: true, handled: true });
+    expect(processWebhookEvent).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'evt_1', type: 'checkout.session.completed' }),
+      undefined
+    );
+  });
+
+  it('rejects an event signed with another secret', async () => {
+    const res = await request(app)
+      .post('/api/payments/webhook')
+      .set('Content-Type', 'application/json')
+      .set('Stripe-Signature', sign(payload, 'whsec_other'))
+      .send(payload);
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_SIGNATURE');
+    expect(processWebhookEvent).not.toHaveBeenCalled();
+  });
+
+  it('rejects a body changed after signing', async () => {
+    const res = await request(app)
+      .post('/api/payments/webhook')
+      .set('Content-Type', 'application/json')
+      .set('Stripe-Signature', sign(payload))
+      .send(payload.replace('cs_test_1', 'cs_test_2'));
+
+    expect(res.status).toBe(400);
+    expect(processWebhookEvent).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,146 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../config/stripe', () => ({ refunds: { list: jest.fn() } }));
+jest.mock('../models/Booking', () => ({ findOneAndUpdate: jest.fn(), findByIdAndUpdate: jest.fn() }));
+jest.mock('../models/Payment', () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../utils/bookingPayments', () => ({
+  confirmBookingPayment: jest.fn(),
+  confirmSessionPayments: jest.fn()
+}));
+jest.mock('../utils/cancellations', () => ({ CANCELLABLE_STATUSES: ['pending', 'accepted'] }));
+jest.mock('../utils/departures', () => ({}));
+jest.mock('../utils/coupons', () => ({}));
+jest.mock('../utils/waitlist', () => ({}));
+jest.mock('../utils/bookingChanges', () => ({}));
+jest.mock('../utils/notifications', () => ({ notifyBookingEvent: jest.fn() }));
+
+const stripe = require('../config/stripe');
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const { confirmBookingPayment } = require('../utils/bookingPayments');
+const { processWebhookEvent } = require('../utils/stripeWebhooks');
+
+const payment = { _id: 'payment-1', booking: 'booking-1' };
+
+const checkoutCompleted = {
+  id: 'evt_1',
+  type: 'checkout.session.completed',
+  data: {
+    object: { id: 'cs_test_1', payment_status: 'paid', payment_intent: 'pi_1', metadata: { bookingId: 'booking-1' } }
+  }
+};
+
+// Payment.webhookEvents as the atomic claim in processWebhookEvent sees it
+const recordEvents = () => {
+  const events = [];
+  Payment.findOneAndUpdate.mockImplementation(async (filter, update) => {
+    if (events.includes(filter['webhookEvents.eventId'].$ne)) {
+      return null;
+    }
+    events.push(update.$push.webhookEvents.eventId);
+    return { ...payment };
+  });
+  return events;
+};
+
+describe('processWebhookEvent', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Payment.findOne.mockResolvedValue(payment);
+    confirmBookingPayment.mockResolvedValue({ bookingReference: 'TB-1' });
+  });
+
+  it('handles an event once and skips its redelivery', async () => {
+    const events = recordEvents();
+
+    await expect(processWebhookEvent(checkoutCompleted)).resolves.toEqual({ handled: true });
+    await expect(processWebhookEvent(checkoutCompleted)).resolves.toEqual({ handled: false, duplicate: true });
+
+    expect(events).toEqual(['evt_1']);
+    expect(confirmBookingPayment).toHaveBeenCalledTimes(1);
+    expect(confirmBookingPayment).toHaveBeenCalledWith(expect.objectContaining({
+      bookingId: 'booking-1',
+      sessionId: 'cs_test_1',
+      paymentIntentId: 'pi_1'
+    }));
+  });
+
+  it('forgets an event whose handling failed so the retry is processed', async () => {
+    recordEvents();
+    confirmBookingPayment.mockRejectedValueOnce(new Error('database down'));
+
+    await expect(processWebhookEvent(checkoutCompleted)).rejects.toThrow('database down');
+    expect(Payment.updateOne).toHaveBeenCalledWith(
+      { _id: 'payment-1' },
+      { $pull: { webhookEvents: { eventId: 'evt_1' } } }
+    );
+  });
+
+  it('ignores events it has no handler for', async () => {
+    await expect(processWebhookEvent({ id: 'evt_2', type: 'customer.created', data: { object: {} } }))
+      .resolves.toEqual({ handled: false });
+    expect(Payment.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe('charge.refunded', () => {
+  let refunded;
+
+  const chargeRefunded = (charge) => ({
+    id: `evt_${charge.amount_refunded}`,
+    type: 'charge.refunded',
+    data: { object: { id: 'ch_1', payment_intent: 'pi_1', ...charge } }
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    refunded = {
+      _id: 'payment-1',
+      booking: 'booking-1',
+      amount: 1000,
+      status: 'completed',
+      paymentGateway: { paymentIntentId: 'pi_1' },
+      refund: { amount: 200, reason: 'Booking change', refundReference: 're_1' },
+      save: jest.fn()
+    };
+    Payment.findOne.mockResolvedValue(refunded);
+    Payment.findOneAndUpdate.mockResolvedValue(refunded);
+    // The payments sharing the charge; siblings are looked up with an _id filter
+    Payment.find.mockImplementation(async (filter) => (filter._id ? [] : [refunded]));
+    stripe.refunds.list.mockResolvedValue({ data: [{ id: 're_2' }] });
+  });
+
+  it('adds a refund made in the Stripe dashboard to the ones already recorded', async () => {
+    await processWebhookEvent(chargeRefunded({ amount_refunded: 50000, refunded: false }));
+
+    expect(stripe.refunds.list).toHaveBeenCalledWith({ charge: 'ch_1', limit: 1 });
+    expect(refunded.status).toBe('completed');
+    expect(refunded.refund).toMatchObject({ amount: 500, refundReference: 're_2', stripeRefundId: 're_2' });
+    expect(Booking.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('cancels the booking once the whole charge is refunded', async () => {
+    Booking.findOneAndUpdate.mockResolvedValue(null);
+
+    await processWebhookEvent(chargeRefunded({ amount_refunded: 100000, refunded: true }));
+
+    expect(refunded.status).toBe('refunded');
+    expect(refunded.refund).toMatchObject({ amount: 1000, refundReference: 're_2' });
+    expect(Booking.findOneAndUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: 'booking-1' }),
+      expect.objectContaining({ bookingStatus: 'cancelled', refundAmount: 1000 }),
+      { new: true }
+    );
+  });
+
+  it('only confirms refunds the app already recorded', async () => {
+    await processWebhookEvent(chargeRefunded({ amount_refunded: 20000, refunded: false }));
+
+    expect(stripe.refunds.list).not.toHaveBeenCalled();
+    expect(refunded.refund).toMatchObject({ amount: 200, refundReference: 're_1', refundStatus: 'completed' });
+  });
+});
@@ -0,0 +1,135 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../utils/inbox', () => ({ notifyUser: jest.fn() }));
+jest.mock('../utils/availability', () => ({ scheduleAvailabilityUpdate: jest.fn() }));
+jest.mock('../models/Departure', () => ({
+  find: jest.fn(),
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../models/WaitlistEntry', () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  distinct: jest.fn(),
+  updateMany: jest.fn()
+}));
+
+const Departure = require('../models/Departure');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { notifyUser } = require('../utils/inbox');
+const { expireWaitlistOffers } = require('../utils/waitlist');
+
+const MINUTE = 60 * 1000;
+
+/*
+ * A departure and its waitlist kept in memory. The mocks apply the filters
+ * the waitlist functions send: entry status, the seats that fit, the capacity
+ * $expr of an offer and the offeredCount guard when seats are given back.
+ */
+const useWaitlist = (departure, entries) => {
+  const available = () => Math.max(0, departure.capacity - departure.soldCount - departure.heldCount - departure.offeredCount);
+
+  Departure.findById.mockImplementation(() => ({
+    select: async () => ({ ...departure, availableSeats: available() })
+  }));
+  Departure.findOneAndUpdate.mockImplementation(async (filter, update) => {
+    if (available() < update.$inc.offeredCount) {
+      return null;
+    }
+    departure.offeredCount += update.$inc.offeredCount;
+    return departure;
+  });
+  Departure.updateOne.mockImplementation(async (filter, update) => {
+    if (departure.offeredCount < filter.offeredCount.$gte) {
+      return { modifiedCount: 0 };
+    }
+    departure.offeredCount += update.$inc.offeredCount;
+    return { modifiedCount: 1 };
+  });
+  Departure.find.mockReturnValue({ distinct: async () => [] });
+
+  WaitlistEntry.find.mockImplementation(async (filter) => entries.filter(e => (
+    e.status === filter.status && e.offerExpiresAt <= filter.offerExpiresAt.$lte
+  )));
+  WaitlistEntry.findOne.mockImplementation((filter) => ({
+    sort: async () => entries
+      .filter(e => e.status === filter.status && e.seats <= filter.seats.$lte)
+      .sort((a, b) => a.createdAt - b.createdAt)[0] || null
+  }));
+  WaitlistEntry.findOneAndUpdate.mockImplementation(async (filter, update) => {
+    const entry = entries.find(e => e._id === filter._id && e.status === filter.status);
+    if (!entry) {
+      return null;
+    }
+    const before = { ...entry };
+    Object.assign(entry, update);
+    return update.status === 'offered' ? entry : before;
+  });
+  WaitlistEntry.distinct.mockResolvedValue([]);
+  WaitlistEntry.updateMany.mockResolvedValue({ modifiedCount: 0 });
+};
+
+describe('expireWaitlistOffers', () => {
+  let departure;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    departure = {
+      _id: 'departure-1',
+      status: 'scheduled',
+      departureAt: new Date(Date.now() + 24 * 60 * MINUTE),
+      capacity: 40,
+      soldCount: 36,
+      heldCount: 2,
+      offeredCount: 2
+    };
+  });
+
+  const lapsedOffer = () => ({
+    _id: 'entry-1',
+    user: 'user-1',
+    departure: 'departure-1',
+    seats: 2,
+    status: 'offered',
+    createdAt: new Date(Date.now() - 90 * MINUTE),
+    offerExpiresAt: new Date(Date.now() - MINUTE)
+  });
+
+  it('returns the seats of a lapsed offer to sale when nobody else is waiting', async () => {
+    const entries = [lapsedOffer()];
+    useWaitlist(departure, entries);
+
+    await expect(expireWaitlistOffers()).resolves.toBe(1);
+
+    expect(entries[0].status).toBe('expired');
+    expect(departure.offeredCount).toBe(0);
+    expect(notifyUser).not.toHaveBeenCalled();
+  });
+
+  it('passes the seats of a lapsed offer to the next user whose request fits', async () => {
+    const entries = [
+      lapsedOffer(),
+      { _id: 'entry-2', user: 'user-2', departure: 'departure-1', seats: 3, status: 'waiting', createdAt: new Date(Date.now() - 60 * MINUTE) },
+      { _id: 'entry-3', user: 'user-3', departure: 'departure-1', seats: 2, status: 'waiting', createdAt: new Date(Date.now() - 30 * MINUTE) }
+    ];
+    useWaitlist(departure, entries);
+
+    await expect(expireWaitlistOffers()).resolves.toBe(1);
+
+    expect(entries.map(e => e.status)).toEqual(['expired', 'waiting', 'offered']);
+    expect(entries[2].offerExpiresAt.getTime()).toBeGreaterThan(Date.now());
+    expect(departure.offeredCount).toBe(2);
+    expect(notifyUser).toHaveBeenCalledWith('user-3', 'waitlist_offer', expect.objectContaining({ seats: 2 }), expect.anything());
+  });
+
+  it('leaves offers that are still open alone', async () => {
+    const entries = [{ ...lapsedOffer(), offerExpiresAt: new Date(Date.now() + 10 * MINUTE) }];
+    useWaitlist(departure, entries);
+
+    await expect(expireWaitlistOffers()).resolves.toBe(0);
+
+    expect(entries[0].status).toBe('offered');
+    expect(departure.offeredCount).toBe(2);
+  });
+});
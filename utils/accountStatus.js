@@ -0,0 +1,40 @@
+// Codes sent when an account may not sign in or use its existing tokens
+const ACCOUNT_BLOCK_CODES = ['ACCOUNT_FRAUD', 'ACCOUNT_SUSPENDED', 'ACCOUNT_DEACTIVATED'];
+
+/**
+ * Why a user may not use the API, as { code, message, reason }, or null if
+ * they may. Checked by every way in: password and Firebase login, refresh,
+ * the JWT middleware and socket connections.
+ */
+const getAccountBlock = (user) => {
+  if (user.isFraud) {
+    return {
+      code: 'ACCOUNT_FRAUD',
+      message: 'This account has been disabled after being flagged for fraud',
+      reason: user.fraudReason || null
+    };
+  }
+
+  if (user.isSuspended) {
+    return {
+      code: 'ACCOUNT_SUSPENDED',
+      message: 'This account has been suspended',
+      reason: user.suspensionReason || null
+    };
+  }
+
+  if (user.isActive === false) {
+    return {
+      code: 'ACCOUNT_DEACTIVATED',
+      message: 'Account is deactivated',
+      reason: null
+    };
+  }
+
+  return null;
+};
+
+module.exports = {
+  ACCOUNT_BLOCK_CODES,
+  getAccountBlock
+};
@@ -0,0 +1,99 @@
+const Departure = require('../models/Departure');
+const logger = require('./logger');
+const { getSocketServer } = require('./socket');
+
+// Changes to one departure within this window go out as a single update
+const PUBLISH_DELAY_MS = 250;
+
+// Most departures sent to a client that starts watching a route
+const MAX_ROUTE_DEPARTURES = 30;
+
+const pendingUpdates = new Map();
+
+/**
+ * Public view of a departure's seat inventory: counts plus which seats are
+ * taken, without the bookings behind them. `asOf` lets clients drop an update
+ * that arrives after a newer one.
+ */
+const getAvailabilitySnapshot = (departure) => ({
+  departureId: departure._id,
+  routeId: departure.route,
+  departureAt: departure.departureAt,
+  status: departure.status,
+  capacity: departure.capacity,
+  availableSeats: departure.availableSeats,
+  takenSeats: (departure.seatAssignments || []).map(a => ({ seatNumber: a.seatNumber, status: a.status })),
+  asOf: new Date()
+});
+
+const publishAvailability = async (departureId) => {
+  const io = getSocketServer();
+  if (!io) {
+    return;
+  }
+
+  const departure = await Departure.findById(departureId);
+  if (!departure) {
+    return;
+  }
+
+  io.to(`departure-${departure._id}`)
+    .to(`route-${departure.route}`)
+    .emit('seat-availability', getAvailabilitySnapshot(departure));
+};
+
+/**
+ * Tell clients watching a departure or its route that its seats changed.
+ * Called after every inventory update; quick successive changes (e.g. a
+ * release followed by a waitlist offer) are sent once.
+ */
+const scheduleAvailabilityUpdate = (departureId) => {
+  if (!departureId || !getSocketServer()) {
+    return;
+  }
+
+  const key = departureId.toString();
+  if (pendingUpdates.has(key)) {
+    return;
+  }
+
+  const timer = setTimeout(() => {
+    pendingUpdates.delete(key);
+    publishAvailability(key).catch(error => {
+      logger.error(`Could not publish seat availability for departure ${key}: ${error.message}`);
+    });
+  }, PUBLISH_DELAY_MS);
+  timer.unref();
+  pendingUpdates.set(key, timer);
+};
+
+// Current availability of one departure, sent when a client starts (or resumes) watching it
+const getDepartureAvailability = async (departureId) => {
+  const departure = await Departure.findById(departureId);
+  return departure ? getAvailabilitySnapshot(departure) : null;
+};
+
+// Current availability of a route's upcoming departures, or those on one travel date
+const getRouteAvailability = async (routeId, date) => {
+  const filter = { route: routeId, status: 'scheduled' };
+  if (date) {
+    // Local midnight; utils/departures.js depends on this module, so its startOfDay is not used here
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    const nextDay = new Date(day);
+    nextDay.setDate(nextDay.getDate() + 1);
+    filter.travelDate = { $gte: day, $lt: nextDay };
+  } else {
+    filter.departureAt = { $gt: new Date() };
+  }
+
+  const departures = await Departure.find(filter).sort({ departureAt: 1 }).limit(MAX_ROUTE_DEPARTURES);
+  return departures.map(getAvailabilitySnapshot);
+};
+
+module.exports = {
+  getAvailabilitySnapshot,
+  scheduleAvailabilityUpdate,
+  getDepartureAvailability,
+  getRouteAvailability
+};
@@ -0,0 +1,444 @@
+const Booking = require('../models/Booking');
+const Departure = require('../models/Departure');
+const Payment = require('../models/Payment');
+const stripe = require('../config/stripe');
+const logger = require('./logger');
+const { getBookingRestriction, holdSeats, releaseSeats, sellSeats } = require('./departures');
+const { getFreeSeats, listSeatNumbers } = require('./seats');
+const { priceManifest } = require('./passengers');
+const { calculateFare, calculateCharges, calculateGatewayFee } = require('./pricing');
+const {
+  CANCELLABLE_STATUSES,
+  getCompletedPayments,
+  refundPayment,
+  refundPayments,
+  cancelOpenCheckouts
+} = require('./cancellations');
+const { offerWaitlistSeats } = require('./waitlist');
+
+// Stripe needs a checkout session to stay open at least 30 minutes
+const CHANGE_CHECKOUT_MINUTES = 31;
+
+const CHANGE_REASON = 'Booking change';
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const changeError = (code, message) => ({ code, message });
+
+const sameId = (a, b) => (a?._id || a)?.toString() === (b?._id || b)?.toString();
+
+const getPendingChange = (booking) => {
+  return (booking.changes || []).find(change => change.status === 'pending_payment');
+};
+
+/**
+ * Check a booking can be moved to the given departure under the current
+ * route's modification policy. The new route must be sold by the same vendor
+ * between the same cities. Returns { code, message } or null.
+ */
+const checkBookingChange = ({ booking, currentRoute, newRoute, newDeparture, now = new Date() }) => {
+  if (!CANCELLABLE_STATUSES.includes(booking.bookingStatus)) {
+    return changeError('BOOKING_NOT_CHANGEABLE', `Cannot change a booking that is ${booking.bookingStatus}`);
+  }
+  if (booking.paymentStatus === 'pending' && booking.paymentLock) {
+    return changeError('PAYMENT_IN_PROGRESS', 'Finish or abandon the open payment before changing this booking');
+  }
+  if (getPendingChange(booking)) {
+    return changeError('CHANGE_IN_PROGRESS', 'An earlier change of this booking is waiting for payment');
+  }
+
+  const policy = currentRoute.modification || {};
+  if (policy.allowed === false) {
+    return changeError('CHANGE_NOT_ALLOWED', 'This route does not allow bookings to be changed');
+  }
+  const hoursToDeparture = (new Date(booking.departureDate).getTime() - now.getTime()) / (60 * 60 * 1000);
+  if (hoursToDeparture < (policy.allowedUntil ?? 6)) {
+    return changeError('CHANGE_WINDOW_CLOSED', `Bookings can only be changed up to ${policy.allowedUntil ?? 6} hours before departure`);
+  }
+
+  if (
+    !sameId(newRoute.vendor, booking.vendor) ||
+    newRoute.from.city.toLowerCase() !== currentRoute.from.city.toLowerCase() ||
+    newRoute.to.city.toLowerCase() !== currentRoute.to.city.toLowerCase()
+  ) {
+    return changeError('CHANGE_ROUTE_NOT_ALLOWED', 'A booking can only move to a route of the same operator between the same cities');
+  }
+  if (!newRoute.availability?.isActive || newRoute.verificationStatus !== 'approved') {
+    return changeError('ROUTE_UNAVAILABLE', 'The new route is not open for booking');
+  }
+
+  if (!newDeparture || newDeparture.status !== 'scheduled' || newDeparture.departureAt <= now) {
+    return changeError('DEPARTURE_UNAVAILABLE', 'The new departure cannot be booked');
+  }
+  if (sameId(newDeparture, booking.departure)) {
+    return changeError('CHANGE_SAME_DEPARTURE', 'The booking is already on this departure');
+  }
+
+  const restriction = getBookingRestriction(newRoute, newDeparture.departureAt, now);
+  if (restriction) {
+    return restriction;
+  }
+
+  if (newDeparture.availableSeats < booking.bookingQuantity) {
+    return changeError('SOLD_OUT', `Only ${newDeparture.availableSeats} tickets available on the new departure`);
+  }
+
+  return null;
+};
+
+/**
+ * Price the booking's passengers on the new departure and work out what the
+ * change costs. The booking keeps its coupon discount, up to the new subtotal.
+ * Unpaid bookings are simply repriced, without a change fee.
+ */
+const quoteBookingChange = ({ booking, currentRoute, newRoute, newDeparture, now = new Date() }) => {
+  const fare = calculateFare(newRoute, newDeparture, now);
+  const passengers = booking.passengers.map(passenger => ({ passengerType: passenger.passengerType }));
+  const subtotal = priceManifest(passengers, newRoute, fare.fare);
+  const charges = calculateCharges(subtotal, booking.discount || 0);
+
+  const isPaid = booking.paymentStatus === 'paid';
+  const fareDifference = roundAmount(charges.totalAmount - booking.totalAmount);
+  const changeFee = isPaid ? (currentRoute.modification?.changeFee || 0) : 0;
+
+  return {
+    fare,
+    passengerFares: passengers.map(passenger => passenger.fare),
+    charges,
+    currentTotal: booking.totalAmount,
+    newTotal: charges.totalAmount,
+    fareDifference,
+    changeFee,
+    amountDue: isPaid ? roundAmount(fareDifference + changeFee) : 0
+  };
+};
+
+// Hold seats for the booking on the new departure, picking free ones unless given
+const holdChangeSeats = async (booking, route, departure, requestedSeats) => {
+  const quantity = booking.passengers.filter(p => p.passengerType !== 'infant').length;
+
+  if (requestedSeats) {
+    const seats = requestedSeats.map(seat => String(seat).trim().toUpperCase());
+    const seatNumbers = listSeatNumbers(route, departure);
+    if (seats.length !== quantity || new Set(seats).size !== seats.length || seats.some(seat => !seatNumbers.includes(seat))) {
+      return { error: changeError('INVALID_SEATS', 'Select one valid seat for every passenger except infants') };
+    }
+    const held = await holdSeats(departure._id, booking._id, seats);
+    return held
+      ? { seats }
+      : { error: changeError('SEATS_UNAVAILABLE', 'Some of the selected seats are no longer available') };
+  }
+
+  let current = departure;
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const seats = getFreeSeats(route, current).slice(0, quantity);
+    if (seats.length < quantity) {
+      break;
+    }
+    if (await holdSeats(departure._id, booking._id, seats)) {
+      return { seats };
+    }
+    current = await Departure.findById(departure._id);
+  }
+
+  return { error: changeError('SOLD_OUT', 'Not enough seats left on the new departure') };
+};
+
+/**
+ * Move the booking onto the departure of a change: reassign seats and fares,
+ * sell the new seats if the booking is paid and give the old ones back.
+ */
+const applyBookingChange = async (booking, change, io) => {
+  const previousDeparture = booking.departure;
+  const { to } = change;
+
+  booking.route = to.route;
+  booking.departure = to.departure;
+  booking.departureDate = to.departureDate;
+  booking.baseFare = to.baseFare;
+  booking.fareBreakdown = to.fareBreakdown;
+  booking.subtotal = to.subtotal;
+  booking.discount = to.discount;
+  booking.taxes = to.taxes;
+  booking.fees = to.fees;
+  booking.totalAmount = to.totalAmount;
+  booking.notifications.departureReminder = false;
+  booking.remindersSent = [];
+
+  booking.passengers.forEach((passenger, index) => {
+    passenger.fare = to.passengerFares[index];
+  });
+  booking.passengers
+    .filter(passenger => passenger.passengerType !== 'infant')
+    .forEach((passenger, index) => {
+      passenger.seatNumber = to.seats[index];
+    });
+
+  await booking.save();
+
+  if (booking.paymentStatus === 'paid') {
+    await sellSeats(to.departure, booking);
+  }
+  if (previousDeparture) {
+    await releaseSeats(previousDeparture, booking._id);
+    await offerWaitlistSeats(previousDeparture, io);
+  }
+
+  if (io) {
+    io.to(`booking-${booking._id}`).emit('booking-changed', {
+      bookingId: booking._id,
+      bookingReference: booking.bookingReference,
+      departureId: to.departure,
+      departureDate: to.departureDate,
+      seats: to.seats,
+      totalAmount: to.totalAmount
+    });
+  }
+
+  logger.info(`Booking ${booking.bookingReference} moved to departure ${to.departure}`);
+
+  return booking;
+};
+
+// Open a Stripe checkout for what a change costs and record its pending payment
+const createChangeCheckout = async (booking, change, { successUrl, cancelUrl, customerEmail }) => {
+  const expiresAt = new Date(Date.now() + CHANGE_CHECKOUT_MINUTES * 60 * 1000);
+
+  const session = await stripe.checkout.sessions.create({
+    expires_at: Math.floor(expiresAt.getTime() / 1000),
+    payment_method_types: ['card'],
+    line_items: [{
+      price_data: {
+        currency: 'bdt',
+        product_data: {
+          name: `Booking change ${booking.bookingReference}`,
+          description: `Fare difference ${change.fareDifference} BDT, change fee ${change.changeFee} BDT`
+        },
+        unit_amount: Math.round(change.amountDue * 100)
+      },
+      quantity: 1
+    }],
+    mode: 'payment',
+    success_url: `${successUrl}${successUrl.includes('?') ? '&' : '?'}booking_id=${booking._id}&change_id=${change._id}&session_id={CHECKOUT_SESSION_ID}`,
+    cancel_url: cancelUrl,
+    metadata: {
+      bookingId: booking._id.toString(),
+      changeId: change._id.toString(),
+      userId: booking.user.toString()
+    },
+    payment_intent_data: {
+      metadata: {
+        bookingId: booking._id.toString(),
+        changeId: change._id.toString()
+      }
+    },
+    customer_email: customerEmail
+  });
+
+  const payment = new Payment({
+    booking: booking._id,
+    user: booking.user,
+    amount: change.amountDue,
+    purpose: 'change',
+    currency: 'BDT',
+    status: 'pending',
+    paymentMethod: 'card',
+    paymentGateway: {
+      transactionId: session.id
+    },
+    // VAT and service fee on a higher fare are passed on like the booking's own
+    taxes: Math.max(0, roundAmount(change.to.taxes - booking.taxes)),
+    fees: {
+      platformFee: Math.max(0, roundAmount(change.to.fees - booking.fees)),
+      gatewayFee: calculateGatewayFee(change.amountDue)
+    }
+  });
+  await payment.save();
+
+  return { session, payment, expiresAt };
+};
+
+/**
+ * Change a booking to another departure. The new seats are held first; a
+ * cheaper change is refunded (less the change fee) and applied straight away,
+ * a dearer one opens a Stripe checkout and is applied once it is paid.
+ * Returns { booking, change, checkout } or { error }.
+ */
+const requestBookingChange = async ({
+  booking,
+  currentRoute,
+  newRoute,
+  newDeparture,
+  seats,
+  requestedBy,
+  reason,
+  successUrl,
+  cancelUrl,
+  customerEmail,
+  io
+}) => {
+  const quote = quoteBookingChange({ booking, currentRoute, newRoute, newDeparture });
+
+  if (quote.amountDue > 0 && (!successUrl || !cancelUrl)) {
+    return { error: changeError('PAYMENT_URLS_REQUIRED', 'Success and cancel URLs are required to pay for this change') };
+  }
+
+  const held = await holdChangeSeats(booking, newRoute, newDeparture, seats);
+  if (held.error) {
+    return { error: held.error };
+  }
+
+  const currentSeats = booking.passengers.map(p => p.seatNumber).filter(Boolean);
+  booking.changes.push({
+    status: quote.amountDue > 0 ? 'pending_payment' : 'completed',
+    requestedBy,
+    reason,
+    from: {
+      route: booking.route,
+      departure: booking.departure,
+      departureDate: booking.departureDate,
+      seats: currentSeats,
+      totalAmount: booking.totalAmount
+    },
+    to: {
+      route: newRoute._id,
+      departure: newDeparture._id,
+      departureDate: newDeparture.departureAt,
+      seats: held.seats,
+      passengerFares: quote.passengerFares,
+      baseFare: quote.fare.baseFare,
+      fareBreakdown: {
+        adultFare: quote.fare.fare,
+        multiplier: quote.fare.multiplier,
+        adjustments: quote.fare.adjustments,
+        calculatedAt: new Date()
+      },
+      ...quote.charges
+    },
+    fareDifference: quote.fareDifference,
+    changeFee: quote.changeFee,
+    amountDue: quote.amountDue
+  });
+  const change = booking.changes[booking.changes.length - 1];
+
+  try {
+    if (quote.amountDue > 0) {
+      const checkout = await createChangeCheckout(booking, change, { successUrl, cancelUrl, customerEmail });
+      change.payment = checkout.payment._id;
+      change.expiresAt = checkout.expiresAt;
+      await booking.save();
+
+      logger.info(`Change of booking ${booking.bookingReference} waiting for payment of ${quote.amountDue}`);
+      return { booking, change, checkout };
+    }
+
+    if (quote.amountDue < 0) {
+      const payments = await getCompletedPayments(booking._id);
+      const refund = await refundPayments(payments, -quote.amountDue, CHANGE_REASON, { status: 'completed' });
+      change.refundAmount = -quote.amountDue;
+      change.stripeRefundId = refund?.id;
+    }
+  } catch (error) {
+    // Give the new seats back; the booking stays as it was
+    await releaseSeats(newDeparture._id, booking._id);
+    throw error;
+  }
+
+  change.completedAt = new Date();
+  await applyBookingChange(booking, change, io);
+
+  return { booking, change, checkout: null };
+};
+
+/**
+ * Apply a change once its payment has gone through, from the Stripe webhook
+ * or the client's redirect. The payment is claimed atomically so the change is
+ * applied once. If the change can no longer go ahead (it expired or the booking
+ * was cancelled meanwhile, which also cancels its payment) the payment is
+ * refunded in full.
+ */
+const completeBookingChange = async ({ bookingId, changeId, sessionId, paymentIntentId, io }) => {
+  const now = new Date();
+
+  const claimed = await Payment.findOneAndUpdate(
+    { 'paymentGateway.transactionId': sessionId, purpose: 'change', status: { $in: ['pending', 'cancelled'] } },
+    { status: 'completed', completedAt: now, 'paymentGateway.paymentIntentId': paymentIntentId }
+  );
+  if (!claimed) {
+    return null;
+  }
+  // Saved again so the fee and payout hooks run
+  const payment = await Payment.findById(claimed._id);
+  await payment.save();
+
+  const booking = claimed.status === 'pending' && await Booking.findOneAndUpdate(
+    {
+      _id: bookingId,
+      bookingStatus: { $in: CANCELLABLE_STATUSES },
+      changes: { $elemMatch: { _id: changeId, status: 'pending_payment' } }
+    },
+    { $set: { 'changes.$.status': 'completed', 'changes.$.completedAt': now } },
+    { new: true }
+  );
+
+  if (!booking) {
+    await refundPayment(payment, payment.amount, 'Booking change could not be completed');
+
+    const failed = await Booking.findOneAndUpdate(
+      { _id: bookingId, changes: { $elemMatch: { _id: changeId, status: 'pending_payment' } } },
+      { $set: { 'changes.$.status': 'failed' } },
+      { new: true }
+    );
+    if (failed) {
+      const change = failed.changes.id(changeId);
+      await releaseSeats(change.to.departure, failed._id);
+      await offerWaitlistSeats(change.to.departure, io);
+    }
+
+    logger.warn(`Change ${changeId} of booking ${bookingId} was paid after it lapsed; payment refunded`);
+    return null;
+  }
+
+  return applyBookingChange(booking, booking.changes.id(changeId), io);
+};
+
+// Give up changes whose payment did not arrive in time and free the seats held for them
+const expireBookingChanges = async (io) => {
+  const now = new Date();
+  const bookings = await Booking.find({
+    changes: { $elemMatch: { status: 'pending_payment', expiresAt: { $lte: now } } }
+  }).select('changes bookingReference');
+
+  let expired = 0;
+  for (const booking of bookings) {
+    const lapsed = booking.changes.filter(c => c.status === 'pending_payment' && c.expiresAt <= now);
+
+    for (const change of lapsed) {
+      const claimed = await Booking.findOneAndUpdate(
+        { _id: booking._id, changes: { $elemMatch: { _id: change._id, status: 'pending_payment' } } },
+        { $set: { 'changes.$.status': 'expired' } }
+      );
+      if (!claimed) {
+        continue;
+      }
+
+      await releaseSeats(change.to.departure, booking._id);
+      await offerWaitlistSeats(change.to.departure, io);
+      await cancelOpenCheckouts({ _id: change.payment });
+
+      logger.info(`Unpaid change of booking ${booking.bookingReference} expired`);
+      expired++;
+    }
+  }
+
+  return expired;
+};
+
+module.exports = {
+  getPendingChange,
+  checkBookingChange,
+  quoteBookingChange,
+  requestBookingChange,
+  completeBookingChange,
+  expireBookingChanges
+};
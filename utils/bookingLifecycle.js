@@ -0,0 +1,207 @@
+const Booking = require('../models/Booking');
+const Departure = require('../models/Departure');
+const lifecycle = require('../config/lifecycle');
+const logger = require('./logger');
+const { getDepartureBookings, releaseSeats } = require('./departures');
+const { getArrivalAt } = require('./journeys');
+const { releaseCoupon } = require('./coupons');
+const { cancelOpenCheckouts } = require('./cancellations');
+const { offerWaitlistSeats } = require('./waitlist');
+const { notifyBookingEvent } = require('./notifications');
+const { scheduleAvailabilityUpdate } = require('./availability');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Upper bound on items handled per run so one sweep cannot run away
+const BATCH_SIZE = 500;
+
+const UNPAID_EXPIRED_REASON = 'Booking was not paid in time';
+
+// When a departure counts as finished: after it arrives, or after an assumed trip length
+const getCompletionTime = (departure) => {
+  const arrivalAt = getArrivalAt(departure)
+    || new Date(departure.departureAt.getTime() + lifecycle.assumedTripHours * HOUR_MS);
+  return new Date(arrivalAt.getTime() + lifecycle.completeAfterArrivalHours * HOUR_MS);
+};
+
+/**
+ * Mark departures that have arrived as completed, together with their paid
+ * bookings. Returns the number of departures completed.
+ */
+const completeDepartures = async (io, now = new Date()) => {
+  const candidates = await Departure.find({
+    status: { $in: ['scheduled', 'departed'] },
+    departureAt: { $lte: new Date(now.getTime() - lifecycle.completeAfterArrivalHours * HOUR_MS) }
+  })
+    .select('-seatAssignments')
+    .sort({ departureAt: 1 })
+    .limit(BATCH_SIZE);
+
+  let completed = 0;
+  for (const departure of candidates) {
+    if (getCompletionTime(departure) > now) {
+      continue;
+    }
+
+    const claimed = await Departure.findOneAndUpdate(
+      { _id: departure._id, status: { $in: ['scheduled', 'departed'] } },
+      { status: 'completed', updatedAt: now }
+    );
+    if (!claimed) {
+      continue;
+    }
+    scheduleAvailabilityUpdate(departure._id);
+
+    const bookingIds = await getDepartureBookings(departure).distinct('_id');
+    const result = await Booking.updateMany(
+      { _id: { $in: bookingIds }, bookingStatus: { $in: ['pending', 'accepted'] } },
+      { bookingStatus: 'completed', status: 'completed', updatedAt: now }
+    );
+
+    logger.info(`Departure ${departure._id} completed with ${result.modifiedCount} booking(s)`);
+    completed++;
+  }
+
+  return completed;
+};
+
+// Unpaid bookings that will not be paid any more: the departure has left, or an
+// accepted booking without a seat hold has waited too long for payment
+const getUnpaidExpiredQuery = (now = new Date()) => ({
+  paymentStatus: 'pending',
+  $or: [
+    {
+      bookingStatus: { $in: ['pending', 'accepted'] },
+      departureDate: { $lte: now }
+    },
+    {
+      bookingStatus: 'accepted',
+      holdExpiresAt: { $exists: false },
+      paymentLock: { $ne: true },
+      vendorResponseAt: { $lte: new Date(now.getTime() - lifecycle.unpaidAcceptedHours * HOUR_MS) }
+    }
+  ]
+});
+
+// Cancel one unpaid booking and give its seats back
+const expireUnpaidBooking = async (bookingId, io, now = new Date()) => {
+  const booking = await Booking.findOneAndUpdate(
+    { _id: bookingId, ...getUnpaidExpiredQuery(now) },
+    {
+      bookingStatus: 'cancelled',
+      status: 'cancelled',
+      paymentLock: false,
+      cancelledAt: now,
+      cancellationReason: UNPAID_EXPIRED_REASON
+    },
+    { new: true }
+  );
+  if (!booking) {
+    return null;
+  }
+
+  if (booking.departure) {
+    await releaseSeats(booking.departure, booking._id);
+    await offerWaitlistSeats(booking.departure, io);
+  }
+  await releaseCoupon(booking);
+
+  await cancelOpenCheckouts({ booking: booking._id });
+
+  if (io) {
+    io.to(`booking-${booking._id}`).emit('booking-expired', {
+      bookingId: booking._id,
+      bookingReference: booking.bookingReference,
+      reason: UNPAID_EXPIRED_REASON,
+      expiredAt: now
+    });
+  }
+
+  notifyBookingEvent('booking_cancelled', booking._id, { reason: UNPAID_EXPIRED_REASON });
+
+  logger.info(`Unpaid booking ${booking.bookingReference} expired`);
+
+  return booking;
+};
+
+// Sweep unpaid bookings that can no longer be paid
+const expireUnpaidBookings = async (io) => {
+  const now = new Date();
+  const expired = await Booking.find(getUnpaidExpiredQuery(now)).select('_id').limit(BATCH_SIZE);
+
+  let count = 0;
+  for (const { _id } of expired) {
+    if (await expireUnpaidBooking(_id, io, now)) {
+      count++;
+    }
+  }
+  return count;
+};
+
+const notifyDepartureReminder = async (booking, hoursBefore, io) => {
+  logger.info(`Departure reminder (${hoursBefore}h) sent for booking ${booking.bookingReference}`);
+
+  await notifyBookingEvent('departure_reminder', booking._id, { hoursBefore });
+
+  if (io) {
+    io.to(`user-${booking.user}`).emit('departure-reminder', {
+      bookingId: booking._id,
+      bookingReference: booking.bookingReference,
+      departureDate: booking.departureDate,
+      hoursBefore
+    });
+  }
+};
+
+/**
+ * Remind travellers of paid bookings of their departure at each configured
+ * offset. A booking only gets the nearest reminder that is due, so one made
+ * shortly before departure is not sent several at once.
+ */
+const sendDepartureReminders = async (io) => {
+  const now = new Date();
+  const offsets = lifecycle.departureReminderHours;
+  if (offsets.length === 0) {
+    return 0;
+  }
+
+  const bookings = await Booking.find({
+    bookingStatus: { $in: ['pending', 'accepted'] },
+    paymentStatus: 'paid',
+    departureDate: { $gt: now, $lte: new Date(now.getTime() + offsets[0] * HOUR_MS) },
+    remindersSent: { $nin: [offsets[offsets.length - 1]] }
+  }).limit(BATCH_SIZE);
+
+  let sent = 0;
+  for (const booking of bookings) {
+    const hoursLeft = (booking.departureDate.getTime() - now.getTime()) / HOUR_MS;
+    const due = offsets.filter(hours => hoursLeft <= hours);
+    const nearest = due[due.length - 1];
+    if ((booking.remindersSent || []).includes(nearest)) {
+      continue;
+    }
+
+    // Claim the reminder first so overlapping runs cannot send it twice
+    const claimed = await Booking.updateOne(
+      { _id: booking._id, remindersSent: { $ne: nearest } },
+      { $addToSet: { remindersSent: { $each: due } }, 'notifications.departureReminder': true }
+    );
+    if (claimed.modifiedCount === 0) {
+      continue;
+    }
+
+    await notifyDepartureReminder(booking, nearest, io);
+    sent++;
+  }
+
+  return sent;
+};
+
+module.exports = {
+  UNPAID_EXPIRED_REASON,
+  getCompletionTime,
+  completeDepartures,
+  expireUnpaidBooking,
+  expireUnpaidBookings,
+  sendDepartureReminders
+};
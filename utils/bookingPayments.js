@@ -0,0 +1,224 @@
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const logger = require('./logger');
+const { getBookingDeparture, sellSeats } = require('./departures');
+const { HOLD_EXPIRED_REASON, reviveExpiredHold } = require('./seatHolds');
+const { applyPaymentCharges } = require('./pricing');
+const { notifyBookingEvent } = require('./notifications');
+const { CANCELLABLE_STATUSES, refundPayment } = require('./cancellations');
+
+const LATE_PAYMENT_REASON = 'Booking was no longer active when the payment completed';
+
+// Unpaid bookings a payment can still confirm: live ones, or one whose seat
+// hold ran out just before the payment came through
+const getPayableQuery = () => ({
+  paymentStatus: { $in: ['pending', 'failed'] },
+  $or: [
+    { bookingStatus: { $in: CANCELLABLE_STATUSES } },
+    { bookingStatus: 'cancelled', holdReleasedAt: { $exists: true }, cancellationReason: HOLD_EXPIRED_REASON }
+  ]
+});
+
+/**
+ * A checkout left open can still be paid after its booking was cancelled,
+ * rejected or expired. Such a booking is not confirmed: the checkout's payment
+ * is refunded in full and the refund recorded on the payment and booking.
+ * Returns the refunded payment, or null if there was nothing to refund.
+ */
+const refundLatePayment = async ({ bookingId, sessionId, paymentIntentId }) => {
+  const booking = await Booking.findById(bookingId);
+  if (!booking || booking.paymentStatus === 'paid' || CANCELLABLE_STATUSES.includes(booking.bookingStatus)) {
+    return null;
+  }
+
+  if (!sessionId) {
+    logger.warn(`Payment for inactive booking ${booking.bookingReference} has no checkout session to refund`);
+    return null;
+  }
+
+  // Claimed first so a redelivered event cannot refund it twice
+  const payment = await Payment.findOneAndUpdate(
+    {
+      booking: booking._id,
+      'paymentGateway.transactionId': sessionId,
+      status: { $in: ['pending', 'cancelled', 'failed'] }
+    },
+    {
+      status: 'processing',
+      ...(paymentIntentId && { 'paymentGateway.paymentIntentId': paymentIntentId })
+    },
+    { new: true }
+  );
+  if (!payment) {
+    return null;
+  }
+
+  try {
+    await refundPayment(payment, payment.amount, LATE_PAYMENT_REASON);
+  } catch (error) {
+    await Payment.updateOne({ _id: payment._id, status: 'processing' }, { status: 'cancelled' });
+    throw error;
+  }
+
+  await Booking.updateOne(
+    { _id: booking._id },
+    {
+      $set: { paymentStatus: 'refunded', refundReason: LATE_PAYMENT_REASON },
+      $inc: { refundAmount: payment.amount }
+    }
+  );
+
+  notifyBookingEvent('booking_refunded', booking._id, { reason: LATE_PAYMENT_REASON });
+
+  logger.warn(`Refunded ${payment.amount} paid for ${booking.bookingStatus} booking ${booking.bookingReference}`);
+
+  return payment;
+};
+
+// A booking claimed as paid whose checkout payment is still pending: an earlier
+// confirmation stopped half way (Stripe retries the webhook) or is still running
+const findUnfinishedConfirmation = async (bookingId, sessionId) => {
+  if (!sessionId) {
+    return null;
+  }
+  const pending = await Payment.exists({
+    booking: bookingId,
+    'paymentGateway.transactionId': sessionId,
+    status: 'pending'
+  });
+  return pending ? Booking.findOne({ _id: bookingId, paymentStatus: 'paid' }).populate('vendor') : null;
+};
+
+// Complete a payment record; false if another confirmation completed it first.
+// updateOne skips the Payment save hooks, so the fee total, vendor payout and
+// timestamps they would fill in are set here.
+const completePayment = async (payment, booking, { sessionId, paymentIntentId }) => {
+  applyPaymentCharges(payment, booking);
+
+  const totalFees = (payment.fees.processingFee || 0) + payment.fees.gatewayFee + payment.fees.platformFee;
+  const now = new Date();
+
+  const result = await Payment.updateOne(
+    { _id: payment._id, status: { $ne: 'completed' } },
+    {
+      $set: {
+        status: 'completed',
+        amount: payment.amount,
+        taxes: payment.taxes,
+        'fees.platformFee': payment.fees.platformFee,
+        'fees.gatewayFee': payment.fees.gatewayFee,
+        'fees.totalFees': totalFees,
+        'vendorPayout.amount': Math.round((payment.amount - totalFees - payment.taxes) * 100) / 100,
+        completedAt: now,
+        updatedAt: now,
+        ...(paymentIntentId && { 'paymentGateway.paymentIntentId': paymentIntentId }),
+        'paymentGateway.gatewayResponse': { status: 'completed', sessionId, paymentIntentId }
+      }
+    }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Mark a booking paid once Stripe has taken the money: sell the held seats,
+ * complete its payment record and tell the customer and vendor. Both the
+ * client redirect and the Stripe webhook end up here, so the booking is
+ * claimed atomically and null is returned if it was already paid. The payment
+ * record is completed last, so a retry after a failure part way through
+ * finishes the job, and only whoever completes it sends the notifications.
+ * A booking that is no longer active is not confirmed and its payment is refunded.
+ */
+const confirmBookingPayment = async ({ bookingId, sessionId, paymentIntentId, io }) => {
+  let booking = await Booking.findOneAndUpdate(
+    { _id: bookingId, ...getPayableQuery() },
+    { paymentStatus: 'paid' },
+    { new: true }
+  ).populate('vendor');
+
+  if (!booking) {
+    booking = await findUnfinishedConfirmation(bookingId, sessionId);
+    if (!booking) {
+      await refundLatePayment({ bookingId, sessionId, paymentIntentId });
+      return null;
+    }
+  }
+
+  // The payment record of this checkout, or any pending one for the booking
+  const payment = (sessionId && await Payment.findOne({
+    booking: booking._id,
+    'paymentGateway.transactionId': sessionId
+  })) || await Payment.findOne({ booking: booking._id, status: 'pending' });
+
+  reviveExpiredHold(booking);
+  booking.status = 'confirmed';
+  booking.paymentLock = false;
+  booking.paymentMethod = 'card';
+  booking.paymentDetails = {
+    transactionId: sessionId,
+    paidAt: booking.paymentDetails?.paidAt || new Date(),
+    gatewayResponse: {
+      status: 'completed',
+      sessionId
+    }
+  };
+  booking.notifications.paymentReceived = true;
+  await booking.save();
+
+  // Mark the seats as sold on the booked departure
+  const departure = await getBookingDeparture(booking);
+  if (departure) {
+    await sellSeats(departure._id, booking);
+  }
+
+  if (!payment) {
+    logger.warn(`No payment record found for paid booking ${booking.bookingReference}`);
+  } else if (!(await completePayment(payment, booking, { sessionId, paymentIntentId }))) {
+    return null;
+  }
+
+  notifyBookingEvent('booking_paid', booking._id);
+
+  if (io) {
+    io.to(`booking-${booking._id}`).emit('payment-confirmed', {
+      bookingId: booking._id,
+      paymentStatus: 'paid',
+      bookingStatus: 'confirmed'
+    });
+
+    if (booking.vendor) {
+      io.to(`vendor-${booking.vendor._id}`).emit('payment-received', {
+        bookingId: booking._id,
+        bookingReference: booking.bookingReference,
+        amount: booking.totalAmount
+      });
+    }
+  }
+
+  return booking;
+};
+
+// Confirm every booking paid by one checkout session; a trip pays all its legs at once
+const confirmSessionPayments = async ({ sessionId, paymentIntentId, io }) => {
+  const payments = await Payment.find({ 'paymentGateway.transactionId': sessionId }).select('booking');
+
+  const confirmed = [];
+  for (const payment of payments) {
+    const booking = await confirmBookingPayment({
+      bookingId: payment.booking,
+      sessionId,
+      paymentIntentId,
+      io
+    });
+    if (booking) {
+      confirmed.push(booking);
+    }
+  }
+  return confirmed;
+};
+
+module.exports = {
+  LATE_PAYMENT_REASON,
+  refundLatePayment,
+  confirmBookingPayment,
+  confirmSessionPayments
+};
@@ -0,0 +1,357 @@
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const stripe = require('../config/stripe');
+const logger = require('./logger');
+const { getBookingDeparture, releaseSeats } = require('./departures');
+const { releaseCoupon } = require('./coupons');
+const { offerWaitlistSeats } = require('./waitlist');
+const { notifyBookingEvent } = require('./notifications');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Checkout sessions store the session ID as transactionId; refunds need the payment intent
+const getPaymentIntentId = (payment) => {
+  const gateway = payment.paymentGateway || {};
+  if (gateway.paymentIntentId) {
+    return gateway.paymentIntentId;
+  }
+  if (gateway.gatewayResponse?.paymentIntentId) {
+    return gateway.gatewayResponse.paymentIntentId;
+  }
+  if (gateway.transactionId && gateway.transactionId.startsWith('pi_')) {
+    return gateway.transactionId;
+  }
+  return null;
+};
+
+/**
+ * Work out what a cancellation is worth under the route's refund policy:
+ * a full refund up to freeCancellationUntil hours before departure, the paid
+ * amount less cancellationFee (a flat amount) up to partialRefundUntil, and
+ * nothing after that.
+ */
+const getRefundQuote = (booking, route, paidAmount, now = new Date()) => {
+  const cancellation = route?.cancellation || {};
+  const policy = cancellation.refundPolicy || {};
+  const freeUntil = policy.freeCancellationUntil ?? 24;
+  const partialUntil = policy.partialRefundUntil ?? 12;
+  const fee = policy.cancellationFee || 0;
+
+  const hoursToDeparture = (new Date(booking.departureDate).getTime() - now.getTime()) / (60 * 60 * 1000);
+
+  let tier;
+  let cancellationFee;
+  if (hoursToDeparture >= freeUntil) {
+    tier = 'full';
+    cancellationFee = 0;
+  } else if (hoursToDeparture >= partialUntil) {
+    tier = 'partial';
+    cancellationFee = Math.min(fee, paidAmount);
+  } else {
+    tier = 'none';
+    cancellationFee = paidAmount;
+  }
+
+  return {
+    allowed: cancellation.allowed !== false && hoursToDeparture > 0,
+    hoursToDeparture: Math.round(hoursToDeparture * 10) / 10,
+    tier,
+    paidAmount: roundAmount(paidAmount),
+    cancellationFee: roundAmount(cancellationFee),
+    refundAmount: roundAmount(paidAmount - cancellationFee),
+    policy: {
+      freeCancellationUntil: freeUntil,
+      partialRefundUntil: partialUntil,
+      cancellationFee: fee
+    }
+  };
+};
+
+// The completed payments of a booking, newest first; a booking change can add one
+const getCompletedPayments = (bookingId) => {
+  return Payment.find({ booking: bookingId, status: 'completed' }).sort({ createdAt: -1 });
+};
+
+// What is left of the payments after earlier partial refunds
+const getRefundableAmount = (payments) => {
+  return roundAmount(payments.reduce(
+    (sum, payment) => sum + payment.amount - (payment.refund?.amount || 0),
+    0
+  ));
+};
+
+// Amount a cancellation is worked out on: the booking's current price, as far as
+// the payments still hold it (change fees paid along the way are not refunded)
+const getPaidAmount = (booking, payments) => {
+  return Math.min(booking.totalAmount, getRefundableAmount(payments));
+};
+
+/**
+ * Refund part or all of a payment through Stripe and record it on the payment.
+ * Refunds add up on the payment; it is marked refunded unless a status to keep
+ * is given, e.g. when a booking change hands back a fare difference.
+ */
+const refundPayment = async (payment, amount, reason, { status = 'refunded' } = {}) => {
+  const paymentIntentId = getPaymentIntentId(payment);
+  if (!paymentIntentId) {
+    throw new Error('Payment has no Stripe payment intent to refund');
+  }
+
+  const refund = await stripe.refunds.create({
+    payment_intent: paymentIntentId,
+    amount: Math.round(amount * 100),
+    reason: 'requested_by_customer',
+    metadata: {
+      bookingId: payment.booking._id ? payment.booking._id.toString() : payment.booking.toString(),
+      paymentId: payment._id.toString()
+    }
+  });
+
+  payment.status = status;
+  payment.refund = {
+    amount: roundAmount((payment.refund?.amount || 0) + amount),
+    reason,
+    refundDate: new Date(),
+    refundReference: refund.id,
+    refundStatus: refund.status === 'succeeded' ? 'completed' : 'processing',
+    stripeRefundId: refund.id
+  };
+  await payment.save();
+
+  return refund;
+};
+
+/**
+ * Refund an amount spread over a booking's payments, newest first, each up to
+ * what is left of it. Payments that are still partly held keep the given
+ * status. Returns the last Stripe refund made. If a refund fails after others
+ * went through, the error carries the amount already refunded as refundedAmount.
+ */
+const refundPayments = async (payments, amount, reason, { status = 'refunded' } = {}) => {
+  let remaining = roundAmount(amount);
+  let refund = null;
+
+  for (const payment of payments) {
+    if (remaining <= 0) {
+      break;
+    }
+    const available = getRefundableAmount([payment]);
+    const portion = Math.min(remaining, available);
+    if (portion <= 0) {
+      continue;
+    }
+    try {
+      refund = await refundPayment(payment, portion, reason, { status });
+    } catch (error) {
+      error.refundedAmount = roundAmount(amount - remaining);
+      throw error;
+    }
+    remaining = roundAmount(remaining - portion);
+  }
+
+  return refund;
+};
+
+/**
+ * Cancel the pending payments matching a filter and expire their Stripe
+ * checkout sessions, so a checkout left open cannot be paid once its booking
+ * (or booking change) is gone. A session paid in the meantime can no longer
+ * be expired; that payment is refunded when it is confirmed.
+ */
+const cancelOpenCheckouts = async (filter) => {
+  const payments = await Payment.find({ ...filter, status: 'pending' }).select('paymentGateway.transactionId');
+  const sessionIds = [...new Set(payments
+    .map(payment => payment.paymentGateway?.transactionId)
+    .filter(id => id && id.startsWith('cs_')))];
+
+  for (const sessionId of sessionIds) {
+    try {
+      await stripe.checkout.sessions.expire(sessionId);
+      logger.info(`Expired checkout session ${sessionId}`);
+    } catch (error) {
+      // Stripe refuses sessions that already expired or were completed
+      logger.warn(`Could not expire checkout session ${sessionId}: ${error.message}`);
+    }
+  }
+
+  if (payments.length > 0) {
+    await Payment.updateMany(
+      { _id: { $in: payments.map(payment => payment._id) }, status: 'pending' },
+      { status: 'cancelled' }
+    );
+  }
+
+  return sessionIds.length;
+};
+
+// Bookings in these states can still be cancelled
+const CANCELLABLE_STATUSES = ['pending', 'accepted'];
+
+/**
+ * Refund a booking that has just been claimed for cancellation or rejection.
+ * If nothing could be refunded the claim is undone with `restore` and the
+ * error rethrown, so the request can be tried again. If only part went through
+ * the claim stands, with what was refunded recorded; the rest is settled by hand.
+ */
+const refundClaimedBooking = async ({ booking, claimed, payments, amount, reason, restore }) => {
+  if (payments.length === 0 || amount <= 0) {
+    return { refund: null, refundedAmount: 0 };
+  }
+
+  let refund = null;
+  let refundedAmount = amount;
+  try {
+    refund = await refundPayments(payments, amount, reason);
+  } catch (error) {
+    if (!error.refundedAmount) {
+      await Booking.findByIdAndUpdate(booking._id, restore);
+      throw error;
+    }
+    refundedAmount = error.refundedAmount;
+    logger.error(`Booking ${booking.bookingReference} ${claimed.bookingStatus} with ${refundedAmount} of ${amount} refunded: ${error.message}`);
+  }
+
+  claimed.paymentStatus = 'refunded';
+  claimed.refundAmount = refundedAmount;
+  claimed.refundReason = reason;
+  await claimed.save();
+
+  return { refund, refundedAmount };
+};
+
+// Give back what a booking that will not travel was holding: its checkout, seats and coupon
+const releaseBookingHoldings = async (booking, claimed, io) => {
+  // Unpaid bookings (and pending changes) may still have a checkout open
+  await cancelOpenCheckouts({ booking: booking._id });
+
+  const departure = await getBookingDeparture(booking);
+  if (departure) {
+    await releaseSeats(departure._id, booking._id);
+    await offerWaitlistSeats(departure._id, io);
+  }
+  await releaseCoupon(claimed);
+};
+
+/**
+ * Cancel a booking on behalf of a user: refund what the policy allows,
+ * record who cancelled and why, and give the seats back. Returns null if the
+ * booking was no longer cancellable (e.g. a concurrent request got there first).
+ * If only part of the refund went through, the booking stays cancelled with
+ * what was refunded recorded, and refundPending is what is still owed.
+ */
+const processCancellation = async ({ booking, route, cancelledBy, reason, io, now = new Date() }) => {
+  const cancellationReason = reason || 'Cancelled by customer';
+
+  // Claim the booking first so it cannot be cancelled (and refunded) twice
+  const claimed = await Booking.findOneAndUpdate(
+    { _id: booking._id, bookingStatus: { $in: CANCELLABLE_STATUSES } },
+    {
+      bookingStatus: 'cancelled',
+      status: 'cancelled',
+      paymentLock: false,
+      cancelledAt: now,
+      cancelledBy,
+      cancellationReason
+    },
+    { new: true }
+  );
+  if (!claimed) {
+    return null;
+  }
+
+  const payments = booking.paymentStatus === 'paid' ? await getCompletedPayments(booking._id) : [];
+  const quote = getRefundQuote(booking, route, getPaidAmount(booking, payments), now);
+
+  const { refund, refundedAmount } = await refundClaimedBooking({
+    booking,
+    claimed,
+    payments,
+    amount: quote.refundAmount,
+    reason: cancellationReason,
+    restore: {
+      bookingStatus: booking.bookingStatus,
+      status: booking.status,
+      $unset: { cancelledAt: 1, cancelledBy: 1, cancellationReason: 1 }
+    }
+  });
+
+  await releaseBookingHoldings(booking, claimed, io);
+
+  notifyBookingEvent('booking_cancelled', claimed._id, { reason: cancellationReason });
+
+  logger.info(`Booking ${booking.bookingReference} cancelled with ${quote.tier} refund of ${refundedAmount}`);
+
+  return {
+    booking: claimed,
+    quote,
+    refund,
+    refundedAmount,
+    refundPending: roundAmount(quote.refundAmount - refundedAmount)
+  };
+};
+
+/**
+ * Reject a pending booking on the vendor's behalf. The customer did nothing
+ * wrong, so whatever they paid is refunded in full before the seats go back.
+ * Returns null if the booking is no longer pending, otherwise the same shape
+ * as processCancellation without a quote.
+ */
+const processRejection = async ({ booking, notes, io, now = new Date() }) => {
+  const claimed = await Booking.findOneAndUpdate(
+    { _id: booking._id, bookingStatus: 'pending' },
+    {
+      bookingStatus: 'rejected',
+      status: 'cancelled',
+      paymentLock: false,
+      vendorResponseAt: now,
+      vendorResponseNotes: notes || ''
+    },
+    { new: true }
+  );
+  if (!claimed) {
+    return null;
+  }
+
+  const payments = claimed.paymentStatus === 'paid' ? await getCompletedPayments(booking._id) : [];
+  const refundAmount = getRefundableAmount(payments);
+
+  const { refund, refundedAmount } = await refundClaimedBooking({
+    booking,
+    claimed,
+    payments,
+    amount: refundAmount,
+    reason: 'Booking rejected by the operator',
+    restore: {
+      bookingStatus: 'pending',
+      status: booking.status,
+      $unset: { vendorResponseAt: 1, vendorResponseNotes: 1 }
+    }
+  });
+
+  await releaseBookingHoldings(booking, claimed, io);
+
+  notifyBookingEvent('booking_rejected', claimed._id, { reason: claimed.vendorResponseNotes });
+
+  logger.info(`Booking ${booking.bookingReference} rejected with a refund of ${refundedAmount}`);
+
+  return {
+    booking: claimed,
+    refund,
+    refundedAmount,
+    refundPending: roundAmount(refundAmount - refundedAmount)
+  };
+};
+
+module.exports = {
+  CANCELLABLE_STATUSES,
+  getPaymentIntentId,
+  getRefundQuote,
+  getCompletedPayments,
+  getRefundableAmount,
+  getPaidAmount,
+  refundPayment,
+  refundPayments,
+  cancelOpenCheckouts,
+  processCancellation,
+  processRejection
+};
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const logger = require('./logger');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const couponError = (code, message) => ({ coupon: null, error: { code, message } });
+
+const countUserRedemptions = (coupon, userId) => {
+  return coupon.redemptions.filter(r => r.user.toString() === userId.toString()).length;
+};
+
+// Discount a coupon gives on a fare subtotal
+const getCouponDiscount = (coupon, subtotal) => {
+  let discount = coupon.discountType === 'percent'
+    ? subtotal * coupon.value / 100
+    : coupon.value;
+
+  if (coupon.discountType === 'percent' && coupon.maxDiscount) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+
+  return roundAmount(Math.min(discount, subtotal));
+};
+
+/**
+ * Look up a coupon code and check it can be used by this user on this route
+ * for this fare subtotal. Returns { coupon, discount } or { error: { code, message } }.
+ */
+const checkCoupon = async (code, { userId, route, subtotal, now = new Date() }) => {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+
+  if (!coupon) {
+    return couponError('COUPON_NOT_FOUND', 'Coupon code is not valid');
+  }
+  if (!coupon.isActive) {
+    return couponError('COUPON_INACTIVE', 'This coupon is no longer active');
+  }
+  if (coupon.validFrom && coupon.validFrom > now) {
+    return couponError('COUPON_NOT_STARTED', 'This coupon cannot be used yet');
+  }
+  if (coupon.validUntil && coupon.validUntil < now) {
+    return couponError('COUPON_EXPIRED', 'This coupon has expired');
+  }
+  if (subtotal < (coupon.minFare || 0)) {
+    return couponError('COUPON_MIN_FARE', `This coupon needs a fare of at least ${coupon.minFare}`);
+  }
+
+  const { routes = [], vendors = [], transportTypes = [] } = coupon.restrictions || {};
+  const vendorId = (route.vendor?._id || route.vendor)?.toString();
+  if (
+    (routes.length > 0 && !routes.some(id => id.toString() === route._id.toString())) ||
+    (vendors.length > 0 && !vendors.some(id => id.toString() === vendorId)) ||
+    (transportTypes.length > 0 && !transportTypes.includes(route.type))
+  ) {
+    return couponError('COUPON_NOT_APPLICABLE', 'This coupon cannot be used on this route');
+  }
+
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    return couponError('COUPON_USAGE_LIMIT', 'This coupon has been fully redeemed');
+  }
+  if (countUserRedemptions(coupon, userId) >= coupon.perUserLimit) {
+    return couponError('COUPON_USER_LIMIT', 'You have already used this coupon');
+  }
+
+  return { coupon, discount: getCouponDiscount(coupon, subtotal), error: null };
+};
+
+/**
+ * Record a coupon against a booking. Both limits and the expiry date are
+ * checked again in the same update so concurrent bookings cannot go over them;
+ * returns false if the coupon ran out or expired in the meantime.
+ */
+const redeemCoupon = async (coupon, { userId, bookingId, discount, now = new Date() }) => {
+  const userObjectId = new mongoose.Types.ObjectId(userId.toString());
+
+  const conditions = [
+    {
+      $lt: [
+        { $size: { $filter: { input: '$redemptions', cond: { $eq: ['$$this.user', userObjectId] } } } },
+        '$perUserLimit'
+      ]
+    }
+  ];
+  if (coupon.usageLimit) {
+    conditions.push({ $lt: ['$usedCount', '$usageLimit'] });
+  }
+
+  const updated = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      isActive: true,
+      validUntil: { $not: { $lt: now } },
+      $expr: { $and: conditions }
+    },
+    {
+      $inc: { usedCount: 1 },
+      $push: { redemptions: { user: userObjectId, booking: bookingId, discount } }
+    },
+    { new: true }
+  );
+
+  return Boolean(updated);
+};
+
+// Give a coupon use back when its booking is cancelled, rejected or expires
+const releaseCoupon = async (booking) => {
+  if (!booking.coupon) {
+    return false;
+  }
+
+  const result = await Coupon.updateOne(
+    { _id: booking.coupon, 'redemptions.booking': booking._id },
+    {
+      $inc: { usedCount: -1 },
+      $pull: { redemptions: { booking: booking._id } }
+    }
+  );
+
+  if (result.modifiedCount > 0) {
+    logger.info(`Released coupon ${booking.couponCode} from booking ${booking.bookingReference}`);
+    return true;
+  }
+  return false;
+};
+
+module.exports = {
+  getCouponDiscount,
+  checkCoupon,
+  redeemCoupon,
+  releaseCoupon
+};
@@ -0,0 +1,575 @@
+const Booking = require('../models/Booking');
+const Departure = require('../models/Departure');
+const Route = require('../models/Route');
+const logger = require('./logger');
+const { getFreeSeats } = require('./seats');
+const { scheduleAvailabilityUpdate } = require('./availability');
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Weekend in Bangladesh is Friday and Saturday
+const WEEKEND_DAYS = ['friday', 'saturday'];
+
+const DEFAULT_WINDOW_DAYS = 30;
+
+// Local midnight of the given date
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// Parse "HH:mm" or "hh:mm AM/PM" into minutes after midnight
+const parseTimeOfDay = (timeString) => {
+  if (!timeString || !timeString.includes(':')) {
+    return null;
+  }
+
+  const match = timeString.trim().match(/^(\d{1,2}):(\d{2})\s*(am|pm)?$/i);
+  if (!match) {
+    return null;
+  }
+
+  let hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  const meridiem = match[3] && match[3].toLowerCase();
+
+  if (meridiem === 'pm' && hours < 12) hours += 12;
+  if (meridiem === 'am' && hours === 12) hours = 0;
+
+  return hours * 60 + minutes;
+};
+
+// Combine a calendar date with a schedule time string
+const combineDateAndTime = (date, timeString) => {
+  const combined = startOfDay(date);
+  const minutes = parseTimeOfDay(timeString);
+  if (minutes !== null) {
+    combined.setMinutes(minutes);
+  }
+  return combined;
+};
+
+// Check whether a schedule slot runs on the given date
+const runsOnDate = (slot, date) => {
+  const day = DAY_NAMES[new Date(date).getDay()];
+  const days = (slot.days || []).filter(d => DAY_NAMES.includes(d));
+
+  switch (slot.frequency) {
+    case 'daily':
+      return true;
+    case 'weekdays':
+      return !WEEKEND_DAYS.includes(day);
+    case 'weekends':
+      return WEEKEND_DAYS.includes(day);
+    case 'specific':
+      return days.includes(day);
+    default:
+      // No frequency set: use the listed days, otherwise run every day
+      return days.length === 0 || days.includes(day);
+  }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Whole calendar days from one date to another
+const daysBetween = (from, to) => {
+  return Math.round((startOfDay(to).getTime() - startOfDay(from).getTime()) / DAY_MS);
+};
+
+// The blackout period covering a travel date, if any
+const findBlackout = (route, date) => {
+  const day = startOfDay(date);
+  return (route.availability?.blackoutDates || []).find(period => (
+    period.startDate &&
+    startOfDay(period.startDate) <= day &&
+    startOfDay(period.endDate || period.startDate) >= day
+  ));
+};
+
+/**
+ * Why a departure cannot be booked right now under the route's blackout
+ * periods and advance-booking window, as { code, message }, or null if it can.
+ */
+const getBookingRestriction = (route, departureAt, now = new Date()) => {
+  const blackout = findBlackout(route, departureAt);
+  if (blackout) {
+    return {
+      code: 'BLACKOUT_DATE',
+      message: blackout.reason
+        ? `Bookings are closed on this date: ${blackout.reason}`
+        : 'Bookings are closed on this date'
+    };
+  }
+
+  const { minimumDays, maximumDays } = route.availability?.advanceBooking || {};
+  const daysAhead = daysBetween(now, departureAt);
+
+  if (minimumDays && daysAhead < minimumDays) {
+    return {
+      code: 'BOOKING_TOO_LATE',
+      message: `This route must be booked at least ${minimumDays} ${minimumDays === 1 ? 'day' : 'days'} before departure`
+    };
+  }
+
+  if (maximumDays && daysAhead > maximumDays) {
+    return {
+      code: 'BOOKING_TOO_EARLY',
+      message: `This route can only be booked up to ${maximumDays} days in advance`
+    };
+  }
+
+  return null;
+};
+
+// Routes without a schedule still get one departure per day
+const getScheduleSlots = (route) => {
+  return route.schedule && route.schedule.length > 0 ? route.schedule : [{}];
+};
+
+// Seats offered for sale on each departure of a route
+const getRouteCapacity = (route) => {
+  return route.availableQuantity || route.capacity?.totalSeats || 0;
+};
+
+// Filter and fields of the departure a schedule slot creates on a date
+const buildDeparture = (route, date, slot, index) => {
+  const travelDate = startOfDay(date);
+
+  return {
+    filter: {
+      route: route._id,
+      travelDate,
+      scheduleIndex: index
+    },
+    fields: {
+      departureAt: combineDateAndTime(travelDate, slot.departureTime),
+      departureTime: slot.departureTime,
+      arrivalTime: slot.arrivalTime,
+      capacity: getRouteCapacity(route),
+      vendor: route.vendor?._id || route.vendor
+    }
+  };
+};
+
+/**
+ * Create the missing departures of a route for every day its schedule runs
+ * within the booking window (defaults to availability.advanceBooking.maximumDays).
+ * Departures that already exist are left alone - route edits go through
+ * syncDepartures. Returns how many departures were created.
+ */
+const generateDepartures = async (route, { from = new Date(), days } = {}) => {
+  const windowDays = days || route.availability?.advanceBooking?.maximumDays || DEFAULT_WINDOW_DAYS;
+  const slots = getScheduleSlots(route);
+  const operations = [];
+
+  for (let offset = 0; offset <= windowDays; offset++) {
+    const date = startOfDay(from);
+    date.setDate(date.getDate() + offset);
+
+    slots.forEach((slot, index) => {
+      if (!runsOnDate(slot, date)) {
+        return;
+      }
+      const { filter, fields } = buildDeparture(route, date, slot, index);
+      operations.push({ updateOne: { filter, update: { $setOnInsert: fields }, upsert: true } });
+    });
+  }
+
+  if (operations.length === 0) {
+    return 0;
+  }
+
+  const result = await Departure.bulkWrite(operations, { ordered: false });
+  return result.upsertedCount;
+};
+
+// Keep the booking window of every active route filled as days go by
+const generateUpcomingDepartures = async () => {
+  const routes = await Route.find({ 'availability.isActive': true })
+    .select('schedule capacity availableQuantity availability vendor');
+
+  let created = 0;
+  for (const route of routes) {
+    created += await generateDepartures(route);
+  }
+  return created;
+};
+
+/**
+ * Find (or lazily create) the departure of a route on the given date.
+ * A time component matching a schedule slot selects that slot, otherwise the
+ * first slot running that day is used. Returns null if the route does not run.
+ */
+const getDepartureForDate = async (route, date) => {
+  const requested = new Date(date);
+  if (isNaN(requested.getTime())) {
+    return null;
+  }
+
+  const slots = getScheduleSlots(route);
+  const requestedMinutes = requested.getHours() * 60 + requested.getMinutes();
+
+  let index = slots.findIndex(slot =>
+    runsOnDate(slot, requested) && parseTimeOfDay(slot.departureTime) === requestedMinutes
+  );
+  if (index === -1) {
+    index = slots.findIndex(slot => runsOnDate(slot, requested));
+  }
+  if (index === -1) {
+    return null;
+  }
+
+  const { filter, fields } = buildDeparture(route, requested, slots[index], index);
+
+  // Never overwrite capacity or timing of an existing departure on lookup
+  const existing = await Departure.findOne(filter);
+  if (existing) {
+    return existing;
+  }
+
+  return Departure.findOneAndUpdate(
+    filter,
+    { $setOnInsert: fields },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Resolve the departure a booking belongs to, linking legacy bookings on the way
+const getBookingDeparture = async (booking) => {
+  if (booking.departure) {
+    const departureId = booking.departure._id || booking.departure;
+    return Departure.findById(departureId);
+  }
+
+  const routeId = booking.route?._id || booking.route;
+  const route = booking.route?.schedule ? booking.route : await Route.findById(routeId);
+  if (!route) {
+    return null;
+  }
+
+  const departure = await getDepartureForDate(route, booking.departureDate);
+  if (departure) {
+    booking.departure = departure._id;
+    await Booking.updateOne({ _id: booking._id }, { departure: departure._id });
+  }
+  return departure;
+};
+
+// Matches the bookings of a departure, including older ones only linked by route and date
+const getDepartureBookingFilter = (departure) => {
+  const travelDate = startOfDay(departure.travelDate || departure.departureAt);
+  const nextDay = new Date(travelDate);
+  nextDay.setDate(nextDay.getDate() + 1);
+
+  return {
+    $or: [
+      { departure: departure._id },
+      {
+        departure: { $exists: false },
+        route: departure.route,
+        departureDate: { $gte: travelDate, $lt: nextDay }
+      }
+    ]
+  };
+};
+
+// Matches the bookings that hold a paid, live seat
+const PAID_BOOKING_FILTER = {
+  paymentStatus: 'paid',
+  bookingStatus: { $nin: ['cancelled', 'rejected'] }
+};
+
+// Paid, live bookings of a departure
+const getDepartureBookings = (departure) => {
+  return Booking.find({
+    ...getDepartureBookingFilter(departure),
+    ...PAID_BOOKING_FILTER
+  });
+};
+
+/**
+ * Atomically hold the given seats on a departure for a booking. Fails (returns
+ * null) if any seat is already taken or the departure has no room left.
+ * A waitlist claim passes the seats it was offered, which are released in the
+ * same update.
+ */
+const holdSeats = async (departureId, bookingId, seatNumbers, { offeredSeats = 0 } = {}) => {
+  const departure = await Departure.findOneAndUpdate(
+    {
+      _id: departureId,
+      status: 'scheduled',
+      'seatAssignments.seatNumber': { $nin: seatNumbers },
+      ...(offeredSeats > 0 && { offeredCount: { $gte: offeredSeats } }),
+      $expr: {
+        $lte: [
+          { $add: ['$soldCount', '$heldCount', { $ifNull: ['$offeredCount', 0] }, seatNumbers.length - offeredSeats] },
+          '$capacity'
+        ]
+      }
+    },
+    {
+      $push: {
+        seatAssignments: {
+          $each: seatNumbers.map(seatNumber => ({ seatNumber, booking: bookingId, status: 'held' }))
+        }
+      },
+      $inc: { heldCount: seatNumbers.length, offeredCount: -offeredSeats }
+    },
+    { new: true }
+  );
+
+  if (departure) {
+    scheduleAvailabilityUpdate(departureId);
+  }
+  return departure;
+};
+
+// Seats of a departure assigned to a booking
+const getBookingSeats = (departure, bookingId) => {
+  return departure.seatAssignments.filter(a => a.booking.toString() === bookingId.toString());
+};
+
+/**
+ * Turn the seats held by a paid booking into sold seats. Bookings that hold
+ * nothing (created before seat selection) are given seats now - the customer
+ * has already paid, so the sale is recorded even if it overbooks.
+ */
+const sellSeats = async (departureId, booking) => {
+  const departure = await Departure.findById(departureId);
+  if (!departure) {
+    return null;
+  }
+
+  const held = getBookingSeats(departure, booking._id).filter(a => a.status === 'held');
+  if (held.length > 0) {
+    const sold = await Departure.findOneAndUpdate(
+      { _id: departureId, seatAssignments: { $elemMatch: { booking: booking._id, status: 'held' } } },
+      {
+        $set: { 'seatAssignments.$[seat].status': 'sold' },
+        $inc: { heldCount: -held.length, soldCount: held.length }
+      },
+      { new: true, arrayFilters: [{ 'seat.booking': booking._id, 'seat.status': 'held' }] }
+    );
+    if (sold) {
+      scheduleAvailabilityUpdate(departureId);
+      return sold;
+    }
+  }
+
+  if (getBookingSeats(departure, booking._id).length > 0) {
+    // Already sold
+    return departure;
+  }
+
+  const route = await Route.findById(departure.route);
+  const freeSeats = route ? getFreeSeats(route, departure) : [];
+  const seated = booking.passengers
+    .map((passenger, index) => ({ passenger, index }))
+    .filter(({ passenger }) => passenger.passengerType !== 'infant');
+  const wanted = seated.map(({ passenger }) => passenger.seatNumber);
+  const seats = wanted.every(seat => freeSeats.includes(seat))
+    ? wanted
+    : freeSeats.slice(0, booking.bookingQuantity);
+
+  if (seats.length < booking.bookingQuantity) {
+    logger.warn(`Departure ${departureId} overbooked by paid booking ${booking.bookingReference}`);
+  }
+
+  const updated = await Departure.findOneAndUpdate(
+    { _id: departureId },
+    {
+      $push: {
+        seatAssignments: {
+          $each: seats.map(seatNumber => ({ seatNumber, booking: booking._id, status: 'sold' }))
+        }
+      },
+      $inc: { soldCount: booking.bookingQuantity }
+    },
+    { new: true }
+  );
+
+  // Keep passenger seat numbers in line with the seats actually assigned
+  const seatUpdates = {};
+  seats.forEach((seatNumber, position) => {
+    const entry = seated[position];
+    if (entry && entry.passenger.seatNumber !== seatNumber) {
+      seatUpdates[`passengers.${entry.index}.seatNumber`] = seatNumber;
+    }
+  });
+  if (Object.keys(seatUpdates).length > 0) {
+    await Booking.updateOne({ _id: booking._id }, { $set: seatUpdates });
+  }
+
+  scheduleAvailabilityUpdate(departureId);
+  return updated;
+};
+
+// Give all seats of a booking back to its departure
+const releaseSeats = async (departureId, bookingId) => {
+  const departure = await Departure.findById(departureId);
+  if (!departure) {
+    return null;
+  }
+
+  const seats = getBookingSeats(departure, bookingId);
+  if (seats.length === 0) {
+    return departure;
+  }
+
+  const held = seats.filter(a => a.status === 'held').length;
+  const sold = seats.length - held;
+
+  const released = await Departure.findOneAndUpdate(
+    { _id: departureId, 'seatAssignments.booking': bookingId },
+    {
+      $pull: { seatAssignments: { booking: bookingId } },
+      $inc: { heldCount: -held, soldCount: -sold }
+    },
+    { new: true }
+  );
+
+  if (released) {
+    scheduleAvailabilityUpdate(departureId);
+  }
+  return released;
+};
+
+// Seats of a departure that are held, sold or offered to the waitlist
+const getTakenSeats = (departure) => {
+  return departure.soldCount + departure.heldCount + (departure.offeredCount || 0);
+};
+
+// Departures with none of their seats taken, which a route edit may move or drop
+const NO_SEATS_TAKEN = { soldCount: 0, heldCount: 0, offeredCount: { $in: [0, null] } };
+
+// The schedule slot a departure belongs to, if it still runs on that day
+const getDepartureSlot = (route, departure) => {
+  const slot = getScheduleSlots(route)[departure.scheduleIndex];
+  return slot && runsOnDate(slot, departure.travelDate) ? slot : null;
+};
+
+const getUpcomingDepartures = (route, statuses) => {
+  return Departure.find({
+    route: route._id,
+    status: { $in: statuses },
+    departureAt: { $gt: new Date() }
+  }).select('-seatAssignments');
+};
+
+/**
+ * Why a route's upcoming departures cannot follow an edit of its schedule or
+ * allotment, as { code, message }, or null if they can. Pass the route with
+ * the edit applied. Departures with seats taken keep their times and never
+ * drop below the seats taken.
+ */
+const getDepartureConflict = async (route) => {
+  const capacity = getRouteCapacity(route);
+  const departures = (await getUpcomingDepartures(route, ['scheduled']))
+    .filter(departure => getTakenSeats(departure) > 0);
+
+  const overfull = departures.find(departure => getTakenSeats(departure) > capacity);
+  if (overfull) {
+    return {
+      code: 'CAPACITY_BELOW_BOOKED',
+      message: `The departure of ${overfull.departureAt.toDateString()} already has ${getTakenSeats(overfull)} seats taken`
+    };
+  }
+
+  const moved = departures.find(departure => {
+    const slot = getDepartureSlot(route, departure);
+    return !slot || slot.departureTime !== departure.departureTime || slot.arrivalTime !== departure.arrivalTime;
+  });
+  if (moved) {
+    return {
+      code: 'SCHEDULE_HAS_BOOKINGS',
+      message: `The departure of ${moved.departureAt.toDateString()} already has seats taken and cannot be moved or dropped`
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Bring a route's upcoming departures in line with its schedule and allotment
+ * after an edit (checked with getDepartureConflict first), then create the
+ * missing ones. Only departures with no seats taken are moved, dropped
+ * (cancelled) or brought back; capacity never goes below the seats taken, even
+ * if seats were sold since the check.
+ */
+const syncDepartures = async (route) => {
+  const capacity = getRouteCapacity(route);
+  const departures = await getUpcomingDepartures(route, ['scheduled', 'cancelled']);
+  const operations = [];
+
+  departures.forEach(departure => {
+    const slot = getDepartureSlot(route, departure);
+
+    if (!slot) {
+      if (departure.status === 'scheduled') {
+        operations.push({ updateOne: {
+          filter: { _id: departure._id, ...NO_SEATS_TAKEN },
+          update: { $set: { status: 'cancelled', updatedAt: new Date() } }
+        } });
+      }
+      return;
+    }
+
+    const { fields } = buildDeparture(route, departure.travelDate, slot, departure.scheduleIndex);
+    if (departure.status === 'cancelled' || fields.departureAt.getTime() !== departure.departureAt.getTime() ||
+        fields.departureTime !== departure.departureTime || fields.arrivalTime !== departure.arrivalTime) {
+      operations.push({ updateOne: {
+        filter: { _id: departure._id, ...NO_SEATS_TAKEN },
+        update: {
+          $set: {
+            status: 'scheduled',
+            departureAt: fields.departureAt,
+            departureTime: fields.departureTime,
+            arrivalTime: fields.arrivalTime,
+            updatedAt: new Date()
+          }
+        }
+      } });
+    }
+
+    if (departure.capacity !== capacity) {
+      operations.push({ updateOne: {
+        filter: {
+          _id: departure._id,
+          $expr: { $lte: [{ $add: ['$soldCount', '$heldCount', { $ifNull: ['$offeredCount', 0] }] }, capacity] }
+        },
+        update: { $set: { capacity, updatedAt: new Date() } }
+      } });
+    }
+  });
+
+  if (operations.length > 0) {
+    await Departure.bulkWrite(operations, { ordered: false });
+  }
+  departures.forEach(departure => scheduleAvailabilityUpdate(departure._id));
+
+  return generateDepartures(route);
+};
+
+module.exports = {
+  DAY_NAMES,
+  PAID_BOOKING_FILTER,
+  startOfDay,
+  findBlackout,
+  getBookingRestriction,
+  parseTimeOfDay,
+  combineDateAndTime,
+  runsOnDate,
+  generateDepartures,
+  generateUpcomingDepartures,
+  getDepartureForDate,
+  getBookingDeparture,
+  getDepartureBookingFilter,
+  getDepartureBookings,
+  holdSeats,
+  getBookingSeats,
+  sellSeats,
+  releaseSeats,
+  getDepartureConflict,
+  syncDepartures
+};
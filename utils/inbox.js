@@ -0,0 +1,54 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const logger = require('./logger');
+const { emitToUser } = require('./socket');
+const { renderInboxNotification } = require('../templates/inbox');
+
+/**
+ * Store an in-app notification, written in the user's language, and push it
+ * to the user's open sockets. `templateData` fills in the text; `data` is
+ * kept on the notification for the client, e.g. { bookingId }.
+ */
+const createNotification = async ({ userId, type, language, templateData, data = {} }) => {
+  const { title, message } = renderInboxNotification(type, language, templateData);
+
+  const notification = await Notification.create({ user: userId, type, title, message, data });
+
+  emitToUser(userId, 'notification', notification.toObject());
+
+  return notification;
+};
+
+/**
+ * Notify a user by ID, looking up their language. Never throws, so it can be
+ * called from any flow without affecting it.
+ */
+const notifyUser = async (userId, type, templateData, data = {}) => {
+  try {
+    const user = await User.findById(userId).select('preferences.language');
+    if (!user) {
+      return null;
+    }
+
+    return await createNotification({
+      userId: user._id,
+      type,
+      language: user.preferences?.language,
+      templateData,
+      data
+    });
+  } catch (error) {
+    logger.error(`Could not create ${type} notification for user ${userId}: ${error.message}`);
+    return null;
+  }
+};
+
+const getUnreadCount = (userId) => {
+  return Notification.countDocuments({ user: userId, readAt: { $exists: false } });
+};
+
+module.exports = {
+  createNotification,
+  notifyUser,
+  getUnreadCount
+};
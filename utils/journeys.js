@@ -0,0 +1,252 @@
+const Route = require('../models/Route');
+const Departure = require('../models/Departure');
+const journeyConfig = require('../config/journeys');
+const { getBookingRestriction, combineDateAndTime, startOfDay } = require('./departures');
+const { calculateFare } = require('./pricing');
+
+const MAX_TRANSFERS = 2;
+
+// Route chains looked at per search, so busy hubs cannot blow up the search
+const MAX_PATHS = 50;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const cityKey = (place) => (place?.city || '').trim().toLowerCase();
+
+const minutesBetween = (from, to) => Math.round((to - from) / MINUTE_MS);
+
+// Arrival of a departure from its schedule; overnight trips arrive on a later day
+const getArrivalAt = (departure) => {
+  if (!departure.arrivalTime) {
+    return null;
+  }
+
+  const arrivalAt = combineDateAndTime(departure.departureAt, departure.arrivalTime);
+  while (arrivalAt <= departure.departureAt) {
+    arrivalAt.setDate(arrivalAt.getDate() + 1);
+  }
+  return arrivalAt;
+};
+
+// Time needed between arriving on one leg and leaving on the next
+const getMinConnectionMinutes = (previousRoute, nextRoute) => {
+  const minutes = journeyConfig.minConnectionMinutes[nextRoute.type] || 0;
+  return previousRoute.type === nextRoute.type
+    ? minutes
+    : minutes + journeyConfig.terminalChangeMinutes;
+};
+
+/**
+ * Chains of routes from origin to destination with at most maxTransfers
+ * changes. A chain never passes through the same city twice.
+ */
+const findRoutePaths = (routes, origin, destination, maxTransfers) => {
+  const routesByOrigin = new Map();
+  routes.forEach(route => {
+    const key = cityKey(route.from);
+    routesByOrigin.set(key, [...(routesByOrigin.get(key) || []), route]);
+  });
+
+  const paths = [];
+  const extend = (path, visited) => {
+    if (paths.length >= MAX_PATHS) {
+      return;
+    }
+
+    const city = path.length > 0 ? cityKey(path[path.length - 1].to) : origin;
+    if (city === destination) {
+      paths.push(path);
+      return;
+    }
+    if (path.length > maxTransfers) {
+      return;
+    }
+
+    (routesByOrigin.get(city) || []).forEach(route => {
+      const next = cityKey(route.to);
+      if (!visited.has(next)) {
+        extend([...path, route], new Set([...visited, next]));
+      }
+    });
+  };
+
+  extend([], new Set([origin]));
+  return paths;
+};
+
+// A departure that can be sold for this search, with its arrival and fare
+const toLeg = (route, departure, { seats, now }) => {
+  const arrivalAt = getArrivalAt(departure);
+  if (
+    !arrivalAt ||
+    departure.departureAt <= now ||
+    departure.availableSeats < seats ||
+    getBookingRestriction(route, departure.departureAt, now)
+  ) {
+    return null;
+  }
+  return { route, departure, arrivalAt, fare: calculateFare(route, departure, now) };
+};
+
+/**
+ * Journeys along one chain of routes. Every departure of the first route on
+ * the travel date starts a journey, which then takes the earliest departure
+ * of each following route that leaves after the minimum connection time and
+ * within the longest layover.
+ */
+const buildPathJourneys = (path, departuresByRoute, { dayStart, seats, now }) => {
+  const dayEnd = new Date(dayStart.getTime() + DAY_MS);
+  const journeys = [];
+
+  (departuresByRoute.get(path[0]._id.toString()) || [])
+    .filter(departure => departure.departureAt < dayEnd)
+    .forEach(departure => {
+      const firstLeg = toLeg(path[0], departure, { seats, now });
+      if (!firstLeg) {
+        return;
+      }
+
+      const legs = [firstLeg];
+      for (const route of path.slice(1)) {
+        const previous = legs[legs.length - 1];
+        const minimumMinutes = getMinConnectionMinutes(previous.route, route);
+        const earliest = new Date(previous.arrivalAt.getTime() + minimumMinutes * MINUTE_MS);
+        const latest = new Date(previous.arrivalAt.getTime() + journeyConfig.maxLayoverMinutes * MINUTE_MS);
+
+        let next = null;
+        for (const candidate of departuresByRoute.get(route._id.toString()) || []) {
+          if (candidate.departureAt > latest) break;
+          if (candidate.departureAt < earliest) continue;
+          next = toLeg(route, candidate, { seats, now });
+          if (next) break;
+        }
+
+        if (!next) {
+          return;
+        }
+        legs.push({ ...next, minimumMinutes });
+      }
+
+      journeys.push(legs);
+    });
+
+  return journeys;
+};
+
+const formatJourney = (legs, seats) => {
+  const first = legs[0];
+  const last = legs[legs.length - 1];
+  const farePerPassenger = legs.reduce((sum, leg) => sum + leg.fare.fare, 0);
+
+  return {
+    transfers: legs.length - 1,
+    departureAt: first.departure.departureAt,
+    arrivalAt: last.arrivalAt,
+    durationMinutes: minutesBetween(first.departure.departureAt, last.arrivalAt),
+    farePerPassenger,
+    totalFare: farePerPassenger * seats,
+    currency: first.fare.currency,
+    transportTypes: [...new Set(legs.map(leg => leg.route.type))],
+    connections: legs.slice(1).map((leg, index) => ({
+      city: leg.route.from.city,
+      arrivalAt: legs[index].arrivalAt,
+      departureAt: leg.departure.departureAt,
+      waitMinutes: minutesBetween(legs[index].arrivalAt, leg.departure.departureAt),
+      minimumMinutes: leg.minimumMinutes
+    })),
+    // routeId and departureId are what POST /api/bookings/trips takes for each leg
+    legs: legs.map(({ route, departure, arrivalAt, fare }) => ({
+      routeId: route._id,
+      departureId: departure._id,
+      type: route.type,
+      class: route.class,
+      operator: route.operator?.name,
+      from: route.from.city,
+      to: route.to.city,
+      departureAt: departure.departureAt,
+      arrivalAt,
+      availableSeats: departure.availableSeats,
+      fare
+    }))
+  };
+};
+
+const JOURNEY_SORTS = {
+  duration: (a, b) => a.durationMinutes - b.durationMinutes || a.totalFare - b.totalFare,
+  price: (a, b) => a.totalFare - b.totalFare || a.durationMinutes - b.durationMinutes
+};
+
+/**
+ * Find journeys from one city to another on a travel date, direct or with up
+ * to two transfers across any transport type, ranked by total duration
+ * (or price) with the other as tie-break.
+ */
+const planJourneys = async ({
+  from,
+  to,
+  date,
+  seats = 1,
+  maxTransfers = MAX_TRANSFERS,
+  types = [],
+  sortBy = 'duration',
+  limit = 10,
+  now = new Date()
+}) => {
+  const origin = cityKey({ city: from });
+  const destination = cityKey({ city: to });
+  const dayStart = startOfDay(date);
+
+  const routeQuery = { 'availability.isActive': true, verificationStatus: 'approved' };
+  if (types.length > 0) {
+    routeQuery.type = { $in: types };
+  }
+  const routes = await Route.find(routeQuery)
+    .select('operator from to type class schedule pricing capacity availability availableQuantity vendor');
+
+  const paths = findRoutePaths(routes, origin, destination, Math.min(maxTransfers, MAX_TRANSFERS));
+  if (paths.length === 0) {
+    return [];
+  }
+
+  // Later legs may leave the next day, and overnight legs the day after
+  const pathRoutes = [...new Map(paths.flat().map(route => [route._id.toString(), route])).values()];
+  const departures = await Departure.find({
+    route: { $in: pathRoutes.map(route => route._id) },
+    status: 'scheduled',
+    departureAt: { $gte: dayStart, $lt: new Date(dayStart.getTime() + 3 * DAY_MS) }
+  })
+    .select('-seatAssignments')
+    .sort({ departureAt: 1 });
+
+  const departuresByRoute = new Map();
+  departures.forEach(departure => {
+    const key = departure.route.toString();
+    departuresByRoute.set(key, [...(departuresByRoute.get(key) || []), departure]);
+  });
+
+  // Several first legs can feed the same onward connection; keep the best of them
+  const bestByConnection = new Map();
+  const compare = JOURNEY_SORTS[sortBy] || JOURNEY_SORTS.duration;
+
+  paths.forEach(path => {
+    buildPathJourneys(path, departuresByRoute, { dayStart, seats, now }).forEach(legs => {
+      const journey = formatJourney(legs, seats);
+      const key = legs.length > 1
+        ? legs.slice(1).map(leg => leg.departure._id.toString()).join('>')
+        : legs[0].departure._id.toString();
+      const current = bestByConnection.get(key);
+      if (!current || compare(journey, current) < 0) {
+        bestByConnection.set(key, journey);
+      }
+    });
+  });
+
+  return [...bestByConnection.values()].sort(compare).slice(0, limit);
+};
+
+module.exports = {
+  MAX_TRANSFERS,
+  getArrivalAt,
+  planJourneys
+};
@@ -0,0 +1,192 @@
+const PDFDocument = require('pdfkit');
+const { listSeatNumbers } = require('./seats');
+
+const MANIFEST_FORMATS = ['json', 'csv', 'pdf'];
+
+const CSV_COLUMNS = [
+  ['seatNumber', 'Seat'],
+  ['name', 'Passenger'],
+  ['passengerType', 'Type'],
+  ['gender', 'Gender'],
+  ['age', 'Age'],
+  ['idType', 'ID type'],
+  ['idNumber', 'ID number'],
+  ['ticketNumber', 'Ticket'],
+  ['bookingReference', 'Booking'],
+  ['contactPhone', 'Contact phone'],
+  ['boarded', 'Boarded']
+];
+
+const formatDateTime = (date) => new Date(date).toLocaleString('en-GB', {
+  weekday: 'short',
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// Seats in layout order; seats outside the layout follow in natural order
+const compareSeats = (order) => (a, b) => {
+  const left = order.has(a) ? order.get(a) : Infinity;
+  const right = order.has(b) ? order.get(b) : Infinity;
+  if (left !== right) {
+    return left - right;
+  }
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+};
+
+/**
+ * Build the passenger manifest of a departure from its bookings, ordered by
+ * seat. Lap infants are listed right after the seated passengers of their
+ * booking.
+ */
+const buildManifest = ({ route, departure, bookings }) => {
+  const order = new Map(listSeatNumbers(route, departure).map((seat, index) => [seat, index]));
+  const bySeat = compareSeats(order);
+
+  const groups = bookings.map(booking => {
+    const passengers = booking.passengers.map(passenger => ({
+      seatNumber: passenger.seatNumber || null,
+      name: passenger.name,
+      passengerType: passenger.passengerType,
+      gender: passenger.gender,
+      age: passenger.age,
+      idType: passenger.idType || null,
+      idNumber: passenger.idNumber || null,
+      ticketNumber: passenger.ticketNumber,
+      bookingReference: booking.bookingReference,
+      contactPhone: booking.contactInfo?.phone || booking.user?.phone || null,
+      boarded: Boolean(passenger.boardedAt),
+      boardedAt: passenger.boardedAt || null
+    }));
+
+    const seated = passengers.filter(p => p.seatNumber).sort((a, b) => bySeat(a.seatNumber, b.seatNumber));
+    const lap = passengers.filter(p => !p.seatNumber);
+    return { firstSeat: seated[0]?.seatNumber, passengers: [...seated, ...lap] };
+  });
+
+  groups.sort((a, b) => bySeat(a.firstSeat, b.firstSeat));
+  const passengers = groups.flatMap(group => group.passengers);
+
+  return {
+    departure: {
+      _id: departure._id,
+      departureAt: departure.departureAt,
+      departureTime: departure.departureTime,
+      arrivalTime: departure.arrivalTime,
+      capacity: departure.capacity,
+      status: departure.status
+    },
+    route: {
+      _id: route._id,
+      operator: route.operator?.name,
+      from: route.from?.city,
+      to: route.to?.city,
+      type: route.type,
+      class: route.class
+    },
+    summary: {
+      bookings: bookings.length,
+      passengers: passengers.length,
+      seated: passengers.filter(p => p.seatNumber).length,
+      infants: passengers.filter(p => !p.seatNumber).length,
+      boarded: passengers.filter(p => p.boarded).length
+    },
+    passengers,
+    generatedAt: new Date()
+  };
+};
+
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const manifestToCsv = (manifest) => {
+  const lines = [CSV_COLUMNS.map(([, label]) => label).join(',')];
+  manifest.passengers.forEach(passenger => {
+    lines.push(CSV_COLUMNS.map(([key]) => {
+      if (key === 'boarded') {
+        return passenger.boarded ? 'yes' : 'no';
+      }
+      if (key === 'seatNumber' && !passenger.seatNumber) {
+        return 'lap';
+      }
+      return escapeCsv(passenger[key]);
+    }).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+const PDF_COLUMNS = [
+  ['seatNumber', 'Seat', 40],
+  ['name', 'Passenger', 150],
+  ['passengerType', 'Type', 50],
+  ['gender', 'Sex', 45],
+  ['age', 'Age', 30],
+  ['idNumber', 'ID number', 100],
+  ['ticketNumber', 'Ticket', 110],
+  ['contactPhone', 'Phone', 90],
+  ['boarded', 'Boarded', 45]
+];
+
+const drawRow = (doc, values, y, { bold = false } = {}) => {
+  let x = doc.page.margins.left;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+  PDF_COLUMNS.forEach(([, , width], index) => {
+    doc.text(values[index] ?? '', x, y, { width: width - 4, height: 12, ellipsis: true });
+    x += width;
+  });
+};
+
+// Printable A4 landscape manifest, resolves to a PDF buffer
+const renderManifestPdf = (manifest) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 36 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const { route, departure, summary } = manifest;
+    doc.info.Title = `Passenger manifest ${route.from} - ${route.to} ${formatDateTime(departure.departureAt)}`;
+
+    const header = () => {
+      doc.font('Helvetica-Bold').fontSize(16)
+        .text(`Passenger manifest: ${route.from} to ${route.to}`, doc.page.margins.left, 36);
+      doc.font('Helvetica').fontSize(10)
+        .text(`${route.operator || ''} / ${route.type} / ${route.class}    Departs ${formatDateTime(departure.departureAt)}`)
+        .text(`${summary.passengers} passengers (${summary.seated} seated, ${summary.infants} lap infants) on ${summary.bookings} bookings    Printed ${formatDateTime(manifest.generatedAt)}`);
+      drawRow(doc, PDF_COLUMNS.map(([, label]) => label), 100, { bold: true });
+      doc.moveTo(doc.page.margins.left, 113).lineTo(doc.page.width - doc.page.margins.right, 113).stroke();
+      return 118;
+    };
+
+    let y = header();
+    manifest.passengers.forEach(passenger => {
+      if (y > doc.page.height - doc.page.margins.bottom - 14) {
+        doc.addPage();
+        y = header();
+      }
+      drawRow(doc, PDF_COLUMNS.map(([key]) => {
+        if (key === 'boarded') return passenger.boarded ? 'yes' : '';
+        if (key === 'seatNumber') return passenger.seatNumber || 'lap';
+        return passenger[key] === null || passenger[key] === undefined ? '' : String(passenger[key]);
+      }), y);
+      y += 14;
+    });
+
+    doc.end();
+  });
+};
+
+module.exports = {
+  MANIFEST_FORMATS,
+  buildManifest,
+  manifestToCsv,
+  renderManifestPdf
+};
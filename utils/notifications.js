@@ -0,0 +1,189 @@
+const Booking = require('../models/Booking');
+const logger = require('./logger');
+const sendEmail = require('./sendEmail');
+const sendSms = require('./sendSms');
+const { logSmsAttempt } = sendSms;
+const { TEMPLATE_NAMES: EMAIL_EVENTS, renderEmail } = require('../templates/email');
+const { SMS_EVENTS, renderSms } = require('../templates/sms');
+const { createNotification, notifyUser } = require('./inbox');
+
+// Booking events customers are told about, with the Booking.notifications flag each one sets
+const BOOKING_EVENTS = {
+  booking_created: null,
+  booking_accepted: 'bookingConfirmed',
+  booking_rejected: null,
+  booking_paid: null,
+  booking_cancelled: 'cancellationNotice',
+  booking_refunded: 'cancellationNotice',
+  departure_reminder: null
+};
+
+// Booking events the vendor is told about in their inbox
+const VENDOR_EVENTS = {
+  booking_created: 'vendor_booking_request',
+  booking_paid: 'vendor_payment_received',
+  booking_cancelled: 'vendor_booking_cancelled'
+};
+
+const getLanguage = (user) => user?.preferences?.language || 'en';
+
+const wantsEmail = (user) => user?.preferences?.notifications?.email !== false;
+
+// SMS is opt-in (preferences.notifications.sms defaults to false)
+const wantsSms = (user) => user?.preferences?.notifications?.sms === true;
+
+const getBookingUrl = (booking) => {
+  return process.env.CLIENT_URL ? `${process.env.CLIENT_URL}/bookings/${booking._id}` : null;
+};
+
+// What the booking templates show about a booking
+const getBookingTemplateData = (booking, extra = {}) => {
+  const route = booking.route || {};
+  const seats = booking.passengers.map(p => p.seatNumber).filter(Boolean);
+
+  return {
+    name: booking.user?.name || booking.passengers[0]?.name,
+    bookingReference: booking.bookingReference,
+    operator: route.operator?.name || booking.vendor?.businessName || booking.vendor?.name,
+    from: route.from?.city,
+    to: route.to?.city,
+    departureDate: booking.departureDate,
+    passengerCount: booking.passengers.length,
+    seats: seats.join(', '),
+    totalAmount: booking.totalAmount,
+    refundAmount: booking.refundAmount,
+    paid: booking.paymentStatus === 'paid',
+    bookingUrl: getBookingUrl(booking),
+    ...extra
+  };
+};
+
+/**
+ * Render a template in the recipient's language and email it. Rejects if the
+ * email could not be sent; callers that must not fail use notifyBookingEvent.
+ */
+const sendTemplateEmail = async ({ to, template, language, data }) => {
+  const { subject, text, html } = renderEmail(template, language, data);
+  return sendEmail({ to, subject, text, html });
+};
+
+const sendBookingEmail = async (event, booking, data) => {
+  const { user } = booking;
+  if (!EMAIL_EVENTS.includes(event) || !wantsEmail(user)) {
+    return false;
+  }
+
+  const to = booking.contactInfo?.email || user?.email;
+  if (!to) {
+    return false;
+  }
+
+  try {
+    await sendTemplateEmail({ to, template: event, language: getLanguage(user), data });
+    logger.info(`Sent ${event} email for booking ${booking.bookingReference}`);
+    return true;
+  } catch (error) {
+    logger.error(`Could not send ${event} email for booking ${booking.bookingReference}: ${error.message}`);
+    return false;
+  }
+};
+
+// Text messages only go to the account's own phone once it has been verified
+const sendBookingSms = async (event, booking, data) => {
+  const { user } = booking;
+  if (!SMS_EVENTS.includes(event) || !wantsSms(user)) {
+    return false;
+  }
+
+  if (!user.phone || !user.phoneVerified) {
+    await logSmsAttempt({
+      user: user._id,
+      booking: booking._id,
+      event,
+      to: user.phone,
+      status: 'skipped',
+      error: user.phone ? 'Phone number is not verified' : 'No phone number on the account'
+    });
+    return false;
+  }
+
+  try {
+    await sendSms({
+      to: user.phone,
+      message: renderSms(event, getLanguage(user), data),
+      user: user._id,
+      booking: booking._id,
+      event
+    });
+    logger.info(`Sent ${event} SMS for booking ${booking.bookingReference}`);
+    return true;
+  } catch (error) {
+    logger.error(`Could not send ${event} SMS for booking ${booking.bookingReference}: ${error.message}`);
+    return false;
+  }
+};
+
+// Every booking event goes into the customer's inbox, and some into the vendor's
+const addBookingNotifications = async (event, booking, data) => {
+  const links = { bookingId: booking._id, bookingReference: booking.bookingReference };
+
+  try {
+    await createNotification({
+      userId: booking.user._id,
+      type: event,
+      language: getLanguage(booking.user),
+      templateData: data,
+      data: links
+    });
+  } catch (error) {
+    logger.error(`Could not add ${event} notification for booking ${booking.bookingReference}: ${error.message}`);
+  }
+
+  if (VENDOR_EVENTS[event] && booking.vendor) {
+    await notifyUser(booking.vendor._id, VENDOR_EVENTS[event], data, links);
+  }
+};
+
+/**
+ * Tell the customer about a booking event in the app, by email and by text
+ * message, as far as their preferences allow and a template exists for the
+ * channel. Never throws: a notification that cannot be delivered is logged
+ * and the booking flow carries on. `extra` adds or overrides template data.
+ */
+const notifyBookingEvent = async (event, bookingId, extra = {}) => {
+  try {
+    if (!(event in BOOKING_EVENTS)) {
+      throw new Error(`Unknown booking event "${event}"`);
+    }
+
+    const booking = await Booking.findById(bookingId._id || bookingId)
+      .populate('user', 'name email phone phoneVerified preferences')
+      .populate('vendor', 'name businessName')
+      .populate('route', 'operator.name from.city to.city type');
+    if (!booking || !booking.user) {
+      return;
+    }
+
+    const data = getBookingTemplateData(booking, extra);
+    const [emailed, texted] = await Promise.all([
+      sendBookingEmail(event, booking, data),
+      sendBookingSms(event, booking, data),
+      addBookingNotifications(event, booking, data)
+    ]);
+
+    const flag = BOOKING_EVENTS[event];
+    if (flag && (emailed || texted)) {
+      await Booking.updateOne({ _id: booking._id }, { [`notifications.${flag}`]: true });
+    }
+  } catch (error) {
+    logger.error(`Could not notify ${event} for booking ${bookingId._id || bookingId}: ${error.message}`);
+  }
+};
+
+module.exports = {
+  BOOKING_EVENTS,
+  getLanguage,
+  getBookingTemplateData,
+  sendTemplateEmail,
+  notifyBookingEvent
+};
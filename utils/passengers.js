@@ -0,0 +1,176 @@
+const PASSENGER_TYPES = ['adult', 'child', 'infant'];
+const GENDERS = ['male', 'female', 'other'];
+const ID_TYPES = ['nid', 'passport', 'birth_certificate'];
+
+// Age limits for each passenger type (in years, upper bound exclusive)
+const INFANT_MAX_AGE = 2;
+const CHILD_MAX_AGE = 12;
+
+// Share of the adult fare charged per passenger type, by transport type.
+// Routes can override these through pricing.passengerFares.
+const DEFAULT_FARE_MULTIPLIERS = {
+  bus: { adult: 1, child: 0.75, infant: 0 },
+  train: { adult: 1, child: 0.5, infant: 0 },
+  launch: { adult: 1, child: 0.5, infant: 0 },
+  ferry: { adult: 1, child: 0.5, infant: 0 },
+  flight: { adult: 1, child: 0.75, infant: 0.1 }
+};
+
+const ID_PATTERNS = {
+  nid: /^(\d{10}|\d{13}|\d{17})$/,
+  passport: /^[A-Z0-9]{6,9}$/,
+  birth_certificate: /^\d{17}$/
+};
+
+const getPassengerTypeForAge = (age) => {
+  if (age < INFANT_MAX_AGE) return 'infant';
+  if (age < CHILD_MAX_AGE) return 'child';
+  return 'adult';
+};
+
+// International routes cross the Bangladesh border at either end
+const isInternationalRoute = (route) => {
+  const home = 'bangladesh';
+  const from = (route.from?.country || 'Bangladesh').toLowerCase();
+  const to = (route.to?.country || 'Bangladesh').toLowerCase();
+  return from !== home || to !== home;
+};
+
+// Which ID documents a passenger must carry on this route, or null if none
+const getRequiredIdTypes = (route, passengerType) => {
+  if (route.type === 'flight') {
+    if (isInternationalRoute(route)) {
+      return ['passport'];
+    }
+    return passengerType === 'adult' ? ['nid', 'passport'] : null;
+  }
+
+  // Bangladesh Railway tickets are issued against the adult's NID
+  if (route.type === 'train' && passengerType === 'adult') {
+    return ['nid', 'passport'];
+  }
+
+  return null;
+};
+
+const getFareMultiplier = (route, passengerType) => {
+  const defaults = DEFAULT_FARE_MULTIPLIERS[route.type] || DEFAULT_FARE_MULTIPLIERS.bus;
+  const override = route.pricing?.passengerFares?.[passengerType];
+  return typeof override === 'number' ? override : defaults[passengerType];
+};
+
+/**
+ * Validate and normalize the passenger manifest of a booking for a route.
+ * Returns the cleaned passengers and a list of { index, field, message } errors.
+ */
+const normalizePassengers = (input, route) => {
+  const errors = [];
+  const passengers = [];
+
+  if (!Array.isArray(input) || input.length === 0) {
+    errors.push({ index: null, field: 'passengers', message: 'Passenger details are required' });
+    return { passengers, errors };
+  }
+
+  input.forEach((raw, index) => {
+    const addError = (field, message) => errors.push({ index, field, message });
+    const passenger = {};
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      addError('passenger', 'Passenger details must be an object');
+      return;
+    }
+
+    const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+    if (name.length < 2) {
+      addError('name', 'Name must be at least 2 characters');
+    }
+    passenger.name = name;
+
+    const age = Number(raw.age);
+    if (raw.age === undefined || raw.age === null || raw.age === '' || !Number.isFinite(age) || age < 0 || age > 120) {
+      addError('age', 'Age must be a number between 0 and 120');
+    }
+    passenger.age = age;
+
+    const gender = typeof raw.gender === 'string' ? raw.gender.toLowerCase() : '';
+    if (!GENDERS.includes(gender)) {
+      addError('gender', `Gender must be one of: ${GENDERS.join(', ')}`);
+    }
+    passenger.gender = gender;
+
+    // Passenger type follows from age; an explicit type must agree with it
+    const expectedType = Number.isFinite(age) ? getPassengerTypeForAge(age) : 'adult';
+    const passengerType = raw.passengerType ? String(raw.passengerType).toLowerCase() : expectedType;
+    if (!PASSENGER_TYPES.includes(passengerType)) {
+      addError('passengerType', `Passenger type must be one of: ${PASSENGER_TYPES.join(', ')}`);
+    } else if (Number.isFinite(age) && passengerType !== expectedType) {
+      addError('passengerType', `A passenger aged ${age} travels as ${expectedType}`);
+    }
+    passenger.passengerType = passengerType;
+
+    if (raw.idType || raw.idNumber) {
+      const idType = raw.idType ? String(raw.idType).toLowerCase() : '';
+      const idNumber = raw.idNumber ? String(raw.idNumber).replace(/\s+/g, '').toUpperCase() : '';
+
+      if (!ID_TYPES.includes(idType)) {
+        addError('idType', `ID type must be one of: ${ID_TYPES.join(', ')}`);
+      } else if (!ID_PATTERNS[idType].test(idNumber)) {
+        addError('idNumber', `Invalid ${idType.replace('_', ' ')} number`);
+      }
+
+      passenger.idType = idType;
+      passenger.idNumber = idNumber;
+    }
+
+    const requiredIdTypes = getRequiredIdTypes(route, passengerType);
+    if (requiredIdTypes && !requiredIdTypes.includes(passenger.idType)) {
+      addError('idNumber', `A ${requiredIdTypes.join(' or ')} number is required for ${passengerType} passengers on this ${route.type}`);
+    }
+
+    if (raw.nationality) {
+      passenger.nationality = String(raw.nationality).trim();
+    }
+
+    if (raw.seatNumber && passengerType !== 'infant') {
+      passenger.seatNumber = String(raw.seatNumber).trim().toUpperCase();
+    }
+
+    passengers.push(passenger);
+  });
+
+  // Children and infants must travel with an adult, infants on an adult's lap
+  const adults = passengers.filter(p => p.passengerType === 'adult').length;
+  const infants = passengers.filter(p => p.passengerType === 'infant').length;
+
+  if (adults === 0) {
+    errors.push({ index: null, field: 'passengers', message: 'At least one adult passenger is required' });
+  } else if (infants > adults) {
+    errors.push({ index: null, field: 'passengers', message: 'Each infant must travel with a separate adult' });
+  }
+
+  return { passengers, errors };
+};
+
+// Price every passenger from the adult fare and return the booking total
+const priceManifest = (passengers, route, adultFare) => {
+  let total = 0;
+
+  passengers.forEach(passenger => {
+    passenger.fare = Math.round(adultFare * getFareMultiplier(route, passenger.passengerType) * 100) / 100;
+    total += passenger.fare;
+  });
+
+  return Math.round(total * 100) / 100;
+};
+
+module.exports = {
+  PASSENGER_TYPES,
+  ID_TYPES,
+  getPassengerTypeForAge,
+  isInternationalRoute,
+  getRequiredIdTypes,
+  getFareMultiplier,
+  normalizePassengers,
+  priceManifest
+};
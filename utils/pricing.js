@@ -0,0 +1,150 @@
+const chargeRates = require('../config/charges');
+const { DAY_NAMES } = require('./departures');
+
+const roundFare = (amount) => Math.round(amount * 100) / 100;
+
+// Share of a departure's seats that are sold or held
+const getOccupancy = (departure) => {
+  if (!departure || !departure.capacity) {
+    return 0;
+  }
+  return Math.min(1, ((departure.soldCount || 0) + (departure.heldCount || 0)) / departure.capacity);
+};
+
+// Surge rises linearly from 1 at the threshold to surgeMultiplier when sold out
+const getSurgeMultiplier = (dynamicPricing, occupancy) => {
+  const maxSurge = dynamicPricing.surgeMultiplier || 1;
+  const threshold = dynamicPricing.surgeThreshold ?? 0.7;
+
+  if (maxSurge <= 1 || occupancy < threshold) {
+    return 1;
+  }
+  if (threshold >= 1) {
+    return maxSurge;
+  }
+  return 1 + (maxSurge - 1) * (occupancy - threshold) / (1 - threshold);
+};
+
+// The dynamic pricing rules that apply to a departure right now
+const getAdjustments = (route, departure, now) => {
+  const dynamicPricing = route.pricing?.dynamicPricing;
+  if (!dynamicPricing?.enabled || !departure) {
+    return [];
+  }
+
+  const adjustments = [];
+  const departureAt = new Date(departure.departureAt);
+
+  const day = DAY_NAMES[departureAt.getDay()];
+  const peakDay = (dynamicPricing.peakDays || []).find(p => p.day === day);
+  if (peakDay && peakDay.multiplier && peakDay.multiplier !== 1) {
+    adjustments.push({
+      type: 'peak_day',
+      description: `Peak day (${day})`,
+      multiplier: peakDay.multiplier
+    });
+  }
+
+  const occupancy = getOccupancy(departure);
+  const surge = getSurgeMultiplier(dynamicPricing, occupancy);
+  if (surge > 1) {
+    adjustments.push({
+      type: 'occupancy_surge',
+      description: `${Math.round(occupancy * 100)}% of seats taken`,
+      multiplier: Math.round(surge * 1000) / 1000
+    });
+  }
+
+  const hoursToDeparture = (departureAt.getTime() - now.getTime()) / (60 * 60 * 1000);
+  const earlyBird = dynamicPricing.earlyBird || {};
+  const lastMinute = dynamicPricing.lastMinute || {};
+
+  if (earlyBird.discount > 0 && hoursToDeparture >= (earlyBird.daysBefore ?? 14) * 24) {
+    adjustments.push({
+      type: 'early_bird',
+      description: `Booked ${earlyBird.daysBefore ?? 14}+ days ahead`,
+      multiplier: 1 - earlyBird.discount
+    });
+  } else if (
+    lastMinute.multiplier && lastMinute.multiplier !== 1 &&
+    hoursToDeparture > 0 && hoursToDeparture <= (lastMinute.hoursBefore ?? 24)
+  ) {
+    adjustments.push({
+      type: 'last_minute',
+      description: `Within ${lastMinute.hoursBefore ?? 24} hours of departure`,
+      multiplier: lastMinute.multiplier
+    });
+  }
+
+  return adjustments;
+};
+
+/**
+ * Work out the adult fare of a departure from the route's base fare and its
+ * dynamic pricing rules: peak day, occupancy surge, then early-bird or
+ * last-minute. Each adjustment records what it added to (or took off) the
+ * fare so bookings can show how their price was built.
+ */
+const calculateFare = (route, departure, now = new Date()) => {
+  const baseFare = route.pricing?.baseFare || 0;
+  const adjustments = getAdjustments(route, departure, now);
+
+  let fare = baseFare;
+  adjustments.forEach(adjustment => {
+    const before = fare;
+    fare = roundFare(fare * adjustment.multiplier);
+    adjustment.amount = roundFare(fare - before);
+  });
+
+  return {
+    baseFare,
+    fare,
+    currency: route.pricing?.currency || 'BDT',
+    multiplier: baseFare ? Math.round((fare / baseFare) * 1000) / 1000 : 1,
+    adjustments
+  };
+};
+
+/**
+ * Build what the customer pays from the sum of the passenger fares: the
+ * discount comes off first, then VAT and the platform service fee are added
+ * on the discounted fare.
+ */
+const calculateCharges = (subtotal, discount = 0, rates = chargeRates) => {
+  const discountAmount = roundFare(Math.min(Math.max(discount, 0), subtotal));
+  const taxableAmount = roundFare(subtotal - discountAmount);
+  const taxes = roundFare(taxableAmount * rates.vatRate);
+  const fees = roundFare(taxableAmount * rates.platformFeeRate);
+
+  return {
+    subtotal: roundFare(subtotal),
+    discount: discountAmount,
+    taxes,
+    fees,
+    totalAmount: roundFare(taxableAmount + taxes + fees)
+  };
+};
+
+// What the payment gateway keeps from a charge
+const calculateGatewayFee = (amount, rates = chargeRates) => {
+  if (!amount || amount <= 0) {
+    return 0;
+  }
+  return roundFare(amount * rates.gatewayFeeRate + rates.gatewayFeeFixed);
+};
+
+// Copy a booking's charges onto its payment so the vendor payout is net of them
+const applyPaymentCharges = (payment, booking) => {
+  payment.amount = booking.totalAmount;
+  payment.taxes = booking.taxes || 0;
+  payment.fees.platformFee = booking.fees || 0;
+  payment.fees.gatewayFee = calculateGatewayFee(booking.totalAmount);
+};
+
+module.exports = {
+  getOccupancy,
+  calculateFare,
+  calculateCharges,
+  calculateGatewayFee,
+  applyPaymentCharges
+};
@@ -0,0 +1,168 @@
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const logger = require('./logger');
+const { releaseSeats } = require('./departures');
+const { releaseCoupon } = require('./coupons');
+const { offerWaitlistSeats } = require('./waitlist');
+
+// How long a new booking keeps its seats while waiting for payment
+const HOLD_MINUTES = parseInt(process.env.SEAT_HOLD_MINUTES, 10) || 15;
+
+const HOLD_EXPIRED_REASON = 'Seat hold expired before payment was completed';
+
+// Stripe rejects checkout sessions expiring sooner than 30 minutes
+const CHECKOUT_MIN_MINUTES = 31;
+
+// Longest a booking keeps its seats from when the hold started, however often
+// checkout is restarted; always long enough for one full checkout
+const MAX_HOLD_MINUTES = Math.max(
+  parseInt(process.env.SEAT_HOLD_MAX_MINUTES, 10) || 60,
+  HOLD_MINUTES + CHECKOUT_MIN_MINUTES
+);
+
+const getHoldExpiry = (from = new Date(), minutes = HOLD_MINUTES) => {
+  return new Date(new Date(from).getTime() + minutes * 60 * 1000);
+};
+
+// When a booking's hold started; bookings without one start it at their first checkout
+const getHoldStart = (booking, now = new Date()) => {
+  if (booking.holdStartedAt) {
+    return booking.holdStartedAt;
+  }
+  return booking.holdExpiresAt ? booking.createdAt : now;
+};
+
+/**
+ * Seat hold that covers a Stripe checkout for the given bookings: the later of
+ * their current holds and the shortest session Stripe allows. Returns null if
+ * that would keep any of them past MAX_HOLD_MINUTES from the start of its hold.
+ */
+const getCheckoutHoldExpiry = (bookings, now = new Date()) => {
+  const expiresAt = new Date(Math.max(
+    ...bookings.map(booking => (booking.holdExpiresAt ? new Date(booking.holdExpiresAt).getTime() : 0)),
+    getHoldExpiry(now, CHECKOUT_MIN_MINUTES).getTime()
+  ));
+
+  const withinLimit = bookings.every(booking =>
+    expiresAt <= getHoldExpiry(getHoldStart(booking, now), MAX_HOLD_MINUTES)
+  );
+  return withinLimit ? expiresAt : null;
+};
+
+// Payload for the socket events clients use to show a countdown
+const getHoldStatus = (booking) => {
+  const expiresAt = booking.holdExpiresAt ? new Date(booking.holdExpiresAt) : null;
+
+  return {
+    bookingId: booking._id,
+    bookingReference: booking.bookingReference,
+    holdExpiresAt: expiresAt,
+    secondsRemaining: expiresAt ? Math.max(0, Math.floor((expiresAt.getTime() - Date.now()) / 1000)) : null,
+    paymentLock: booking.paymentLock
+  };
+};
+
+const emitHoldStatus = (io, booking) => {
+  if (io && booking.holdExpiresAt) {
+    io.to(`booking-${booking._id}`).emit('seat-hold', getHoldStatus(booking));
+  }
+};
+
+// Bookings still waiting for payment whose hold has run out
+const getExpiredHoldQuery = (now = new Date()) => ({
+  paymentStatus: 'pending',
+  bookingStatus: { $in: ['pending', 'accepted'] },
+  holdExpiresAt: { $lte: now }
+});
+
+/**
+ * Cancel a single booking whose hold has expired and give its seats back.
+ * The booking is claimed atomically so concurrent sweeps cannot release twice.
+ */
+const expireBookingHold = async (bookingId, io) => {
+  const now = new Date();
+
+  const booking = await Booking.findOneAndUpdate(
+    { _id: bookingId, ...getExpiredHoldQuery(now) },
+    {
+      bookingStatus: 'cancelled',
+      status: 'cancelled',
+      paymentLock: false,
+      holdReleasedAt: now,
+      cancelledAt: now,
+      cancellationReason: HOLD_EXPIRED_REASON
+    },
+    { new: true }
+  );
+
+  if (!booking) {
+    return null;
+  }
+
+  if (booking.departure) {
+    await releaseSeats(booking.departure, booking._id);
+    await offerWaitlistSeats(booking.departure, io);
+  }
+  await releaseCoupon(booking);
+
+  await Payment.updateMany(
+    { booking: booking._id, status: 'pending' },
+    { status: 'cancelled' }
+  );
+
+  if (io) {
+    io.to(`booking-${booking._id}`).emit('seat-hold-expired', {
+      bookingId: booking._id,
+      bookingReference: booking.bookingReference,
+      releasedAt: now
+    });
+  }
+
+  logger.info(`Seat hold expired for booking ${booking.bookingReference}`);
+
+  return booking;
+};
+
+// Sweep all abandoned pending bookings and return their seats
+const releaseExpiredHolds = async (io) => {
+  const expired = await Booking.find(getExpiredHoldQuery()).select('_id');
+
+  let released = 0;
+  for (const { _id } of expired) {
+    if (await expireBookingHold(_id, io)) {
+      released++;
+    }
+  }
+
+  return released;
+};
+
+/**
+ * A payment can still complete after its hold was swept (e.g. a slow Stripe
+ * redirect). Bring such a booking back to the state it had before expiry.
+ */
+const reviveExpiredHold = (booking) => {
+  if (!booking.holdReleasedAt || booking.cancellationReason !== HOLD_EXPIRED_REASON) {
+    return false;
+  }
+
+  booking.bookingStatus = booking.vendorResponseAt ? 'accepted' : 'pending';
+  booking.holdReleasedAt = undefined;
+  booking.cancelledAt = undefined;
+  booking.cancellationReason = undefined;
+  return true;
+};
+
+module.exports = {
+  HOLD_MINUTES,
+  HOLD_EXPIRED_REASON,
+  MAX_HOLD_MINUTES,
+  getHoldExpiry,
+  getHoldStart,
+  getCheckoutHoldExpiry,
+  getHoldStatus,
+  emitHoldStatus,
+  expireBookingHold,
+  releaseExpiredHolds,
+  reviveExpiredHold
+};
@@ -0,0 +1,81 @@
+const DEFAULT_SEATS_PER_ROW = 4;
+
+// Row labels run A..Z, then AA, AB, ...
+const getRowLabel = (index) => {
+  let label = '';
+  let n = index;
+  do {
+    label = String.fromCharCode(65 + (n % 26)) + label;
+    n = Math.floor(n / 26) - 1;
+  } while (n >= 0);
+  return label;
+};
+
+/**
+ * Build the seat layout of a route as an array of rows of seat numbers.
+ * Uses capacity.seatConfiguration when set, otherwise spreads totalSeats
+ * (or the departure capacity) over rows of four.
+ */
+const buildSeatLayout = (route, departure) => {
+  const config = route.capacity?.seatConfiguration || {};
+  const seatsPerRow = config.seatsPerRow || DEFAULT_SEATS_PER_ROW;
+  const totalSeats = config.rows && config.seatsPerRow
+    ? config.rows * config.seatsPerRow
+    : (route.capacity?.totalSeats || departure?.capacity || 0);
+
+  const layout = [];
+  for (let row = 0; row * seatsPerRow < totalSeats; row++) {
+    const seats = [];
+    for (let col = 0; col < seatsPerRow && row * seatsPerRow + col < totalSeats; col++) {
+      seats.push(`${getRowLabel(row)}${col + 1}`);
+    }
+    layout.push(seats);
+  }
+  return layout;
+};
+
+const listSeatNumbers = (route, departure) => {
+  return buildSeatLayout(route, departure).flat();
+};
+
+// Seats of a departure not yet held or sold, in layout order
+const getFreeSeats = (route, departure) => {
+  const taken = new Set((departure.seatAssignments || []).map(a => a.seatNumber));
+  return listSeatNumbers(route, departure).filter(seat => !taken.has(seat));
+};
+
+// Seat map of a departure with each seat marked free, held or sold
+const buildSeatMap = (route, departure) => {
+  const statuses = new Map(
+    (departure.seatAssignments || []).map(a => [a.seatNumber, a.status])
+  );
+
+  const summary = { total: 0, free: 0, held: 0, sold: 0 };
+  const rows = buildSeatLayout(route, departure).map((seats, index) => ({
+    row: getRowLabel(index),
+    seats: seats.map(seatNumber => {
+      const status = statuses.get(seatNumber) || 'free';
+      summary.total++;
+      summary[status]++;
+      return { seatNumber, status };
+    })
+  }));
+
+  return {
+    departure: departure._id,
+    route: route._id,
+    departureAt: departure.departureAt,
+    capacity: departure.capacity,
+    availableSeats: departure.availableSeats,
+    summary,
+    rows
+  };
+};
+
+module.exports = {
+  getRowLabel,
+  buildSeatLayout,
+  listSeatNumbers,
+  getFreeSeats,
+  buildSeatMap
+};
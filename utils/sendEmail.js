@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const logger = require('./logger');
+
+// Writes each message as an .eml file instead of sending it, for local runs and tests
+const createFileTransport = (directory) => ({
+  name: 'file',
+  version: '1.0.0',
+  send(mail, callback) {
+    mail.message.build((error, message) => {
+      if (error) {
+        return callback(error);
+      }
+
+      const messageId = mail.message.messageId();
+      const file = path.join(directory, `${Date.now()}-${messageId.replace(/[<>@]/g, '')}.eml`);
+      fs.mkdir(directory, { recursive: true }, (mkdirError) => {
+        if (mkdirError) {
+          return callback(mkdirError);
+        }
+        fs.writeFile(file, message, (writeError) => {
+          if (writeError) {
+            return callback(writeError);
+          }
+          callback(null, { envelope: mail.message.getEnvelope(), messageId, path: file });
+        });
+      });
+    });
+  }
+});
+
+/**
+ * Build the mail transport from EMAIL_TRANSPORT: "smtp" (SMTP_HOST, SMTP_PORT,
+ * SMTP_USER, SMTP_PASS), "file" (EMAIL_FILE_DIR) or "json", which only logs.
+ * Defaults to SMTP when SMTP_HOST is set and to JSON otherwise.
+ */
+const createTransport = () => {
+  const type = (process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'json')).toLowerCase();
+
+  switch (type) {
+    case 'smtp': {
+      const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port,
+        secure: port === 465,
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+    }
+    case 'file':
+      return nodemailer.createTransport(
+        createFileTransport(process.env.EMAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'emails'))
+      );
+    case 'json':
+      return nodemailer.createTransport({ jsonTransport: true });
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT "${type}"`);
+  }
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+// Swap the transport, e.g. for a local SMTP stand-in in tests; null goes back to the configured one
+const setEmailTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * Send an email. `message` (or `text`) is the plain text body; `html` is optional.
+ * Resolves to the transport's send info and rejects if the message is not accepted.
+ */
+const sendEmail = async ({ email, to, subject, message, text, html }) => {
+  const info = await getTransport().sendMail({
+    from: process.env.EMAIL_FROM || 'TicketBari <no-reply@ticketbari.com>',
+    to: to || email,
+    subject,
+    text: text || message,
+    html
+  });
+
+  logger.debug(`Email "${subject}" sent to ${to || email} (${info.messageId})`);
+
+  return info;
+};
+
+module.exports = sendEmail;
+module.exports.setEmailTransport = setEmailTransport;
+module.exports.createFileTransport = createFileTransport;
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const SmsLog = require('../models/SmsLog');
+const logger = require('./logger');
+const { createSmsProvider } = require('./smsProviders');
+
+let provider = null;
+
+const getProvider = () => {
+  if (!provider) {
+    provider = createSmsProvider();
+  }
+  return provider;
+};
+
+// Swap the provider, e.g. for a mock in tests; null goes back to the configured one
+const setSmsProvider = (customProvider) => {
+  provider = customProvider;
+};
+
+// Bring a Bangladeshi mobile number to 8801XXXXXXXXX form; null if it is not one
+const normalizeBdPhone = (phone) => {
+  let digits = String(phone || '').replace(/\D/g, '');
+  if (digits.startsWith('00')) {
+    digits = digits.slice(2);
+  }
+  if (/^01[3-9]\d{8}$/.test(digits)) {
+    digits = `88${digits}`;
+  }
+  return /^8801[3-9]\d{8}$/.test(digits) ? digits : null;
+};
+
+// Record an attempt; a logging failure must not hide the outcome of the send
+const logAttempt = async (entry) => {
+  try {
+    await SmsLog.create(entry);
+  } catch (error) {
+    logger.warn(`Could not log SMS attempt: ${error.message}`);
+  }
+};
+
+/**
+ * Send a text message through the configured provider and log the attempt.
+ * `user`, `booking` and `event` only go into the log. Rejects if the number is
+ * not a Bangladeshi mobile number or the gateway does not accept the message.
+ */
+const sendSms = async ({ to, message, user, booking, event }) => {
+  const smsProvider = getProvider();
+  const entry = {
+    user,
+    booking,
+    event,
+    to,
+    message,
+    provider: smsProvider.name
+  };
+
+  const number = normalizeBdPhone(to);
+  if (!number) {
+    await logAttempt({ ...entry, status: 'failed', error: 'Not a Bangladeshi mobile number' });
+    throw new Error(`Cannot send SMS to ${to}: not a Bangladeshi mobile number`);
+  }
+  entry.to = number;
+
+  try {
+    const result = await smsProvider.send({ to: number, message, reference: crypto.randomUUID() });
+    await logAttempt({ ...entry, status: 'sent', providerMessageId: result.messageId });
+    return result;
+  } catch (error) {
+    await logAttempt({ ...entry, status: 'failed', error: error.message });
+    throw error;
+  }
+};
+
+module.exports = sendSms;
+module.exports.setSmsProvider = setSmsProvider;
+module.exports.normalizeBdPhone = normalizeBdPhone;
+module.exports.logSmsAttempt = logAttempt;
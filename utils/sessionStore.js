@@ -0,0 +1,230 @@
+const { createClient, WatchError } = require('redis');
+const config = require('../config/sessions');
+const logger = require('./logger');
+
+/*
+ * A session store keeps login sessions (see utils/sessions.js) by ID, each
+ * tied to a user, until its `expiresAt` (milliseconds) passes:
+ *
+ *   create(session)                        save a new session
+ *   get(id)                                the session, or null
+ *   rotate(id, expectedTokenHash, changes) apply changes only if the session's
+ *                                          tokenHash is still the expected one;
+ *                                          the updated session or null
+ *   remove(id)                             true if it existed
+ *   listForUser(userId)                    the user's sessions
+ *   removeForUser(userId, exceptId)        remove them all (but one); the count
+ *
+ * Timestamps are kept as numbers so sessions survive a trip through JSON.
+ */
+
+const isLive = (session) => session && session.expiresAt > Date.now();
+
+// How often the memory store drops expired sessions nobody looked up again
+const MEMORY_SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Keeps sessions in this process; they are lost on restart. Fine for tests and a single instance.
+const createMemoryStore = () => {
+  const sessions = new Map();
+  let lastSweepAt = Date.now();
+
+  // Run on create, so a long-lived process does not keep every session it ever started
+  const sweep = () => {
+    if (Date.now() - lastSweepAt < MEMORY_SWEEP_INTERVAL_MS) {
+      return;
+    }
+    lastSweepAt = Date.now();
+    sessions.forEach((session, id) => {
+      if (!isLive(session)) {
+        sessions.delete(id);
+      }
+    });
+  };
+
+  const get = (id) => {
+    const session = sessions.get(id);
+    if (!isLive(session)) {
+      sessions.delete(id);
+      return null;
+    }
+    return session;
+  };
+
+  const listForUser = (userId) => [...sessions.keys()]
+    .map(get)
+    .filter(session => session && session.user === String(userId));
+
+  return {
+    name: 'memory',
+    sessions,
+    async create(session) {
+      sweep();
+      sessions.set(session.id, { ...session });
+      return session;
+    },
+    async get(id) {
+      const session = get(id);
+      return session ? { ...session } : null;
+    },
+    async rotate(id, expectedTokenHash, changes) {
+      const session = get(id);
+      if (!session || session.tokenHash !== expectedTokenHash) {
+        return null;
+      }
+      Object.assign(session, changes);
+      return { ...session };
+    },
+    async remove(id) {
+      return sessions.delete(id);
+    },
+    async listForUser(userId) {
+      return listForUser(userId).map(session => ({ ...session }));
+    },
+    async removeForUser(userId, exceptId) {
+      const removed = listForUser(userId).filter(session => session.id !== exceptId);
+      removed.forEach(session => sessions.delete(session.id));
+      return removed.length;
+    }
+  };
+};
+
+// Sessions as JSON under session:<id>, expiring with the session, plus a set of IDs per user
+const createRedisStore = ({ url = config.redisUrl, client } = {}) => {
+  let redis = client;
+  let connecting = null;
+
+  const getClient = async () => {
+    if (!redis) {
+      redis = createClient({ url });
+      redis.on('error', error => logger.error(`Session store Redis error: ${error.message}`));
+    }
+    if (!redis.isOpen) {
+      connecting = connecting || redis.connect().finally(() => {
+        connecting = null;
+      });
+      await connecting;
+    }
+    return redis;
+  };
+
+  const sessionKey = (id) => `session:${id}`;
+  const userKey = (userId) => `user-sessions:${userId}`;
+
+  const parse = (raw) => {
+    const session = raw ? JSON.parse(raw) : null;
+    return isLive(session) ? session : null;
+  };
+
+  const save = (multi, session) => multi
+    .set(sessionKey(session.id), JSON.stringify(session), { PXAT: session.expiresAt })
+    .sAdd(userKey(session.user), session.id)
+    .pExpireAt(userKey(session.user), session.expiresAt);
+
+  const listForUser = async (db, userId) => {
+    const ids = await db.sMembers(userKey(userId));
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const values = await db.mGet(ids.map(sessionKey));
+    const stale = ids.filter((id, index) => !parse(values[index]));
+    if (stale.length > 0) {
+      await db.sRem(userKey(userId), stale);
+    }
+    return values.map(parse).filter(Boolean);
+  };
+
+  return {
+    name: 'redis',
+    async create(session) {
+      const db = await getClient();
+      await save(db.multi(), session).exec();
+      return session;
+    },
+    async get(id) {
+      const db = await getClient();
+      return parse(await db.get(sessionKey(id)));
+    },
+    async rotate(id, expectedTokenHash, changes) {
+      const db = await getClient();
+      try {
+        // WATCH makes the write fail if another request rotated the token in between
+        return await db.executeIsolated(async isolated => {
+          await isolated.watch(sessionKey(id));
+          const session = parse(await isolated.get(sessionKey(id)));
+          if (!session || session.tokenHash !== expectedTokenHash) {
+            await isolated.unwatch();
+            return null;
+          }
+          const updated = { ...session, ...changes };
+          await save(isolated.multi(), updated).exec();
+          return updated;
+        });
+      } catch (error) {
+        if (error instanceof WatchError) {
+          return null;
+        }
+        throw error;
+      }
+    },
+    async remove(id) {
+      const db = await getClient();
+      const session = parse(await db.get(sessionKey(id)));
+      const deleted = await db.del(sessionKey(id));
+      if (session) {
+        await db.sRem(userKey(session.user), id);
+      }
+      return deleted > 0;
+    },
+    async listForUser(userId) {
+      return listForUser(await getClient(), userId);
+    },
+    async removeForUser(userId, exceptId) {
+      const db = await getClient();
+      const ids = (await listForUser(db, userId))
+        .map(session => session.id)
+        .filter(id => id !== exceptId);
+      if (ids.length === 0) {
+        return 0;
+      }
+      await db.multi()
+        .del(ids.map(sessionKey))
+        .sRem(userKey(userId), ids)
+        .exec();
+      return ids.length;
+    }
+  };
+};
+
+const createSessionStore = (type = config.store) => {
+  switch (type) {
+    case 'memory':
+      return createMemoryStore();
+    case 'redis':
+      return createRedisStore();
+    default:
+      throw new Error(`Unknown session store "${type}"`);
+  }
+};
+
+let store = null;
+
+const getSessionStore = () => {
+  if (!store) {
+    store = createSessionStore();
+  }
+  return store;
+};
+
+// Swap the store, e.g. for a fresh memory store in tests; null goes back to the configured one
+const setSessionStore = (customStore) => {
+  store = customStore;
+};
+
+module.exports = {
+  createMemoryStore,
+  createRedisStore,
+  createSessionStore,
+  getSessionStore,
+  setSessionStore
+};
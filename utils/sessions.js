@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const config = require('../config/sessions');
+const logger = require('./logger');
+const { getSessionStore } = require('./sessionStore');
+const { getAccountBlock } = require('./accountStatus');
+
+/*
+ * Every login starts a session for that device. The client gets a short-lived
+ * access token (a JWT carrying the user and session IDs) and a refresh token
+ * ("<sessionId>.<secret>") that buys a new pair once. Only a hash of the
+ * current refresh token is stored, along with the hashes it replaced: a
+ * replaced token coming back means it was copied, so the session is ended
+ * and whoever holds either copy has to log in again.
+ */
+
+const sessionError = (code, message, extra) => ({ error: { code, message, ...extra } });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+
+const getSessionIdFromRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  return sessionId && secret ? sessionId : null;
+};
+
+const getExpiry = () => Date.now() + config.refreshTokenDays * 24 * 60 * 60 * 1000;
+
+// What the session list shows to tell devices apart
+const getDeviceInfo = (req) => ({
+  device: req.body?.deviceName ? String(req.body.deviceName).trim().slice(0, 100) : undefined,
+  userAgent: req.get('user-agent'),
+  ip: req.ip
+});
+
+// Start a session for a user who has just logged in; returns both tokens
+const startSession = async (user, req) => {
+  const now = Date.now();
+  const id = crypto.randomBytes(16).toString('hex');
+  const refreshToken = newRefreshToken(id);
+
+  const session = await getSessionStore().create({
+    id,
+    user: user._id.toString(),
+    tokenHash: hashToken(refreshToken),
+    rotatedTokenHashes: [],
+    ...getDeviceInfo(req),
+    createdAt: now,
+    lastUsedAt: now,
+    expiresAt: getExpiry()
+  });
+
+  return {
+    session,
+    accessToken: user.getSignedJwtToken(session.id),
+    refreshToken
+  };
+};
+
+/**
+ * Swap a refresh token for a new access and refresh token. Returns
+ * { user, session, accessToken, refreshToken } or { error: { code, message } }.
+ * A refresh token that was already swapped ends its session.
+ */
+const refreshSession = async (refreshToken, req) => {
+  const store = getSessionStore();
+  const sessionId = getSessionIdFromRefreshToken(refreshToken);
+  const session = sessionId ? await store.get(sessionId) : null;
+
+  if (!session) {
+    return sessionError('SESSION_EXPIRED', 'Session has expired or was signed out, please log in again');
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = newRefreshToken(session.id);
+  const rotated = session.tokenHash === tokenHash && await store.rotate(session.id, tokenHash, {
+    tokenHash: hashToken(nextToken),
+    rotatedTokenHashes: [tokenHash, ...session.rotatedTokenHashes].slice(0, config.rotatedTokensKept),
+    ...getDeviceInfo(req),
+    device: session.device,
+    lastUsedAt: Date.now(),
+    expiresAt: getExpiry()
+  });
+
+  if (!rotated) {
+    // An old token was replayed, or the current one was used by two requests at once
+    if (session.tokenHash === tokenHash || session.rotatedTokenHashes.includes(tokenHash)) {
+      await store.remove(session.id);
+      logger.warn(`Refresh token reuse detected for user ${session.user}, session ${session.id} revoked (ip ${req.ip})`);
+      return sessionError('REFRESH_TOKEN_REUSED', 'This session was signed out because its refresh token was used twice, please log in again');
+    }
+    return sessionError('INVALID_REFRESH_TOKEN', 'Refresh token is not valid');
+  }
+
+  const user = await User.findById(session.user);
+  if (!user) {
+    await store.remove(session.id);
+    return sessionError('SESSION_EXPIRED', 'Session has expired or was signed out, please log in again');
+  }
+
+  const block = getAccountBlock(user);
+  if (block) {
+    await store.remove(session.id);
+    return sessionError(block.code, block.message, { reason: block.reason });
+  }
+
+  return {
+    user,
+    session: rotated,
+    accessToken: user.getSignedJwtToken(session.id),
+    refreshToken: nextToken
+  };
+};
+
+// The live session an access token belongs to, or null once it has been revoked
+const getActiveSession = async (sessionId, userId) => {
+  const session = sessionId ? await getSessionStore().get(sessionId) : null;
+  return session && session.user === String(userId) ? session : null;
+};
+
+const listSessions = (userId) => getSessionStore().listForUser(userId);
+
+// Revoke one of a user's sessions; false if the user has no such session
+const revokeSession = async (userId, sessionId) => {
+  if (!(await getActiveSession(sessionId, userId))) {
+    return false;
+  }
+  return getSessionStore().remove(sessionId);
+};
+
+// Revoke all of a user's sessions, except `exceptSessionId` if given; returns how many ended
+const revokeUserSessions = (userId, exceptSessionId) => {
+  return getSessionStore().removeForUser(userId, exceptSessionId);
+};
+
+// A session as its owner sees it, without token hashes
+const toSessionView = (session, currentSessionId) => ({
+  id: session.id,
+  device: session.device,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: new Date(session.createdAt),
+  lastUsedAt: new Date(session.lastUsedAt),
+  expiresAt: new Date(session.expiresAt),
+  current: session.id === currentSessionId
+});
+
+module.exports = {
+  startSession,
+  refreshSession,
+  getActiveSession,
+  listSessions,
+  revokeSession,
+  revokeUserSessions,
+  toSessionView
+};
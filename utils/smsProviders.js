@@ -0,0 +1,108 @@
+const axios = require('axios');
+const logger = require('./logger');
+
+/*
+ * An SMS provider is an object with a `name` and an async
+ * `send({ to, message, reference })` that resolves to { messageId, raw } once
+ * the gateway has accepted the message, and throws otherwise. `to` is always
+ * a Bangladeshi mobile number in 8801XXXXXXXXX form.
+ */
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Anything outside GSM-friendly ASCII (e.g. Bangla) has to go out as Unicode
+const isUnicode = (message) => /[^\x20-\x7E\r\n]/.test(message);
+
+// Local stand-in that keeps messages in memory instead of sending them
+const createMockProvider = () => {
+  const sent = [];
+
+  return {
+    name: 'mock',
+    sent,
+    async send({ to, message, reference }) {
+      const messageId = `mock-${sent.length + 1}`;
+      sent.push({ messageId, to, message, reference, sentAt: new Date() });
+      logger.info(`[mock sms] to ${to}: ${message}`);
+      return { messageId, raw: null };
+    }
+  };
+};
+
+// SSL Wireless ISMS (smsplus.sslwireless.com), API v3
+const createSslWirelessProvider = ({
+  apiToken = process.env.SSL_SMS_API_TOKEN,
+  sid = process.env.SSL_SMS_SID,
+  baseUrl = process.env.SSL_SMS_URL || 'https://smsplus.sslwireless.com'
+} = {}) => ({
+  name: 'sslwireless',
+  async send({ to, message, reference }) {
+    const { data } = await axios.post(`${baseUrl}/api/v3/send-sms`, {
+      api_token: apiToken,
+      sid,
+      msisdn: to,
+      sms: message,
+      csms_id: reference
+    }, { timeout: REQUEST_TIMEOUT_MS });
+
+    const info = data?.smsinfo?.[0];
+    if (data?.status !== 'SUCCESS' || (info && info.sms_status !== 'SUCCESS')) {
+      throw new Error(`SSL Wireless rejected the message: ${data?.error_message || info?.sms_status || 'unknown error'}`);
+    }
+    return { messageId: info?.reference_id || reference, raw: data };
+  }
+});
+
+// BulkSMSBD (bulksmsbd.net)
+const createBulkSmsBdProvider = ({
+  apiKey = process.env.BULKSMSBD_API_KEY,
+  senderId = process.env.BULKSMSBD_SENDER_ID,
+  baseUrl = process.env.BULKSMSBD_URL || 'http://bulksmsbd.net'
+} = {}) => ({
+  name: 'bulksmsbd',
+  async send({ to, message, reference }) {
+    const { data } = await axios.post(`${baseUrl}/api/smsapi`, null, {
+      params: {
+        api_key: apiKey,
+        type: isUnicode(message) ? 'unicode' : 'text',
+        number: to,
+        senderid: senderId,
+        message
+      },
+      timeout: REQUEST_TIMEOUT_MS
+    });
+
+    // 202 means the message was accepted for delivery
+    if (Number(data?.response_code) !== 202) {
+      throw new Error(`BulkSMSBD rejected the message: ${data?.error_message || data?.response_code || 'unknown error'}`);
+    }
+    return { messageId: data.message_id || reference, raw: data };
+  }
+});
+
+const PROVIDERS = {
+  mock: createMockProvider,
+  sslwireless: createSslWirelessProvider,
+  bulksmsbd: createBulkSmsBdProvider
+};
+
+// Provider named by SMS_PROVIDER; the mock provider when none is set
+const createSmsProvider = (name = process.env.SMS_PROVIDER || 'mock') => {
+  const factory = PROVIDERS[name.toLowerCase()];
+  if (!factory) {
+    throw new Error(`Unknown SMS_PROVIDER "${name}"`);
+  }
+  if (factory === createMockProvider && process.env.NODE_ENV === 'production') {
+    logger.warn('SMS_PROVIDER is not set, text messages are only logged');
+  }
+  return factory();
+};
+
+module.exports = {
+  PROVIDERS,
+  isUnicode,
+  createMockProvider,
+  createSslWirelessProvider,
+  createBulkSmsBdProvider,
+  createSmsProvider
+};
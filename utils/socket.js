@@ -0,0 +1,30 @@
+// The Socket.IO server, registered once at startup so code outside a request
+// (jobs, webhooks, notifications) can reach connected clients
+let io = null;
+
+const setSocketServer = (server) => {
+  io = server;
+};
+
+const getSocketServer = () => io;
+
+// Emit to everything a user has open; a no-op before the server is set up
+const emitToUser = (userId, event, payload) => {
+  if (io && userId) {
+    io.to(`user-${userId}`).emit(event, payload);
+  }
+};
+
+// Close every socket a user has open, e.g. once their account is suspended
+const disconnectUser = (userId) => {
+  if (io && userId) {
+    io.in(`user-${userId}`).disconnectSockets(true);
+  }
+};
+
+module.exports = {
+  setSocketServer,
+  getSocketServer,
+  emitToUser,
+  disconnectUser
+};
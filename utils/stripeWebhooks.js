@@ -0,0 +1,321 @@
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const stripe = require('../config/stripe');
+const logger = require('./logger');
+const { getBookingDeparture, releaseSeats } = require('./departures');
+const { CANCELLABLE_STATUSES } = require('./cancellations');
+const { confirmBookingPayment, confirmSessionPayments } = require('./bookingPayments');
+const { releaseCoupon } = require('./coupons');
+const { offerWaitlistSeats } = require('./waitlist');
+const { completeBookingChange } = require('./bookingChanges');
+const { notifyBookingEvent } = require('./notifications');
+
+// Stripe amounts are in the smallest currency unit
+const fromStripeAmount = (amount) => (amount || 0) / 100;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const findPaymentByIntent = async (paymentIntentId, chargeId) => {
+  let payment = null;
+  if (paymentIntentId) {
+    payment = await Payment.findOne({ 'paymentGateway.paymentIntentId': paymentIntentId });
+  }
+  if (!payment && chargeId) {
+    payment = await Payment.findOne({ 'paymentGateway.chargeId': chargeId });
+  }
+  return payment;
+};
+
+// The pending payment of the booking (or of a leg of the trip) named in Stripe metadata
+const findPendingPaymentForBooking = async (metadata) => {
+  if (metadata?.tripId) {
+    const legs = await Booking.find({ trip: metadata.tripId }).distinct('_id');
+    return Payment.findOne({ booking: { $in: legs }, status: 'pending' });
+  }
+  if (!metadata?.bookingId) {
+    return null;
+  }
+  return Payment.findOne({ booking: metadata.bookingId, status: 'pending' });
+};
+
+const handleCheckoutCompleted = async (session, payment, { io }) => {
+  // Delayed payment methods complete the session before the money arrives
+  if (session.payment_status !== 'paid') {
+    return;
+  }
+
+  // A booking change collects its fare difference and fee in a checkout of its own
+  if (session.metadata?.changeId) {
+    const booking = await completeBookingChange({
+      bookingId: session.metadata.bookingId,
+      changeId: session.metadata.changeId,
+      sessionId: session.id,
+      paymentIntentId: session.payment_intent,
+      io
+    });
+    if (booking) {
+      logger.info(`Change of booking ${booking.bookingReference} confirmed by webhook`);
+    }
+    return;
+  }
+
+  // A trip checkout pays every leg, each with its own payment on the session
+  if (session.metadata?.tripId) {
+    const bookings = await confirmSessionPayments({
+      sessionId: session.id,
+      paymentIntentId: session.payment_intent,
+      io
+    });
+    bookings.forEach(booking => {
+      logger.info(`Payment confirmed by webhook for trip leg ${booking.bookingReference}`);
+    });
+    return;
+  }
+
+  const booking = await confirmBookingPayment({
+    bookingId: payment.booking,
+    sessionId: session.id,
+    paymentIntentId: session.payment_intent,
+    io
+  });
+
+  if (booking) {
+    logger.info(`Payment confirmed by webhook for booking ${booking.bookingReference}`);
+  }
+};
+
+const handlePaymentFailed = async (paymentIntent, payment, { io }) => {
+  const error = paymentIntent.last_payment_error || {};
+
+  // Checkout lets the customer retry with another card, so the payment stays pending
+  payment.paymentGateway.paymentIntentId = paymentIntent.id;
+  payment.attempts.push({
+    status: 'failed',
+    errorCode: error.code,
+    errorMessage: error.message,
+    declineCode: error.decline_code
+  });
+  await payment.save();
+
+  if (io) {
+    io.to(`booking-${payment.booking}`).emit('payment-failed', {
+      bookingId: payment.booking,
+      message: error.message || 'Payment failed'
+    });
+  }
+};
+
+// Cancel the booking of a payment that was refunded in full outside the app
+const cancelRefundedBooking = async (payment, refundAmount, refundReason, io) => {
+  const refundFields = { paymentStatus: 'refunded', refundAmount, refundReason };
+
+  const booking = await Booking.findOneAndUpdate(
+    { _id: payment.booking, bookingStatus: { $in: CANCELLABLE_STATUSES } },
+    {
+      ...refundFields,
+      bookingStatus: 'cancelled',
+      status: 'refunded',
+      paymentLock: false,
+      cancelledAt: new Date(),
+      cancellationReason: refundReason
+    },
+    { new: true }
+  );
+
+  if (!booking) {
+    await Booking.findByIdAndUpdate(payment.booking, refundFields);
+    notifyBookingEvent('booking_refunded', payment.booking, { reason: refundReason });
+    return;
+  }
+
+  const departure = await getBookingDeparture(booking);
+  if (departure) {
+    await releaseSeats(departure._id, booking._id);
+    await offerWaitlistSeats(departure._id, io);
+  }
+  await releaseCoupon(booking);
+
+  notifyBookingEvent('booking_refunded', booking._id, { reason: refundReason });
+};
+
+// Refunds the app has already recorded against a charge, across the payments sharing it
+const getRecordedRefunds = async (payment, paymentIntentId) => {
+  const payments = paymentIntentId
+    ? await Payment.find({ 'paymentGateway.paymentIntentId': paymentIntentId })
+    : [payment];
+  return payments.reduce((sum, p) => sum + (p.refund?.amount || 0), 0);
+};
+
+// The latest refund of a charge; charge objects no longer list their refunds
+const getLatestRefund = async (charge) => {
+  try {
+    const refunds = await stripe.refunds.list({ charge: charge.id, limit: 1 });
+    return refunds.data[0] || null;
+  } catch (error) {
+    logger.warn(`Could not look up the refunds of charge ${charge.id}: ${error.message}`);
+    return null;
+  }
+};
+
+const handleChargeRefunded = async (charge, payment, { io }) => {
+  payment.paymentGateway.chargeId = charge.id;
+
+  // Refunds issued through the app are already recorded; Stripe confirms them here.
+  // Partial refunds (e.g. from a booking change) leave the payment completed
+  const chargeRefunded = fromStripeAmount(charge.amount_refunded);
+  const recorded = await getRecordedRefunds(payment, charge.payment_intent);
+  if (payment.status === 'refunded' || chargeRefunded <= recorded) {
+    payment.refund.refundStatus = 'completed';
+    await payment.save();
+    return;
+  }
+
+  // Otherwise (part of) the charge was refunded outside the app, e.g. from the
+  // Stripe dashboard. The legs of a trip share one charge, so it may cover more than this payment
+  const latestRefund = await getLatestRefund(charge);
+  const refundReason = 'Refunded in Stripe';
+  const addExternalRefund = (target, amount) => {
+    target.refund = {
+      amount: roundAmount((target.refund?.amount || 0) + amount),
+      reason: refundReason,
+      refundDate: new Date(),
+      refundReference: latestRefund?.id,
+      refundStatus: 'completed',
+      stripeRefundId: latestRefund?.id
+    };
+  };
+  const unrefunded = (target) => roundAmount(target.amount - (target.refund?.amount || 0));
+
+  // A partial refund adds to what was refunded before and leaves the booking in place
+  if (!charge.refunded) {
+    addExternalRefund(payment, Math.min(roundAmount(chargeRefunded - recorded), unrefunded(payment)));
+    await payment.save();
+    return;
+  }
+
+  addExternalRefund(payment, unrefunded(payment));
+  payment.status = 'refunded';
+  await payment.save();
+  await cancelRefundedBooking(payment, payment.refund.amount, refundReason, io);
+
+  // A full refund of a trip charge cancels every leg still paid on it
+  const siblings = await Payment.find({
+    _id: { $ne: payment._id },
+    'paymentGateway.paymentIntentId': charge.payment_intent,
+    status: 'completed'
+  });
+  for (const sibling of siblings) {
+    sibling.paymentGateway.chargeId = charge.id;
+    sibling.status = 'refunded';
+    addExternalRefund(sibling, unrefunded(sibling));
+    await sibling.save();
+    await cancelRefundedBooking(sibling, sibling.refund.amount, refundReason, io);
+  }
+};
+
+const handleDispute = async (dispute, payment, { event }) => {
+  payment.paymentGateway.chargeId = dispute.charge;
+  payment.dispute = {
+    disputeId: dispute.id,
+    reason: dispute.reason,
+    status: dispute.status,
+    amount: fromStripeAmount(dispute.amount),
+    createdAt: new Date(dispute.created * 1000),
+    evidence: payment.dispute?.evidence
+  };
+
+  if (event.type === 'charge.dispute.created' && payment.status === 'completed') {
+    payment.status = 'disputed';
+  } else if (event.type === 'charge.dispute.closed' && dispute.status === 'won' && payment.status === 'disputed') {
+    payment.status = 'completed';
+  }
+
+  await payment.save();
+
+  logger.warn(`Stripe dispute ${dispute.id} on payment ${payment._id} is ${dispute.status} (${event.type})`);
+};
+
+// How to find the payment an event is about, and what to do with it
+const HANDLERS = {
+  'checkout.session.completed': {
+    findPayment: async (session) => (
+      await Payment.findOne({ 'paymentGateway.transactionId': session.id }) ||
+      findPendingPaymentForBooking(session.metadata)
+    ),
+    handle: handleCheckoutCompleted
+  },
+  'payment_intent.payment_failed': {
+    findPayment: async (paymentIntent) => (
+      await findPaymentByIntent(paymentIntent.id) ||
+      findPendingPaymentForBooking(paymentIntent.metadata)
+    ),
+    handle: handlePaymentFailed
+  },
+  'charge.refunded': {
+    findPayment: (charge) => findPaymentByIntent(charge.payment_intent, charge.id),
+    handle: handleChargeRefunded
+  },
+  'charge.dispute.*': {
+    findPayment: (dispute) => findPaymentByIntent(dispute.payment_intent, dispute.charge),
+    handle: handleDispute
+  }
+};
+
+const getHandler = (eventType) => {
+  if (eventType.startsWith('charge.dispute.')) {
+    return HANDLERS['charge.dispute.*'];
+  }
+  return HANDLERS[eventType];
+};
+
+/**
+ * Apply a verified Stripe event to its payment. Every event is recorded in
+ * Payment.webhookEvents before it is handled, so redelivered events are
+ * skipped; if handling fails the record is removed and Stripe's retry gets
+ * another go.
+ */
+const processWebhookEvent = async (event, io) => {
+  const handler = getHandler(event.type);
+  if (!handler) {
+    return { handled: false };
+  }
+
+  const object = event.data.object;
+  const payment = await handler.findPayment(object);
+  if (!payment) {
+    logger.warn(`No payment found for Stripe event ${event.id} (${event.type})`);
+    return { handled: false };
+  }
+
+  const recorded = await Payment.findOneAndUpdate(
+    { _id: payment._id, 'webhookEvents.eventId': { $ne: event.id } },
+    { $push: { webhookEvents: { eventId: event.id, eventType: event.type } } },
+    { new: true }
+  );
+
+  if (!recorded) {
+    logger.info(`Stripe event ${event.id} already received, skipping`);
+    return { handled: false, duplicate: true };
+  }
+
+  try {
+    await handler.handle(object, recorded, { event, io });
+  } catch (error) {
+    await Payment.updateOne(
+      { _id: payment._id },
+      { $pull: { webhookEvents: { eventId: event.id } } }
+    );
+    throw error;
+  }
+
+  await Payment.updateOne(
+    { _id: payment._id, 'webhookEvents.eventId': event.id },
+    { $set: { 'webhookEvents.$.processed': true } }
+  );
+
+  return { handled: true };
+};
+
+module.exports = {
+  processWebhookEvent
+};
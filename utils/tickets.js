@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const ticketSigning = require('../config/ticketSigning');
+
+// Version tag at the start of every ticket code
+const TICKET_CODE_PREFIX = 'TB1';
+
+const toSeconds = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+const formatDateTime = (date) => new Date(date).toLocaleString('en-GB', {
+  weekday: 'short',
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// What a passenger's QR code carries: enough to check them in without a connection
+const buildTicketPayload = (booking, passenger) => ({
+  tn: passenger.ticketNumber,
+  br: booking.bookingReference,
+  bk: booking._id.toString(),
+  rt: (booking.route?._id || booking.route).toString(),
+  dp: booking.departure ? (booking.departure._id || booking.departure).toString() : null,
+  st: passenger.seatNumber || null,
+  nm: passenger.name,
+  pt: passenger.passengerType,
+  da: toSeconds(booking.departureDate),
+  ia: toSeconds(Date.now()),
+  kid: ticketSigning.keyId
+});
+
+// Sign a payload into a ticket code: TB1.<payload>.<signature>, both base64url
+const signTicket = (payload) => {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.sign(null, Buffer.from(`${TICKET_CODE_PREFIX}.${body}`), ticketSigning.privateKey);
+  return `${TICKET_CODE_PREFIX}.${body}.${signature.toString('base64url')}`;
+};
+
+/**
+ * Check a ticket code against the signing public key. Needs no database, so
+ * scanners holding the public key can verify tickets offline.
+ * Returns { valid, payload } or { valid: false, error }.
+ */
+const verifyTicket = (code, publicKey = ticketSigning.publicKey) => {
+  const parts = String(code || '').trim().split('.');
+  if (parts.length !== 3 || parts[0] !== TICKET_CODE_PREFIX) {
+    return { valid: false, error: 'Not a ticket code' };
+  }
+
+  const [prefix, body, signature] = parts;
+  let verified = false;
+  try {
+    verified = crypto.verify(null, Buffer.from(`${prefix}.${body}`), publicKey, Buffer.from(signature, 'base64url'));
+  } catch (error) {
+    verified = false;
+  }
+  if (!verified) {
+    return { valid: false, error: 'Ticket signature is not valid' };
+  }
+
+  try {
+    return { valid: true, payload: JSON.parse(Buffer.from(body, 'base64url').toString('utf8')) };
+  } catch (error) {
+    return { valid: false, error: 'Ticket payload cannot be read' };
+  }
+};
+
+const describePlace = (place) => {
+  return place.terminal?.name ? `${place.city} (${place.terminal.name})` : place.city;
+};
+
+const drawField = (doc, label, value, x, y, width) => {
+  doc.fontSize(8).fillColor('#666666').text(label.toUpperCase(), x, y, { width });
+  doc.fontSize(12).fillColor('#000000').text(value || '-', x, y + 11, { width });
+};
+
+const drawTicketPage = (doc, { booking, route, departure, passenger, qrImage }) => {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const column = (width - 150) / 2;
+
+  doc.rect(left, 40, width, 36).fill('#0f766e');
+  doc.fillColor('#ffffff').fontSize(16).text('TicketBari E-Ticket', left + 12, 50);
+  doc.fontSize(10).text(booking.bookingReference, left, 54, { width: width - 12, align: 'right' });
+
+  doc.fillColor('#000000').fontSize(18)
+    .text(`${describePlace(route.from)}  to  ${describePlace(route.to)}`, left, 96, { width: width - 150 });
+
+  let y = 150;
+  drawField(doc, 'Passenger', passenger.name, left, y, column);
+  drawField(doc, 'Type', passenger.passengerType, left + column, y, column);
+  y += 40;
+  drawField(doc, 'Ticket number', passenger.ticketNumber, left, y, column);
+  drawField(doc, 'Seat', passenger.seatNumber || 'Lap infant (no seat)', left + column, y, column);
+  y += 40;
+  drawField(doc, 'Departure', formatDateTime(booking.departureDate), left, y, column);
+  drawField(doc, 'Arrival', departure?.arrivalTime || route.schedule?.[0]?.arrivalTime, left + column, y, column);
+  y += 40;
+  drawField(doc, 'Operator', route.operator?.name, left, y, column);
+  drawField(doc, 'Transport', `${route.type} / ${route.class}`, left + column, y, column);
+
+  doc.image(qrImage, left + width - 140, 96, { width: 140 });
+  doc.fontSize(7).fillColor('#666666')
+    .text(`Key ${ticketSigning.keyId}`, left + width - 140, 240, { width: 140, align: 'center' });
+
+  doc.fontSize(9).fillColor('#333333')
+    .text('Show this ticket and a photo ID at boarding. The QR code is checked at the counter and can only be used once.',
+      left, y + 60, { width });
+};
+
+/**
+ * Render the e-ticket of a paid booking: one page per passenger with the trip
+ * details and a QR code holding the signed ticket code. Resolves to a PDF buffer.
+ */
+const renderTicketPdf = async ({ booking, route, departure }) => {
+  const pages = [];
+  for (const passenger of booking.passengers) {
+    const code = signTicket(buildTicketPayload(booking, passenger));
+    const qrImage = await QRCode.toBuffer(code, { errorCorrectionLevel: 'M', margin: 1, width: 280 });
+    pages.push({ passenger, qrImage });
+  }
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A5', layout: 'landscape', margin: 30, autoFirstPage: false });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.info.Title = `TicketBari e-ticket ${booking.bookingReference}`;
+
+    pages.forEach(page => {
+      doc.addPage();
+      drawTicketPage(doc, { booking, route, departure, ...page });
+    });
+
+    doc.end();
+  });
+};
+
+module.exports = {
+  TICKET_CODE_PREFIX,
+  buildTicketPayload,
+  signTicket,
+  verifyTicket,
+  renderTicketPdf
+};
@@ -0,0 +1,231 @@
+const Departure = require('../models/Departure');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const logger = require('./logger');
+const { notifyUser } = require('./inbox');
+const { scheduleAvailabilityUpdate } = require('./availability');
+
+// How long a waitlisted user has to claim seats they were offered
+const CLAIM_MINUTES = parseInt(process.env.WAITLIST_CLAIM_MINUTES, 10) || 30;
+
+// Upper bound on offers made in one pass, in case other bookings keep racing for the seats
+const MAX_OFFER_ROUNDS = 20;
+
+const ACTIVE_STATUSES = ['waiting', 'offered'];
+
+// Place in the queue: 1 for the next user to be offered seats
+const getWaitlistPosition = async (entry) => {
+  if (entry.status !== 'waiting') {
+    return null;
+  }
+  const ahead = await WaitlistEntry.countDocuments({
+    departure: entry.departure,
+    status: 'waiting',
+    createdAt: { $lt: entry.createdAt }
+  });
+  return ahead + 1;
+};
+
+const notifyWaitlistOffer = (io, entry, departure) => {
+  logger.info(`Offered ${entry.seats} seat(s) on departure ${departure._id} to waitlisted user ${entry.user}`);
+
+  if (io) {
+    io.to(`user-${entry.user}`).emit('waitlist-offer', {
+      waitlistEntryId: entry._id,
+      routeId: entry.route,
+      departureId: departure._id,
+      departureAt: departure.departureAt,
+      seats: entry.seats,
+      offerExpiresAt: entry.offerExpiresAt
+    });
+  }
+
+  notifyUser(entry.user, 'waitlist_offer', {
+    seats: entry.seats,
+    offerExpiresAt: entry.offerExpiresAt
+  }, {
+    waitlistEntryId: entry._id,
+    departureId: departure._id
+  });
+};
+
+// Give seats kept for an offer back to the departure
+const returnOfferedSeats = async (departureId, seats) => {
+  const result = await Departure.updateOne(
+    { _id: departureId, offeredCount: { $gte: seats } },
+    { $inc: { offeredCount: -seats } }
+  );
+  scheduleAvailabilityUpdate(departureId);
+  return result;
+};
+
+// Keep seats aside for an offer again, e.g. when a claim's booking falls through
+const reserveOfferedSeats = async (departureId, seats) => {
+  const result = await Departure.updateOne({ _id: departureId }, { $inc: { offeredCount: seats } });
+  scheduleAvailabilityUpdate(departureId);
+  return result;
+};
+
+/**
+ * Offer the free seats of a departure to its waitlist. Each offer keeps the
+ * seats aside (Departure.offeredCount) until it is claimed or runs out. The
+ * oldest waiting entry whose request fits the free seats goes first.
+ */
+const offerWaitlistSeats = async (departureId, io) => {
+  let offered = 0;
+
+  for (let round = 0; round < MAX_OFFER_ROUNDS; round++) {
+    const departure = await Departure.findById(departureId).select('-seatAssignments');
+    if (!departure || departure.status !== 'scheduled' || departure.departureAt <= new Date()) {
+      break;
+    }
+
+    const freeSeats = departure.availableSeats;
+    if (freeSeats <= 0) {
+      break;
+    }
+
+    const next = await WaitlistEntry.findOne({
+      departure: departureId,
+      status: 'waiting',
+      seats: { $lte: freeSeats }
+    }).sort({ createdAt: 1 });
+    if (!next) {
+      break;
+    }
+
+    // Reserve the seats first; another booking may have taken them since they were counted
+    const reserved = await Departure.findOneAndUpdate(
+      {
+        _id: departureId,
+        status: 'scheduled',
+        $expr: {
+          $lte: [
+            { $add: ['$soldCount', '$heldCount', { $ifNull: ['$offeredCount', 0] }, next.seats] },
+            '$capacity'
+          ]
+        }
+      },
+      { $inc: { offeredCount: next.seats } }
+    );
+    if (!reserved) {
+      continue;
+    }
+    scheduleAvailabilityUpdate(departureId);
+
+    const now = new Date();
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { _id: next._id, status: 'waiting' },
+      {
+        status: 'offered',
+        offeredAt: now,
+        offerExpiresAt: new Date(now.getTime() + CLAIM_MINUTES * 60 * 1000),
+        updatedAt: now
+      },
+      { new: true }
+    );
+    if (!entry) {
+      // The user left the waitlist in the meantime
+      await returnOfferedSeats(departureId, next.seats);
+      continue;
+    }
+
+    notifyWaitlistOffer(io, entry, departure);
+    offered++;
+  }
+
+  return offered;
+};
+
+/**
+ * Take an offer for claiming. The entry is claimed atomically so the same
+ * offer cannot be turned into two bookings; returns null if it is not open.
+ */
+const claimWaitlistOffer = (entryId, userId, now = new Date()) => {
+  return WaitlistEntry.findOneAndUpdate(
+    { _id: entryId, user: userId, status: 'offered', offerExpiresAt: { $gt: now } },
+    { status: 'claimed', claimedAt: now, updatedAt: now },
+    { new: true }
+  );
+};
+
+// Put a claimed offer back when its booking could not be made
+const restoreWaitlistOffer = (entry) => {
+  return WaitlistEntry.updateOne(
+    { _id: entry._id, status: 'claimed', booking: { $exists: false } },
+    { status: 'offered', $unset: { claimedAt: 1 }, updatedAt: new Date() }
+  );
+};
+
+// Leave a waitlist; an open offer's seats go to the next user in line
+const cancelWaitlistEntry = async (entry, io) => {
+  const cancelled = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: { $in: ACTIVE_STATUSES } },
+    { status: 'cancelled', updatedAt: new Date() }
+  );
+  if (!cancelled) {
+    return false;
+  }
+
+  if (cancelled.status === 'offered') {
+    await returnOfferedSeats(cancelled.departure, cancelled.seats);
+    await offerWaitlistSeats(cancelled.departure, io);
+  }
+  return true;
+};
+
+/**
+ * Expire offers whose claim window has passed and pass their seats on, and
+ * drop waiting entries for departures that have already left.
+ */
+const expireWaitlistOffers = async (io) => {
+  const now = new Date();
+  let expired = 0;
+
+  const lapsed = await WaitlistEntry.find({ status: 'offered', offerExpiresAt: { $lte: now } });
+  const departureIds = new Set();
+
+  for (const offer of lapsed) {
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { _id: offer._id, status: 'offered' },
+      { status: 'expired', updatedAt: now }
+    );
+    if (!entry) {
+      continue;
+    }
+    await returnOfferedSeats(entry.departure, entry.seats);
+    departureIds.add(entry.departure.toString());
+    expired++;
+  }
+
+  for (const departureId of departureIds) {
+    await offerWaitlistSeats(departureId, io);
+  }
+
+  const waitingDepartures = await WaitlistEntry.distinct('departure', { status: 'waiting' });
+  const departed = await Departure.find({
+    _id: { $in: waitingDepartures },
+    departureAt: { $lte: now }
+  }).distinct('_id');
+  if (departed.length > 0) {
+    const result = await WaitlistEntry.updateMany(
+      { departure: { $in: departed }, status: 'waiting' },
+      { status: 'expired', updatedAt: now }
+    );
+    expired += result.modifiedCount;
+  }
+
+  return expired;
+};
+
+module.exports = {
+  CLAIM_MINUTES,
+  ACTIVE_STATUSES,
+  getWaitlistPosition,
+  offerWaitlistSeats,
+  returnOfferedSeats,
+  reserveOfferedSeats,
+  claimWaitlistOffer,
+  restoreWaitlistOffer,
+  cancelWaitlistEntry,
+  expireWaitlistOffers
+};